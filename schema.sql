@@ -0,0 +1,446 @@
+-- Casflo API schema
+-- Generated by `npm run migrate:schema` from src/migrations; do not edit by hand.
+-- Apply with: wrangler d1 execute casflo-db --file=schema.sql
+
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  checksum TEXT NOT NULL,
+  applied_at TEXT NOT NULL
+);
+
+-- 0001_create_books
+CREATE TABLE IF NOT EXISTS books (
+      id TEXT PRIMARY KEY,
+      title TEXT NOT NULL,
+      author TEXT NOT NULL,
+      description TEXT,
+      status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'inactive', 'archived')),
+      published_date TEXT,
+      isbn TEXT,
+      pages INTEGER,
+      language TEXT,
+      genre TEXT,
+      publisher TEXT,
+      price REAL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+CREATE INDEX IF NOT EXISTS idx_books_created_at ON books(created_at);
+CREATE INDEX IF NOT EXISTS idx_books_updated_at ON books(updated_at);
+CREATE INDEX IF NOT EXISTS idx_books_title ON books(title);
+CREATE INDEX IF NOT EXISTS idx_books_author ON books(author);
+CREATE INDEX IF NOT EXISTS idx_books_status ON books(status);
+CREATE INDEX IF NOT EXISTS idx_books_genre ON books(genre);
+INSERT OR IGNORE INTO schema_migrations (version, name, checksum, applied_at) VALUES (1, 'create_books', '2f54863225f20ee7d4a4877e544dbb9c56171e983287638e77e4365353d7212f', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+-- 0002_create_users
+CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      email TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      name TEXT,
+      role TEXT NOT NULL DEFAULT 'user',
+      membership_level TEXT NOT NULL DEFAULT 'free',
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      last_login_at TEXT
+    );
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      family_id TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      expires_at TEXT NOT NULL,
+      revoked_at TEXT,
+      replaced_by TEXT,
+      created_at TEXT NOT NULL
+    );
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
+INSERT OR IGNORE INTO schema_migrations (version, name, checksum, applied_at) VALUES (2, 'create_users', 'd3dbfacce5072f9eca283651f8f3129a184fb3316e52ae339472195979ce004c', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+-- 0003_create_api_keys
+CREATE TABLE IF NOT EXISTS api_keys (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      scopes TEXT NOT NULL,
+      membership_level TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      last_used_at TEXT,
+      expires_at TEXT,
+      revoked_at TEXT
+    );
+CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id);
+INSERT OR IGNORE INTO schema_migrations (version, name, checksum, applied_at) VALUES (3, 'create_api_keys', '125f68785747a8ba3d477c29c215609b2b3d9ef7efb337aabd0a938857337b82', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+-- 0004_add_book_version
+ALTER TABLE books ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+INSERT OR IGNORE INTO schema_migrations (version, name, checksum, applied_at) VALUES (4, 'add_book_version', '42781d2413c43e65701aa2ca246f98e6ab8c79eebe1450cb7301406cbc207c35', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+-- 0005_create_books_fts
+CREATE VIRTUAL TABLE IF NOT EXISTS books_fts USING fts5(
+      title,
+      author,
+      description,
+      content = 'books',
+      content_rowid = 'rowid',
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+CREATE TRIGGER IF NOT EXISTS books_fts_after_insert AFTER INSERT ON books BEGIN
+      INSERT INTO books_fts (rowid, title, author, description)
+      VALUES (new.rowid, new.title, new.author, new.description);
+    END;
+CREATE TRIGGER IF NOT EXISTS books_fts_after_delete AFTER DELETE ON books BEGIN
+      INSERT INTO books_fts (books_fts, rowid, title, author, description)
+      VALUES ('delete', old.rowid, old.title, old.author, old.description);
+    END;
+CREATE TRIGGER IF NOT EXISTS books_fts_after_update AFTER UPDATE OF title, author, description ON books BEGIN
+      INSERT INTO books_fts (books_fts, rowid, title, author, description)
+      VALUES ('delete', old.rowid, old.title, old.author, old.description);
+      INSERT INTO books_fts (rowid, title, author, description)
+      VALUES (new.rowid, new.title, new.author, new.description);
+    END;
+INSERT INTO books_fts (books_fts) VALUES ('rebuild');
+INSERT OR IGNORE INTO schema_migrations (version, name, checksum, applied_at) VALUES (5, 'create_books_fts', '4bc3083ee0ed72db1a92dbc750aefffeaa7a2821ee03fad85bc307e61bf7c129', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+-- 0006_add_book_deleted_at
+ALTER TABLE books ADD COLUMN deleted_at TEXT;
+CREATE INDEX IF NOT EXISTS idx_books_deleted_at ON books(deleted_at);
+INSERT OR IGNORE INTO schema_migrations (version, name, checksum, applied_at) VALUES (6, 'add_book_deleted_at', '26d04c0ad881c1c9e296665bdf85af9a5bb9b7021a848c39d28658aec3b81d8b', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+-- 0007_create_book_revisions
+CREATE TABLE IF NOT EXISTS book_revisions (
+      id TEXT PRIMARY KEY,
+      book_id TEXT NOT NULL,
+      revision INTEGER NOT NULL,
+      action TEXT NOT NULL CHECK (action IN ('baseline', 'create', 'update', 'delete', 'restore', 'revert')),
+      source_revision INTEGER,
+      actor_id TEXT,
+      actor_type TEXT,
+      api_key_id TEXT,
+      request_id TEXT,
+      changes TEXT NOT NULL,
+      snapshot TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      UNIQUE (book_id, revision)
+    );
+INSERT OR IGNORE INTO book_revisions (
+      id, book_id, revision, action, changes, snapshot, created_at
+    )
+    SELECT
+      lower(hex(randomblob(16))), id, version, 'baseline', '{}',
+      json_object(
+        'id', id, 'title', title, 'author', author, 'description', description,
+        'status', status, 'published_date', published_date, 'isbn', isbn,
+        'pages', pages, 'language', language, 'genre', genre,
+        'publisher', publisher, 'price', price, 'created_at', created_at,
+        'updated_at', updated_at, 'version', version, 'deleted_at', deleted_at
+      ),
+      strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+    FROM books;
+INSERT OR IGNORE INTO schema_migrations (version, name, checksum, applied_at) VALUES (7, 'create_book_revisions', 'dcb145b3ed91367e890dcff560450d11dcfb6a8a31ee5329647bc92fca036592', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+-- 0008_create_idempotency_keys
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+      scope TEXT NOT NULL,
+      key TEXT NOT NULL,
+      fingerprint TEXT NOT NULL,
+      status TEXT NOT NULL CHECK (status IN ('in_flight', 'completed')),
+      response_status INTEGER,
+      response_headers TEXT,
+      response_body TEXT,
+      created_at TEXT NOT NULL,
+      locked_until TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      PRIMARY KEY (scope, key)
+    );
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+INSERT OR IGNORE INTO schema_migrations (version, name, checksum, applied_at) VALUES (8, 'create_idempotency_keys', '6e416847da001a4982bfd833fb4c47d1697a0a483bb5fde9866bd41cf2cb8863', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+-- 0009_create_webhooks
+CREATE TABLE IF NOT EXISTS webhooks (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      url TEXT NOT NULL,
+      description TEXT,
+      events TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+CREATE INDEX IF NOT EXISTS idx_webhooks_user_id ON webhooks(user_id);
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id TEXT PRIMARY KEY,
+      webhook_id TEXT NOT NULL,
+      event_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL CHECK (status IN ('pending', 'succeeded', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      response_status INTEGER,
+      response_body TEXT,
+      error TEXT,
+      redelivery_of TEXT,
+      created_at TEXT NOT NULL,
+      last_attempt_at TEXT,
+      next_attempt_at TEXT,
+      completed_at TEXT
+    );
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id, created_at);
+INSERT OR IGNORE INTO schema_migrations (version, name, checksum, applied_at) VALUES (9, 'create_webhooks', 'a495c1fdd44bbe43bc3919ca8854454e24f906c6f3a8b383212b223d33ff2b5e', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+-- 0010_add_book_filter_indexes
+CREATE INDEX IF NOT EXISTS idx_books_price ON books(price);
+CREATE INDEX IF NOT EXISTS idx_books_pages ON books(pages);
+CREATE INDEX IF NOT EXISTS idx_books_published_date ON books(published_date);
+CREATE INDEX IF NOT EXISTS idx_books_language ON books(language);
+CREATE INDEX IF NOT EXISTS idx_books_publisher ON books(publisher);
+CREATE INDEX IF NOT EXISTS idx_books_isbn ON books(isbn);
+INSERT OR IGNORE INTO schema_migrations (version, name, checksum, applied_at) VALUES (10, 'add_book_filter_indexes', '1305636a216eb0e9cafc42362495486503cb3eedd0d232e276f3036cfaf9994c', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+-- 0011_create_authors_publishers
+CREATE TABLE IF NOT EXISTS authors (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    name_key TEXT NOT NULL UNIQUE,
+    bio TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+CREATE INDEX IF NOT EXISTS idx_authors_name ON authors(name);
+ALTER TABLE books ADD COLUMN author_id TEXT;
+CREATE INDEX IF NOT EXISTS idx_books_author_id ON books(author_id);
+INSERT INTO authors (id, name, name_key, created_at, updated_at)
+    SELECT lower(hex(randomblob(16))), name, name_key, now, now
+    FROM (
+      SELECT
+        trim(author) AS name,
+        replace(replace(replace(replace(replace(replace(replace(replace(replace(lower(author), ' ', ''), '	', ''), '
+', ''), '', ''), '.', ''), ',', ''), '''', ''), '"', ''), '-', '') AS name_key,
+        strftime('%Y-%m-%dT%H:%M:%fZ', 'now') AS now,
+        ROW_NUMBER() OVER (PARTITION BY replace(replace(replace(replace(replace(replace(replace(replace(replace(lower(author), ' ', ''), '	', ''), '
+', ''), '', ''), '.', ''), ',', ''), '''', ''), '"', ''), '-', '') ORDER BY created_at, id) AS position
+      FROM books
+      WHERE author IS NOT NULL AND replace(replace(replace(replace(replace(replace(replace(replace(replace(lower(author), ' ', ''), '	', ''), '
+', ''), '', ''), '.', ''), ',', ''), '''', ''), '"', ''), '-', '') != ''
+    )
+    WHERE position = 1;
+UPDATE books SET author_id = (
+    SELECT id FROM authors WHERE name_key = replace(replace(replace(replace(replace(replace(replace(replace(replace(lower(books.author), ' ', ''), '	', ''), '
+', ''), '', ''), '.', ''), ',', ''), '''', ''), '"', ''), '-', '')
+  )
+  WHERE author IS NOT NULL;
+UPDATE books SET author = (SELECT name FROM authors WHERE id = books.author_id)
+  WHERE author_id IS NOT NULL
+    AND author != (SELECT name FROM authors WHERE id = books.author_id);
+CREATE TABLE IF NOT EXISTS publishers (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    name_key TEXT NOT NULL UNIQUE,
+    website TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+CREATE INDEX IF NOT EXISTS idx_publishers_name ON publishers(name);
+ALTER TABLE books ADD COLUMN publisher_id TEXT;
+CREATE INDEX IF NOT EXISTS idx_books_publisher_id ON books(publisher_id);
+INSERT INTO publishers (id, name, name_key, created_at, updated_at)
+    SELECT lower(hex(randomblob(16))), name, name_key, now, now
+    FROM (
+      SELECT
+        trim(publisher) AS name,
+        replace(replace(replace(replace(replace(replace(replace(replace(replace(lower(publisher), ' ', ''), '	', ''), '
+', ''), '', ''), '.', ''), ',', ''), '''', ''), '"', ''), '-', '') AS name_key,
+        strftime('%Y-%m-%dT%H:%M:%fZ', 'now') AS now,
+        ROW_NUMBER() OVER (PARTITION BY replace(replace(replace(replace(replace(replace(replace(replace(replace(lower(publisher), ' ', ''), '	', ''), '
+', ''), '', ''), '.', ''), ',', ''), '''', ''), '"', ''), '-', '') ORDER BY created_at, id) AS position
+      FROM books
+      WHERE publisher IS NOT NULL AND replace(replace(replace(replace(replace(replace(replace(replace(replace(lower(publisher), ' ', ''), '	', ''), '
+', ''), '', ''), '.', ''), ',', ''), '''', ''), '"', ''), '-', '') != ''
+    )
+    WHERE position = 1;
+UPDATE books SET publisher_id = (
+    SELECT id FROM publishers WHERE name_key = replace(replace(replace(replace(replace(replace(replace(replace(replace(lower(books.publisher), ' ', ''), '	', ''), '
+', ''), '', ''), '.', ''), ',', ''), '''', ''), '"', ''), '-', '')
+  )
+  WHERE publisher IS NOT NULL;
+UPDATE books SET publisher = (SELECT name FROM publishers WHERE id = books.publisher_id)
+  WHERE publisher_id IS NOT NULL
+    AND publisher != (SELECT name FROM publishers WHERE id = books.publisher_id);
+INSERT OR IGNORE INTO schema_migrations (version, name, checksum, applied_at) VALUES (11, 'create_authors_publishers', 'df4082c80507d126b954687dc7f9920c3a18fd602ab1639428018c4e51cd73b2', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+-- 0012_create_tags
+CREATE TABLE IF NOT EXISTS tags (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      name_key TEXT NOT NULL UNIQUE,
+      description TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+CREATE INDEX IF NOT EXISTS idx_tags_name ON tags(name);
+CREATE TABLE IF NOT EXISTS book_tags (
+      book_id TEXT NOT NULL,
+      tag_id TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      PRIMARY KEY (book_id, tag_id)
+    );
+CREATE INDEX IF NOT EXISTS idx_book_tags_tag_id ON book_tags(tag_id);
+INSERT INTO tags (id, name, name_key, created_at, updated_at)
+      SELECT lower(hex(randomblob(16))), name, name_key, now, now
+      FROM (
+        SELECT
+          trim(genre) AS name,
+          replace(replace(replace(replace(replace(replace(replace(replace(replace(lower(genre), ' ', ''), '	', ''), '
+', ''), '', ''), '.', ''), ',', ''), '''', ''), '"', ''), '-', '') AS name_key,
+          strftime('%Y-%m-%dT%H:%M:%fZ', 'now') AS now,
+          ROW_NUMBER() OVER (PARTITION BY replace(replace(replace(replace(replace(replace(replace(replace(replace(lower(genre), ' ', ''), '	', ''), '
+', ''), '', ''), '.', ''), ',', ''), '''', ''), '"', ''), '-', '') ORDER BY created_at, id) AS position
+        FROM books
+        WHERE genre IS NOT NULL AND replace(replace(replace(replace(replace(replace(replace(replace(replace(lower(genre), ' ', ''), '	', ''), '
+', ''), '', ''), '.', ''), ',', ''), '''', ''), '"', ''), '-', '') != ''
+      )
+      WHERE position = 1;
+INSERT OR IGNORE INTO book_tags (book_id, tag_id, created_at)
+      SELECT books.id, tags.id, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+      FROM books JOIN tags ON tags.name_key = replace(replace(replace(replace(replace(replace(replace(replace(replace(lower(books.genre), ' ', ''), '	', ''), '
+', ''), '', ''), '.', ''), ',', ''), '''', ''), '"', ''), '-', '')
+      WHERE books.genre IS NOT NULL;
+INSERT OR IGNORE INTO schema_migrations (version, name, checksum, applied_at) VALUES (12, 'create_tags', '711c25d4b9e3e97472e83895fde740cf08336d8f4e5d3a9c3cfdc361c3b2a5fb', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+-- 0013_normalize_book_isbns
+UPDATE books
+      SET isbn = upper(replace(replace(replace(trim(isbn), '-', ''), ' ', ''), char(9), ''))
+      WHERE isbn IS NOT NULL;
+UPDATE books SET isbn = NULL WHERE isbn = '';
+UPDATE books
+      SET isbn = '978' || substr(isbn, 1, 9) || ((10 - (38 + 3 * (CAST(substr(isbn, 1, 1) AS INTEGER) + CAST(substr(isbn, 3, 1) AS INTEGER) + CAST(substr(isbn, 5, 1) AS INTEGER) + CAST(substr(isbn, 7, 1) AS INTEGER) + CAST(substr(isbn, 9, 1) AS INTEGER))
+  + CAST(substr(isbn, 2, 1) AS INTEGER) + CAST(substr(isbn, 4, 1) AS INTEGER) + CAST(substr(isbn, 6, 1) AS INTEGER) + CAST(substr(isbn, 8, 1) AS INTEGER)) % 10) % 10)
+      WHERE isbn GLOB '[0-9][0-9][0-9][0-9][0-9][0-9][0-9][0-9][0-9][0-9X]'
+        AND (10 * CAST(substr(isbn, 1, 1) AS INTEGER) + 9 * CAST(substr(isbn, 2, 1) AS INTEGER) + 8 * CAST(substr(isbn, 3, 1) AS INTEGER) + 7 * CAST(substr(isbn, 4, 1) AS INTEGER) + 6 * CAST(substr(isbn, 5, 1) AS INTEGER) + 5 * CAST(substr(isbn, 6, 1) AS INTEGER) + 4 * CAST(substr(isbn, 7, 1) AS INTEGER) + 3 * CAST(substr(isbn, 8, 1) AS INTEGER) + 2 * CAST(substr(isbn, 9, 1) AS INTEGER)
+  + CASE substr(isbn, 10, 1) WHEN 'X' THEN 10 ELSE CAST(substr(isbn, 10, 1) AS INTEGER) END) % 11 = 0;
+CREATE TABLE IF NOT EXISTS book_isbn_conflicts (
+      book_id TEXT NOT NULL,
+      isbn TEXT NOT NULL,
+      existing_id TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+INSERT INTO book_isbn_conflicts (book_id, isbn, existing_id, created_at)
+      SELECT id, isbn, first_id, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+      FROM (
+        SELECT
+          id,
+          isbn,
+          FIRST_VALUE(id) OVER (PARTITION BY isbn ORDER BY created_at, id) AS first_id,
+          ROW_NUMBER() OVER (PARTITION BY isbn ORDER BY created_at, id) AS position
+        FROM books
+        WHERE isbn IS NOT NULL AND deleted_at IS NULL
+      )
+      WHERE position > 1;
+UPDATE books SET isbn = NULL WHERE id IN (SELECT book_id FROM book_isbn_conflicts);
+DROP INDEX IF EXISTS idx_books_isbn;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_books_isbn_unique
+      ON books(isbn) WHERE isbn IS NOT NULL AND deleted_at IS NULL;
+INSERT OR IGNORE INTO schema_migrations (version, name, checksum, applied_at) VALUES (13, 'normalize_book_isbns', '8ad32f8fad7ad8f7f2aeaaae97a546e74882c7ffb452d6351d616ef8756717ca', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+-- 0014_add_book_currency
+ALTER TABLE books ADD COLUMN currency TEXT;
+UPDATE books SET price = CAST(ROUND(price * 100) AS INTEGER), currency = 'USD' WHERE price IS NOT NULL;
+UPDATE book_revisions
+      SET snapshot = json_set(snapshot, '$.price', CAST(ROUND(json_extract(snapshot, '$.price') * 100) AS INTEGER), '$.currency', 'USD')
+      WHERE json_extract(snapshot, '$.price') IS NOT NULL;
+UPDATE book_revisions
+      SET changes = json_set(
+        changes,
+        '$.price.from', CAST(ROUND(json_extract(changes, '$.price.from') * 100) AS INTEGER),
+        '$.price.to', CAST(ROUND(json_extract(changes, '$.price.to') * 100) AS INTEGER)
+      )
+      WHERE json_extract(changes, '$.price') IS NOT NULL;
+CREATE TABLE IF NOT EXISTS exchange_rates (
+      currency TEXT PRIMARY KEY,
+      rate REAL NOT NULL,
+      rate_date TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+INSERT OR IGNORE INTO exchange_rates (currency, rate, rate_date, updated_at)
+      VALUES ('USD', 1, date('now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+INSERT OR IGNORE INTO schema_migrations (version, name, checksum, applied_at) VALUES (14, 'add_book_currency', '32c050efe739bd270539cf1c86bf097244d8c62ea66fb6f43ebead86abbe3691', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+-- 0015_create_workspaces
+CREATE TABLE IF NOT EXISTS workspaces (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      created_by TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+INSERT OR IGNORE INTO workspaces (id, name, created_at, updated_at)
+      VALUES ('default', 'Default', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+CREATE TABLE IF NOT EXISTS workspace_members (
+      workspace_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('viewer', 'editor', 'admin', 'owner')),
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (workspace_id, user_id)
+    );
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON workspace_members(user_id);
+ALTER TABLE books ADD COLUMN workspace_id TEXT NOT NULL DEFAULT 'default';
+CREATE INDEX IF NOT EXISTS idx_books_workspace_created_at ON books(workspace_id, created_at);
+DROP INDEX IF EXISTS idx_books_isbn_unique;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_books_isbn_unique
+      ON books(workspace_id, isbn) WHERE isbn IS NOT NULL AND deleted_at IS NULL;
+ALTER TABLE book_revisions ADD COLUMN workspace_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE webhooks ADD COLUMN workspace_id TEXT NOT NULL DEFAULT 'default';
+CREATE INDEX IF NOT EXISTS idx_webhooks_workspace_id ON webhooks(workspace_id);
+CREATE TABLE authors_new (
+    id TEXT PRIMARY KEY,
+    workspace_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    name_key TEXT NOT NULL,
+    bio TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (workspace_id, name_key)
+  );
+INSERT INTO authors_new (id, workspace_id, name, name_key, bio, created_at, updated_at)
+    SELECT id, 'default', name, name_key, bio, created_at, updated_at FROM authors;
+DROP TABLE authors;
+ALTER TABLE authors_new RENAME TO authors;
+CREATE INDEX IF NOT EXISTS idx_authors_name ON authors(workspace_id, name);
+CREATE TABLE publishers_new (
+    id TEXT PRIMARY KEY,
+    workspace_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    name_key TEXT NOT NULL,
+    website TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (workspace_id, name_key)
+  );
+INSERT INTO publishers_new (id, workspace_id, name, name_key, website, created_at, updated_at)
+    SELECT id, 'default', name, name_key, website, created_at, updated_at FROM publishers;
+DROP TABLE publishers;
+ALTER TABLE publishers_new RENAME TO publishers;
+CREATE INDEX IF NOT EXISTS idx_publishers_name ON publishers(workspace_id, name);
+CREATE TABLE tags_new (
+    id TEXT PRIMARY KEY,
+    workspace_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    name_key TEXT NOT NULL,
+    description TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (workspace_id, name_key)
+  );
+INSERT INTO tags_new (id, workspace_id, name, name_key, description, created_at, updated_at)
+    SELECT id, 'default', name, name_key, description, created_at, updated_at FROM tags;
+DROP TABLE tags;
+ALTER TABLE tags_new RENAME TO tags;
+CREATE INDEX IF NOT EXISTS idx_tags_name ON tags(workspace_id, name);
+INSERT OR IGNORE INTO schema_migrations (version, name, checksum, applied_at) VALUES (15, 'create_workspaces', 'a3a5c065d02bf512d7fe2bed2bbd92449057eb0212ec9e80bbd9c04782e6f6e4', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
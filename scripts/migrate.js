@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+// Deploy-time migration runner.
+//
+//   node scripts/migrate.js status [--local|--remote] [--database casflo-db]
+//   node scripts/migrate.js apply  [--local|--remote] [--database casflo-db]
+//   node scripts/migrate.js schema
+//
+// status/apply drive the same MigrationRunner the API uses, talking to D1
+// through `wrangler d1 execute`. schema regenerates schema.sql from the
+// migrations so a fresh database can be created in one step.
+
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { webcrypto } from 'node:crypto';
+import { migrations } from '../src/migrations/index.js';
+import { MigrationRunner, TRACKING_TABLE_SQL } from '../src/migrations/runner.js';
+
+globalThis.crypto ??= webcrypto;
+
+const args = process.argv.slice(2);
+const command = args[0] || 'status';
+const databaseIndex = args.indexOf('--database');
+const database = databaseIndex >= 0 ? args[databaseIndex + 1] : 'casflo-db';
+const target = args.includes('--remote') ? '--remote' : '--local';
+
+const quote = (value) => {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'number') return String(value);
+  return `'${String(value).replace(/'/g, "''")}'`;
+};
+
+const inline = (sql, params) => {
+  let index = 0;
+  return params.length > 0 ? sql.replace(/\?/g, () => quote(params[index++])) : sql;
+};
+
+const wrangler = (...wranglerArgs) => {
+  const output = execFileSync(
+    'npx',
+    ['wrangler', 'd1', 'execute', database, target, '--json', ...wranglerArgs],
+    { encoding: 'utf8', stdio: ['ignore', 'pipe', 'inherit'] }
+  );
+  return JSON.parse(output);
+};
+
+// Minimal D1 binding backed by the wrangler CLI
+class WranglerStatement {
+  constructor(sql, params = []) {
+    this.sql = sql;
+    this.params = params;
+  }
+
+  bind(...params) {
+    return new WranglerStatement(this.sql, params);
+  }
+
+  toSQL() {
+    return inline(this.sql, this.params);
+  }
+
+  async all() {
+    const [result] = wrangler('--command', this.toSQL());
+    return { success: true, results: result?.results || [] };
+  }
+
+  async first() {
+    const { results } = await this.all();
+    return results[0] || null;
+  }
+
+  async run() {
+    return this.all();
+  }
+}
+
+class WranglerDatabase {
+  prepare(sql) {
+    return new WranglerStatement(sql);
+  }
+
+  async batch(statements) {
+    const dir = mkdtempSync(join(tmpdir(), 'casflo-migrate-'));
+    const file = join(dir, 'batch.sql');
+
+    try {
+      writeFileSync(file, statements.map((statement) => `${statement.toSQL()};`).join('\n'));
+      wrangler('--file', file, '--yes');
+      return statements.map(() => ({ success: true, results: [] }));
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+const writeSchema = async () => {
+  const sections = [
+    '-- Casflo API schema',
+    '-- Generated by `npm run migrate:schema` from src/migrations; do not edit by hand.',
+    '-- Apply with: wrangler d1 execute casflo-db --file=schema.sql',
+    '',
+    `${TRACKING_TABLE_SQL};`
+  ];
+
+  for (const migration of migrations) {
+    const checksum = await MigrationRunner.checksum(migration);
+    sections.push(
+      '',
+      `-- ${String(migration.version).padStart(4, '0')}_${migration.name}`,
+      ...migration.statements.map((statement) => `${statement};`),
+      `INSERT OR IGNORE INTO schema_migrations (version, name, checksum, applied_at) VALUES (${
+        [migration.version, migration.name, checksum].map(quote).join(', ')
+      }, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));`
+    );
+  }
+
+  writeFileSync(new URL('../schema.sql', import.meta.url), `${sections.join('\n')}\n`);
+  console.log(`Wrote schema.sql (${migrations.length} migrations)`);
+};
+
+const main = async () => {
+  if (command === 'schema') {
+    await writeSchema();
+    return;
+  }
+
+  const runner = new MigrationRunner(new WranglerDatabase());
+
+  if (command === 'status') {
+    console.log(JSON.stringify(await runner.status(), null, 2));
+  } else if (command === 'apply') {
+    console.log(JSON.stringify(await runner.apply(), null, 2));
+  } else {
+    throw new Error(`Unknown command: ${command}`);
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
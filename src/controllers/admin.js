@@ -0,0 +1,58 @@
+import { MigrationRunner } from '../migrations/runner.js';
+import { Logger, Performance, ResponseUtils } from '../utils/index.js';
+import { ConflictError } from '../types/index.js';
+
+export class AdminController {
+  constructor(env) {
+    this.migrationRunner = new MigrationRunner(env.DB);
+  }
+
+  // Applied vs pending schema migrations
+  async getMigrations(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const status = await this.migrationRunner.status();
+      return c.json(ResponseUtils.success(status, 'Migration status retrieved successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to get migration status', error, { requestId });
+
+      return c.json(
+        ResponseUtils.error('Failed to retrieve migration status', 500, 'MIGRATION_STATUS_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Apply pending schema migrations
+  async applyMigrations(c) {
+    const startTime = Performance.startTimer();
+    const requestId = c.get('requestId');
+
+    try {
+      const result = await this.migrationRunner.apply();
+
+      Logger.info('Migrations applied', {
+        requestId,
+        applied: result.applied.length,
+        currentVersion: result.current_version,
+        duration: Performance.formatDuration(Performance.getDuration(startTime))
+      });
+
+      return c.json(ResponseUtils.success(result, 'Migrations applied successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to apply migrations', error, { requestId });
+
+      if (error instanceof ConflictError) {
+        return c.json(ResponseUtils.error(error.message, 409, error.code), 409);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to apply migrations', 500, 'MIGRATION_ERROR'),
+        500
+      );
+    }
+  }
+}
+
+export default AdminController;
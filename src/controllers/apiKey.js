@@ -0,0 +1,119 @@
+import { ApiKeyModel } from '../models/apiKey.js';
+import { Logger, Performance, ResponseUtils } from '../utils/index.js';
+import { NotFoundError, AuthorizationError, MEMBERSHIP_RANK } from '../types/index.js';
+
+export class ApiKeyController {
+  constructor(env) {
+    this.apiKeyModel = new ApiKeyModel(env.DB);
+  }
+
+  // Keys can only be managed with a user's own token, not with another key
+  assertBearer(c) {
+    if (c.get('authMethod') !== 'bearer') {
+      throw new AuthorizationError('API keys cannot manage API keys');
+    }
+  }
+
+  // List the caller's API keys
+  async listKeys(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      this.assertBearer(c);
+      const keys = await this.apiKeyModel.listByUser(c.get('userId'));
+
+      return c.json(
+        ResponseUtils.success(keys.map(ApiKeyModel.toPublic), 'API keys retrieved successfully'),
+        200
+      );
+    } catch (error) {
+      Logger.error('Failed to list API keys', error, { requestId });
+
+      if (error instanceof AuthorizationError) {
+        return c.json(ResponseUtils.error(error.message, 403, error.code), 403);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to retrieve API keys', 500, 'GET_API_KEYS_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Create an API key; the secret is only ever shown in this response
+  async createKey(c) {
+    const startTime = Performance.startTimer();
+    const requestId = c.get('requestId');
+
+    try {
+      this.assertBearer(c);
+      const keyData = c.get('validatedData');
+      const userLevel = c.get('membershipLevel');
+      const membershipLevel = keyData.membership_level || userLevel;
+
+      if (MEMBERSHIP_RANK.indexOf(membershipLevel) > MEMBERSHIP_RANK.indexOf(userLevel)) {
+        throw new AuthorizationError(
+          'API key membership cannot exceed your own',
+          'MEMBERSHIP_REQUIRED'
+        );
+      }
+
+      const apiKey = await this.apiKeyModel.create(c.get('userId'), {
+        ...keyData,
+        membership_level: membershipLevel
+      });
+
+      Logger.info('API key created successfully', {
+        requestId,
+        apiKeyId: apiKey.id,
+        scopes: apiKey.scopes,
+        duration: Performance.formatDuration(Performance.getDuration(startTime))
+      });
+
+      return c.json(ResponseUtils.success(apiKey, 'API key created successfully'), 201);
+    } catch (error) {
+      Logger.error('Failed to create API key', error, { requestId });
+
+      if (error instanceof AuthorizationError) {
+        return c.json(ResponseUtils.error(error.message, 403, error.code), 403);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to create API key', 500, 'CREATE_API_KEY_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Revoke one of the caller's API keys
+  async revokeKey(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      this.assertBearer(c);
+      const { id } = c.get('validatedData');
+      const result = await this.apiKeyModel.revoke(c.get('userId'), id);
+
+      Logger.info('API key revoked', { requestId, apiKeyId: id });
+
+      return c.json(ResponseUtils.success(result, 'API key revoked successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to revoke API key', error, { requestId });
+
+      if (error instanceof AuthorizationError) {
+        return c.json(ResponseUtils.error(error.message, 403, error.code), 403);
+      }
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to revoke API key', 500, 'REVOKE_API_KEY_ERROR'),
+        500
+      );
+    }
+  }
+}
+
+export default ApiKeyController;
@@ -0,0 +1,235 @@
+import { UserModel } from '../models/user.js';
+import { RefreshTokenModel } from '../models/refreshToken.js';
+import { Logger, Performance, ResponseUtils, CacheUtils, Utils } from '../utils/index.js';
+import { CryptoUtils } from '../utils/crypto.js';
+import { JwtUtils } from '../utils/jwt.js';
+import { AuthenticationError, ConflictError, NotFoundError, ValidationError } from '../types/index.js';
+import { LogoutSchema } from '../types/schemas.js';
+
+const DEFAULT_ACCESS_TOKEN_TTL = 15 * 60;
+const DEFAULT_REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60;
+
+// Used when the email is unknown so failed logins take as long as real ones
+const DUMMY_PASSWORD_HASH = 'pbkdf2$sha-256$100000$AAAAAAAAAAAAAAAAAAAAAA$AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA';
+
+export class AuthController {
+  constructor(env) {
+    this.env = env;
+    this.userModel = new UserModel(env.DB);
+    this.refreshTokenModel = new RefreshTokenModel(env.DB);
+    this.cache = env.CACHE;
+    this.accessTokenTtl = parseInt(env.ACCESS_TOKEN_TTL) || DEFAULT_ACCESS_TOKEN_TTL;
+    this.refreshTokenTtl = parseInt(env.REFRESH_TOKEN_TTL) || DEFAULT_REFRESH_TOKEN_TTL;
+  }
+
+  // Sign an access token and pair it with a new or just-rotated refresh token
+  async issueTokens(user, refreshToken = null) {
+    const accessToken = await JwtUtils.sign({
+      sub: user.id,
+      role: user.role,
+      membership: user.membership_level,
+      jti: Utils.generateId()
+    }, this.env, this.accessTokenTtl);
+
+    const refresh = refreshToken ||
+      await this.refreshTokenModel.issue(user.id, this.refreshTokenTtl);
+
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: this.accessTokenTtl,
+      refresh_token: refresh.token,
+      refresh_token_expires_at: refresh.expires_at
+    };
+  }
+
+  // Register new user
+  async register(c) {
+    const startTime = Performance.startTimer();
+    const requestId = c.get('requestId');
+
+    try {
+      const { email, password, name } = c.get('validatedData');
+      const passwordHash = await CryptoUtils.hashPassword(password);
+      const user = await this.userModel.create({ email, passwordHash, name });
+      const tokens = await this.issueTokens(user);
+
+      Logger.info('User registered successfully', {
+        requestId,
+        userId: user.id,
+        duration: Performance.formatDuration(Performance.getDuration(startTime))
+      });
+
+      return c.json(ResponseUtils.success({
+        user: UserModel.toProfile(user),
+        ...tokens
+      }, 'User registered successfully'), 201);
+    } catch (error) {
+      Logger.error('Failed to register user', error, { requestId });
+
+      if (error instanceof ConflictError) {
+        return c.json(ResponseUtils.error(error.message, 409, error.code), 409);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to register user', 500, 'REGISTER_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Exchange email and password for tokens
+  async login(c) {
+    const startTime = Performance.startTimer();
+    const requestId = c.get('requestId');
+
+    try {
+      const { email, password } = c.get('validatedData');
+      const user = await this.userModel.findByEmail(email);
+      const valid = await CryptoUtils.verifyPassword(
+        password,
+        user?.password_hash || DUMMY_PASSWORD_HASH
+      );
+
+      if (!user || !valid) {
+        throw new AuthenticationError('Invalid email or password', 'INVALID_CREDENTIALS');
+      }
+
+      await this.userModel.touchLogin(user.id);
+      const tokens = await this.issueTokens(user);
+
+      Logger.info('User logged in successfully', {
+        requestId,
+        userId: user.id,
+        duration: Performance.formatDuration(Performance.getDuration(startTime))
+      });
+
+      return c.json(ResponseUtils.success({
+        user: UserModel.toProfile(user),
+        ...tokens
+      }, 'Login successful'), 200);
+    } catch (error) {
+      Logger.error('Failed to log in', error, { requestId });
+
+      if (error instanceof AuthenticationError) {
+        return c.json(ResponseUtils.error(error.message, 401, error.code), 401);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to log in', 500, 'LOGIN_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Rotate a refresh token and issue a fresh access token
+  async refresh(c) {
+    const startTime = Performance.startTimer();
+    const requestId = c.get('requestId');
+
+    try {
+      const { refresh_token } = c.get('validatedData');
+      const rotated = await this.refreshTokenModel.rotate(refresh_token, this.refreshTokenTtl);
+      const user = await this.userModel.getById(rotated.user_id);
+      const tokens = await this.issueTokens(user, rotated);
+
+      Logger.info('Tokens refreshed successfully', {
+        requestId,
+        userId: user.id,
+        duration: Performance.formatDuration(Performance.getDuration(startTime))
+      });
+
+      return c.json(ResponseUtils.success(tokens, 'Tokens refreshed successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to refresh tokens', error, { requestId });
+
+      if (error instanceof AuthenticationError || error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 401, 'AUTH_INVALID'), 401);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to refresh tokens', 500, 'REFRESH_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Revoke the caller's access token and refresh token(s)
+  async logout(c) {
+    const startTime = Performance.startTimer();
+    const requestId = c.get('requestId');
+
+    try {
+      const body = await c.req.json().catch(() => ({}));
+      const parsed = LogoutSchema.safeParse(body);
+
+      if (!parsed.success) {
+        throw new ValidationError(parsed.error.errors[0]?.message || 'Validation failed');
+      }
+
+      const { refresh_token, all_sessions } = parsed.data;
+      const userId = c.get('userId');
+
+      if (all_sessions) {
+        await this.refreshTokenModel.revokeAllForUser(userId);
+      } else if (refresh_token) {
+        const stored = await this.refreshTokenModel.findByToken(refresh_token);
+        if (stored && stored.user_id === userId) {
+          await this.refreshTokenModel.revokeFamily(stored.family_id);
+        }
+      }
+
+      // Deny-list the access token in KV until it would have expired anyway
+      const token = c.get('userToken');
+      const { jti, exp } = token ? JwtUtils.decode(token).payload : {};
+      if (this.cache && jti) {
+        // KV rejects TTLs under 60 seconds
+        const ttl = Math.max(60, exp - Math.floor(Date.now() / 1000));
+        await CacheUtils.set(this.cache, CacheUtils.getCacheKey('revoked_token', jti), true, ttl);
+      }
+
+      Logger.info('User logged out', {
+        requestId,
+        userId,
+        allSessions: all_sessions,
+        duration: Performance.formatDuration(Performance.getDuration(startTime))
+      });
+
+      return c.json(ResponseUtils.success({ logged_out: true }, 'Logged out successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to log out', error, { requestId });
+
+      if (error instanceof ValidationError) {
+        return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to log out', 500, 'LOGOUT_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Get the caller's profile
+  async me(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const user = await this.userModel.getById(c.get('userId'));
+      return c.json(ResponseUtils.success(UserModel.toProfile(user), 'Profile retrieved successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to get profile', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to retrieve profile', 500, 'PROFILE_ERROR'),
+        500
+      );
+    }
+  }
+}
+
+export default AuthController;
@@ -1,11 +1,215 @@
 import { BookModel } from '../models/book.js';
-import { Logger, Performance, ResponseUtils } from '../utils/index.js';
-import { NotFoundError, ValidationError, DatabaseError } from '../types/index.js';
+import { Logger, Performance, ResponseUtils, CacheUtils, HttpUtils, Utils } from '../utils/index.js';
+import {
+  NotFoundError,
+  ValidationError,
+  DatabaseError,
+  PreconditionFailedError,
+  PreconditionRequiredError,
+  ConflictError,
+  BatchError,
+  UnsupportedMediaTypeError,
+  WebhookEvent
+} from '../types/index.js';
+import {
+  BookSchema,
+  BookPatchSchema,
+  BookFieldsQuerySchema,
+  PriceCurrencyQuerySchema,
+  BatchModeSchema,
+  BookBatchUpdateItemSchema,
+  BookBatchDeleteItemSchema,
+  BookImportRowSchema,
+  MAX_IMPORT_ROWS,
+  validateBatchItems
+} from '../types/schemas.js';
+import { ImportUtils } from '../utils/import.js';
+import { PatchUtils } from '../utils/patch.js';
+import { dispatchEvent } from '../webhooks/dispatcher.js';
+
+const byIndex = (a, b) => a.index - b.index;
+
+// Used when MAX_REQUEST_SIZE is not configured
+const DEFAULT_MAX_IMPORT_BYTES = 10 * 1024 * 1024;
+
+// Import format implied by a Content-Type header
+const importFormat = (contentType = '') => {
+  const type = contentType.split(';')[0].trim().toLowerCase();
+
+  if (type === 'text/csv') {
+    return 'csv';
+  }
+
+  if (['application/x-ndjson', 'application/ndjson', 'application/jsonl'].includes(type)) {
+    return 'ndjson';
+  }
+
+  return null;
+};
+
+// Patch format implied by a Content-Type header (plain JSON is a merge patch)
+const patchFormat = (contentType = '') => {
+  const type = contentType.split(';')[0].trim().toLowerCase();
+
+  if (type === 'application/json-patch+json') {
+    return 'json-patch';
+  }
+
+  if (['application/merge-patch+json', 'application/json'].includes(type)) {
+    return 'merge-patch';
+  }
+
+  return null;
+};
+
+// Fields whose value differs between the stored book and its patched
+// document, validated with BookPatchSchema. Removed fields become null.
+const patchedFields = (book, patched) => {
+  if (patched === null || typeof patched !== 'object' || Array.isArray(patched)) {
+    throw new ValidationError('Patch must leave the book a JSON object');
+  }
+
+  const changed = {};
+
+  for (const key of new Set([...Object.keys(book), ...Object.keys(patched)])) {
+    const value = patched[key] ?? null;
+
+    if (PatchUtils.equal(value, book[key] ?? null)) {
+      continue;
+    }
+
+    if (!(key in BookPatchSchema.shape)) {
+      throw new ValidationError(key in book ? `"${key}" cannot be changed` : `Unknown book field "${key}"`);
+    }
+
+    changed[key] = value;
+  }
+
+  const result = BookPatchSchema.safeParse(changed);
+
+  if (!result.success) {
+    const [issue] = result.error.errors;
+    throw new ValidationError(`${issue.path.join('.')}: ${issue.message}`);
+  }
+
+  return result.data;
+};
 
 export class BookController {
-  constructor(env) {
-    this.bookModel = new BookModel(env.DB);
+  // context ({ actorId, actorType, apiKeyId, requestId }) is recorded in book
+  // history; context.workspaceId is the workspace every book operation is in
+  constructor(env, context = {}) {
+    this.env = env;
+    this.context = context;
+    this.bookModel = new BookModel(env.DB, context);
     this.cache = env.CACHE;
+    this.maxImportBytes = parseInt(env.MAX_REQUEST_SIZE) || DEFAULT_MAX_IMPORT_BYTES;
+  }
+
+  // Make cached lists, stats and the given books miss on their next read
+  async invalidateCache(ids = []) {
+    if (!this.cache) {
+      return;
+    }
+
+    await CacheUtils.bumpGenerations(this.cache, [
+      CacheUtils.booksTag(this.context.workspaceId),
+      ...ids.map((id) => CacheUtils.bookTag(id))
+    ]);
+  }
+
+  // Queue a webhook event; delivery never delays or fails the response
+  emitEvent(c, type, data) {
+    Utils.runInBackground(c, dispatchEvent(this.env, this.context.workspaceId, type, data));
+  }
+
+  // book.updated carries the changes recorded in the book's new revision;
+  // a status change also emits book.status_changed. Nothing is sent when the
+  // latest revision is not ours (a no-op revert, or a newer concurrent write).
+  emitBookUpdated(c, book) {
+    Utils.runInBackground(c, (async () => {
+      const { changes, request_id: revisionRequestId } = await this.bookModel.revisions.get(book.id, book.version);
+
+      if (revisionRequestId !== this.context.requestId) {
+        return;
+      }
+
+      await dispatchEvent(this.env, this.context.workspaceId, WebhookEvent.BOOK_UPDATED, { book, changes });
+
+      if (changes.status) {
+        await dispatchEvent(this.env, this.context.workspaceId, WebhookEvent.BOOK_STATUS_CHANGED, {
+          book,
+          from: changes.status.from,
+          to: changes.status.to
+        });
+      }
+    })());
+  }
+
+  // ?mode=atomic applies all items or none; partial (default) applies what it can
+  getBatchMode(c) {
+    const result = BatchModeSchema.safeParse(c.req.query());
+
+    if (!result.success) {
+      throw new ValidationError("mode must be 'atomic' or 'partial'");
+    }
+
+    return result.data.mode;
+  }
+
+  // Rejected atomic batches and invalid requests; anything else is a 500
+  batchErrorResponse(c, error, message, code) {
+    if (error instanceof BatchError) {
+      return c.json({
+        ...ResponseUtils.error(error.message, error.statusCode, error.code),
+        errors: error.errors
+      }, error.statusCode);
+    }
+
+    if (error instanceof ValidationError) {
+      return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
+    }
+
+    return c.json(ResponseUtils.error(message, 500, code), 500);
+  }
+
+  // fields=/exclude= for routes that validate something other than the query
+  getFieldSelection(c) {
+    const result = BookFieldsQuerySchema.safeParse(c.req.query());
+
+    if (!result.success) {
+      throw new ValidationError(result.error.errors[0]?.message || 'Invalid field selection');
+    }
+
+    return BookModel.resolveFields(result.data);
+  }
+
+  // currency= for routes that validate something other than the query
+  getPriceCurrency(c) {
+    const result = PriceCurrencyQuerySchema.safeParse(c.req.query());
+
+    if (!result.success) {
+      throw new ValidationError(result.error.errors[0]?.message || 'Invalid currency');
+    }
+
+    return result.data.currency;
+  }
+
+  // Version the client expects from If-Match (null for "*")
+  getExpectedVersion(c) {
+    const header = c.req.header('if-match');
+
+    if (!header) {
+      throw new PreconditionRequiredError();
+    }
+
+    const version = HttpUtils.parseIfMatchVersion(header);
+
+    if (version === null) {
+      throw new PreconditionFailedError('If-Match does not match any book version');
+    }
+
+    return version === '*' ? null : version;
   }
 
   // Get all books with pagination and filtering
@@ -15,10 +219,18 @@ export class BookController {
     
     try {
       const queryData = c.get('validatedData');
+      const fields = BookModel.resolveFields(queryData);
       const result = await this.bookModel.getAll(queryData);
       
+      const etag = await HttpUtils.listEtag(result.books, { ...result.pagination, fields });
+      c.header('ETag', etag);
+
+      if (HttpUtils.matchesIfNoneMatch(c.req.header('if-none-match'), etag)) {
+        return c.body(null, 304);
+      }
+      
       const response = ResponseUtils.paginated(
-        result.books,
+        result.books.map((book) => BookModel.pickFields(book, fields)),
         result.pagination,
         'Books retrieved successfully'
       );
@@ -44,6 +256,52 @@ export class BookController {
     }
   }
 
+  // Ranked full-text search
+  async searchBooks(c) {
+    const startTime = Performance.startTimer();
+    const requestId = c.get('requestId');
+    
+    try {
+      const queryData = c.get('validatedData');
+      const fields = BookModel.resolveFields(queryData);
+      const result = await this.bookModel.search(queryData);
+      
+      const etag = await HttpUtils.listEtag(result.books, { ...result.pagination, fields });
+      c.header('ETag', etag);
+
+      if (HttpUtils.matchesIfNoneMatch(c.req.header('if-none-match'), etag)) {
+        return c.body(null, 304);
+      }
+      
+      Logger.info('Book search completed', {
+        requestId,
+        count: result.books.length,
+        total: result.pagination.total,
+        duration: Performance.formatDuration(Performance.getDuration(startTime))
+      });
+      
+      return c.json(
+        ResponseUtils.paginated(
+          result.books.map((book) => BookModel.pickFields(book, fields)),
+          result.pagination,
+          'Search completed successfully'
+        ),
+        200
+      );
+    } catch (error) {
+      Logger.error('Failed to search books', error, { requestId });
+      
+      if (error instanceof ValidationError) {
+        return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
+      }
+      
+      return c.json(
+        ResponseUtils.error('Failed to search books', 500, 'SEARCH_BOOKS_ERROR'),
+        500
+      );
+    }
+  }
+
   // Get book by ID
   async getBookById(c) {
     const startTime = Performance.startTimer();
@@ -51,7 +309,18 @@ export class BookController {
     
     try {
       const { id } = c.get('validatedData');
-      const book = await this.bookModel.getById(id);
+      const fields = this.getFieldSelection(c);
+      const currency = this.getPriceCurrency(c);
+      const [book] = await this.bookModel.convertPrices([await this.bookModel.getById(id, {
+        includeDeleted: c.req.query('include_deleted') === 'true',
+        fields: BookModel.conversionFields(fields, currency)
+      })], currency);
+      const etag = HttpUtils.bookEtag(book);
+      c.header('ETag', etag);
+      
+      if (HttpUtils.matchesIfNoneMatch(c.req.header('if-none-match'), etag)) {
+        return c.body(null, 304);
+      }
       
       Logger.info('Book retrieved successfully', {
         requestId,
@@ -59,7 +328,7 @@ export class BookController {
         duration: Performance.formatDuration(Performance.getDuration(startTime))
       });
       
-      return c.json(ResponseUtils.success(book, 'Book retrieved successfully'), 200);
+      return c.json(ResponseUtils.success(BookModel.pickFields(book, fields), 'Book retrieved successfully'), 200);
     } catch (error) {
       Logger.error('Failed to get book', error, { requestId });
       
@@ -67,6 +336,56 @@ export class BookController {
         return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
       }
       
+      if (error instanceof ValidationError) {
+        return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
+      }
+      
+      return c.json(
+        ResponseUtils.error('Failed to retrieve book', 500, 'GET_BOOK_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Get book by ISBN-10 or ISBN-13
+  async getBookByIsbn(c) {
+    const startTime = Performance.startTimer();
+    const requestId = c.get('requestId');
+
+    try {
+      const { isbn } = c.get('validatedData');
+      const fields = this.getFieldSelection(c);
+      const currency = this.getPriceCurrency(c);
+      const [book] = await this.bookModel.convertPrices([await this.bookModel.getByIsbn(isbn, {
+        includeDeleted: c.req.query('include_deleted') === 'true',
+        fields: BookModel.conversionFields(fields, currency)
+      })], currency);
+      const etag = HttpUtils.bookEtag(book);
+      c.header('ETag', etag);
+
+      if (HttpUtils.matchesIfNoneMatch(c.req.header('if-none-match'), etag)) {
+        return c.body(null, 304);
+      }
+
+      Logger.info('Book retrieved by ISBN', {
+        requestId,
+        isbn,
+        bookId: book.id,
+        duration: Performance.formatDuration(Performance.getDuration(startTime))
+      });
+
+      return c.json(ResponseUtils.success(BookModel.pickFields(book, fields), 'Book retrieved successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to get book by ISBN', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      if (error instanceof ValidationError) {
+        return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
+      }
+
       return c.json(
         ResponseUtils.error('Failed to retrieve book', 500, 'GET_BOOK_ERROR'),
         500
@@ -82,6 +401,9 @@ export class BookController {
     try {
       const bookData = c.get('validatedData');
       const book = await this.bookModel.create(bookData);
+      await this.invalidateCache();
+      this.emitEvent(c, WebhookEvent.BOOK_CREATED, { book });
+      c.header('ETag', HttpUtils.bookEtag(book));
       
       Logger.info('Book created successfully', {
         requestId,
@@ -94,6 +416,10 @@ export class BookController {
     } catch (error) {
       Logger.error('Failed to create book', error, { requestId });
       
+      if (error instanceof ConflictError) {
+        return c.json({ ...ResponseUtils.error(error.message, 409, error.code), ...error.details }, 409);
+      }
+      
       if (error instanceof ValidationError) {
         return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
       }
@@ -109,16 +435,18 @@ export class BookController {
     }
   }
 
-  // Update book
+  // Replace a book with the full representation in the body
   async updateBook(c) {
     const startTime = Performance.startTimer();
     const requestId = c.get('requestId');
     
     try {
-      const { id } = c.get('validatedData');
-      const updateData = await c.req.json();
-      
-      const book = await this.bookModel.update(id, updateData);
+      const id = c.req.param('id');
+      const expectedVersion = this.getExpectedVersion(c);
+      const book = await this.bookModel.replace(id, c.get('validatedData'), expectedVersion);
+      await this.invalidateCache([id]);
+      this.emitBookUpdated(c, book);
+      c.header('ETag', HttpUtils.bookEtag(book));
       
       Logger.info('Book updated successfully', {
         requestId,
@@ -134,6 +462,21 @@ export class BookController {
         return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
       }
       
+      if (error instanceof PreconditionRequiredError) {
+        return c.json(ResponseUtils.error(error.message, 428, error.code), 428);
+      }
+      
+      if (error instanceof PreconditionFailedError) {
+        return c.json({
+          ...ResponseUtils.error(error.message, 412, error.code),
+          current_version: error.currentVersion
+        }, 412);
+      }
+      
+      if (error instanceof ConflictError) {
+        return c.json({ ...ResponseUtils.error(error.message, 409, error.code), ...error.details }, 409);
+      }
+      
       if (error instanceof ValidationError) {
         return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
       }
@@ -149,6 +492,100 @@ export class BookController {
     }
   }
 
+  // Apply a JSON Merge Patch (RFC 7386) or JSON Patch (RFC 6902) to a book
+  async patchBook(c) {
+    const startTime = Performance.startTimer();
+    const requestId = c.get('requestId');
+
+    try {
+      const { id } = c.get('validatedData');
+      const expectedVersion = this.getExpectedVersion(c);
+      const format = patchFormat(c.req.header('content-type'));
+
+      if (!format) {
+        throw new UnsupportedMediaTypeError('Send application/merge-patch+json or application/json-patch+json');
+      }
+
+      let patch;
+      try {
+        patch = await c.req.json();
+      } catch {
+        throw new ValidationError('Patch body must be valid JSON');
+      }
+
+      const current = await this.bookModel.getById(id);
+      this.bookModel.assertVersion(current, expectedVersion);
+
+      const patched = format === 'json-patch'
+        ? PatchUtils.jsonPatch(current, patch)
+        : PatchUtils.mergePatch(current, patch);
+      const fields = patchedFields(current, patched);
+      const changed = Object.keys(fields).length > 0;
+
+      // Written against the version the patch was applied to
+      const book = changed
+        ? await this.bookModel.update(id, fields, current.version)
+        : current;
+
+      if (changed) {
+        await this.invalidateCache([id]);
+        this.emitBookUpdated(c, book);
+      }
+      c.header('ETag', HttpUtils.bookEtag(book));
+
+      Logger.info('Book patched successfully', {
+        requestId,
+        bookId: id,
+        format,
+        fields: Object.keys(fields),
+        duration: Performance.formatDuration(Performance.getDuration(startTime))
+      });
+
+      return c.json(
+        ResponseUtils.success(book, changed ? 'Book updated successfully' : 'Book already matches the patch'),
+        200
+      );
+    } catch (error) {
+      Logger.error('Failed to patch book', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      if (error instanceof PreconditionRequiredError) {
+        return c.json(ResponseUtils.error(error.message, 428, error.code), 428);
+      }
+
+      if (error instanceof PreconditionFailedError) {
+        return c.json({
+          ...ResponseUtils.error(error.message, 412, error.code),
+          current_version: error.currentVersion
+        }, 412);
+      }
+
+      if (error instanceof UnsupportedMediaTypeError) {
+        return c.json(ResponseUtils.error(error.message, 415, error.code), 415);
+      }
+
+      if (error instanceof ConflictError) {
+        return c.json({ ...ResponseUtils.error(error.message, 409, error.code), ...error.details }, 409);
+      }
+
+      if (error instanceof ValidationError) {
+        return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
+      }
+
+      if (error instanceof DatabaseError) {
+        return c.json(ResponseUtils.error(error.message, 500, error.code), 500);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to patch book', 500, 'PATCH_BOOK_ERROR'),
+        500
+      );
+    }
+  }
+
   // Delete book
   async deleteBook(c) {
     const startTime = Performance.startTimer();
@@ -156,7 +593,10 @@ export class BookController {
     
     try {
       const { id } = c.get('validatedData');
-      await this.bookModel.delete(id);
+      const expectedVersion = this.getExpectedVersion(c);
+      const result = await this.bookModel.delete(id, expectedVersion);
+      await this.invalidateCache([id]);
+      this.emitEvent(c, WebhookEvent.BOOK_DELETED, { id, deleted_at: result.deleted_at });
       
       Logger.info('Book deleted successfully', {
         requestId,
@@ -164,7 +604,7 @@ export class BookController {
         duration: Performance.formatDuration(Performance.getDuration(startTime))
       });
       
-      return c.json(ResponseUtils.success({ deleted: true, id }, 'Book deleted successfully'), 200);
+      return c.json(ResponseUtils.success(result, 'Book moved to trash'), 200);
     } catch (error) {
       Logger.error('Failed to delete book', error, { requestId });
       
@@ -172,6 +612,17 @@ export class BookController {
         return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
       }
       
+      if (error instanceof PreconditionRequiredError) {
+        return c.json(ResponseUtils.error(error.message, 428, error.code), 428);
+      }
+      
+      if (error instanceof PreconditionFailedError) {
+        return c.json({
+          ...ResponseUtils.error(error.message, 412, error.code),
+          current_version: error.currentVersion
+        }, 412);
+      }
+      
       if (error instanceof DatabaseError) {
         return c.json(ResponseUtils.error(error.message, 500, error.code), 500);
       }
@@ -183,40 +634,285 @@ export class BookController {
     }
   }
 
+  // List books in the trash
+  async getTrash(c) {
+    const startTime = Performance.startTimer();
+    const requestId = c.get('requestId');
+
+    try {
+      const queryData = c.get('validatedData');
+      const fields = BookModel.resolveFields(queryData);
+      const result = await this.bookModel.getTrash(queryData);
+
+      Logger.info('Trash retrieved successfully', {
+        requestId,
+        count: result.books.length,
+        duration: Performance.formatDuration(Performance.getDuration(startTime))
+      });
+
+      return c.json(ResponseUtils.paginated(
+        result.books.map((book) => BookModel.pickFields(book, fields)),
+        result.pagination,
+        'Trash retrieved successfully'
+      ), 200);
+    } catch (error) {
+      Logger.error('Failed to get trash', error, { requestId });
+
+      if (error instanceof ValidationError) {
+        return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to retrieve trash', 500, 'GET_TRASH_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Restore a trashed book
+  async restoreBook(c) {
+    const startTime = Performance.startTimer();
+    const requestId = c.get('requestId');
+
+    try {
+      const { id } = c.get('validatedData');
+      const book = await this.bookModel.restore(id);
+      await this.invalidateCache([id]);
+      this.emitEvent(c, WebhookEvent.BOOK_RESTORED, { book });
+
+      Logger.info('Book restored successfully', {
+        requestId,
+        bookId: id,
+        duration: Performance.formatDuration(Performance.getDuration(startTime))
+      });
+
+      c.header('ETag', HttpUtils.bookEtag(book));
+      return c.json(ResponseUtils.success(book, 'Book restored successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to restore book', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      if (error instanceof ConflictError) {
+        return c.json({ ...ResponseUtils.error(error.message, 409, error.code), ...error.details }, 409);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to restore book', 500, 'RESTORE_BOOK_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Permanently delete a book (admin)
+  async purgeBook(c) {
+    const startTime = Performance.startTimer();
+    const requestId = c.get('requestId');
+
+    try {
+      const { id } = c.get('validatedData');
+      const result = await this.bookModel.purge(id);
+      await this.invalidateCache([id]);
+      this.emitEvent(c, WebhookEvent.BOOK_PURGED, { id });
+
+      Logger.info('Book purged', {
+        requestId,
+        bookId: id,
+        userId: c.get('userId'),
+        duration: Performance.formatDuration(Performance.getDuration(startTime))
+      });
+
+      return c.json(ResponseUtils.success(result, 'Book permanently deleted'), 200);
+    } catch (error) {
+      Logger.error('Failed to purge book', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to purge book', 500, 'PURGE_BOOK_ERROR'),
+        500
+      );
+    }
+  }
+
+  // List a book's revisions, newest first
+  async getBookHistory(c) {
+    const startTime = Performance.startTimer();
+    const requestId = c.get('requestId');
+
+    try {
+      const id = c.req.param('id');
+      // Trashed books keep their history
+      await this.bookModel.getById(id, { includeDeleted: true });
+      const result = await this.bookModel.revisions.listByBook(id, c.get('validatedData'));
+
+      Logger.info('Book history retrieved', {
+        requestId,
+        bookId: id,
+        count: result.revisions.length,
+        duration: Performance.formatDuration(Performance.getDuration(startTime))
+      });
+
+      return c.json(ResponseUtils.paginated(result.revisions, result.pagination, 'History retrieved successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to get book history', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to retrieve history', 500, 'GET_HISTORY_ERROR'),
+        500
+      );
+    }
+  }
+
+  // One revision including the full snapshot of the book at that point
+  async getBookRevision(c) {
+    const startTime = Performance.startTimer();
+    const requestId = c.get('requestId');
+
+    try {
+      const { id, revision } = c.get('validatedData');
+      const result = await this.bookModel.revisions.get(id, revision);
+
+      Logger.info('Book revision retrieved', {
+        requestId,
+        bookId: id,
+        revision,
+        duration: Performance.formatDuration(Performance.getDuration(startTime))
+      });
+
+      return c.json(ResponseUtils.success(result, 'Revision retrieved successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to get book revision', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to retrieve revision', 500, 'GET_REVISION_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Roll a book back to an earlier revision (If-Match required, like PUT)
+  async revertBook(c) {
+    const startTime = Performance.startTimer();
+    const requestId = c.get('requestId');
+
+    try {
+      const { id, revision } = c.get('validatedData');
+      const expectedVersion = this.getExpectedVersion(c);
+      const book = await this.bookModel.revert(id, revision, expectedVersion);
+      await this.invalidateCache([id]);
+      this.emitBookUpdated(c, book);
+      c.header('ETag', HttpUtils.bookEtag(book));
+
+      Logger.info('Book reverted successfully', {
+        requestId,
+        bookId: id,
+        revision,
+        duration: Performance.formatDuration(Performance.getDuration(startTime))
+      });
+
+      return c.json(ResponseUtils.success(book, `Book reverted to revision ${revision}`), 200);
+    } catch (error) {
+      Logger.error('Failed to revert book', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      if (error instanceof PreconditionRequiredError) {
+        return c.json(ResponseUtils.error(error.message, 428, error.code), 428);
+      }
+
+      if (error instanceof PreconditionFailedError) {
+        return c.json({
+          ...ResponseUtils.error(error.message, 412, error.code),
+          current_version: error.currentVersion
+        }, 412);
+      }
+
+      // The revision's ISBN now belongs to another book
+      if (error instanceof ConflictError) {
+        return c.json({ ...ResponseUtils.error(error.message, 409, error.code), ...error.details }, 409);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to revert book', 500, 'REVERT_BOOK_ERROR'),
+        500
+      );
+    }
+  }
+
   // Batch create books
   async createMultipleBooks(c) {
     const startTime = Performance.startTimer();
     const requestId = c.get('requestId');
     
     try {
-      const { books } = await c.req.json();
-      
-      if (!Array.isArray(books) || books.length === 0) {
-        throw new ValidationError('Books array is required');
+      const { books } = c.get('validatedData');
+      const mode = this.getBatchMode(c);
+      const atomic = mode === 'atomic';
+      const validation = validateBatchItems(BookSchema, books);
+
+      if (atomic && validation.errors.length > 0) {
+        throw new BatchError('Batch contains invalid books; nothing was created', validation.errors, 400, 'VALIDATION_ERROR');
+      }
+
+      const result = await this.bookModel.createMultiple(
+        validation.valid.map(({ index, value }) => ({ index, data: value })),
+        { atomic }
+      );
+      const errors = [...validation.errors, ...result.errors].sort(byIndex);
+
+      // Invalid items are a 400; ISBNs already taken are a conflict
+      if (atomic && errors.length > 0) {
+        throw errors.some((entry) => entry.code === 'VALIDATION_ERROR')
+          ? new BatchError('Batch contains invalid books; nothing was created', errors, 400, 'VALIDATION_ERROR')
+          : new BatchError('Batch conflicts with existing books; nothing was created', errors);
+      }
+
+      if (result.created.length > 0) {
+        await this.invalidateCache();
+        this.emitEvent(c, WebhookEvent.BATCH_COMPLETED, {
+          operation: 'create',
+          mode,
+          ids: result.created.map((entry) => entry.book.id),
+          success_count: result.created.length,
+          error_count: errors.length
+        });
       }
-      
-      const result = await this.bookModel.createMultiple(books);
       
       Logger.info('Batch create books completed', {
         requestId,
-        total: result.total,
-        success_count: result.success_count,
-        error_count: result.error_count,
+        mode,
+        total: books.length,
+        success_count: result.created.length,
+        error_count: errors.length,
         duration: Performance.formatDuration(Performance.getDuration(startTime))
       });
       
-      return c.json(ResponseUtils.success(result, 'Batch create completed'), 201);
+      return c.json(ResponseUtils.success({
+        mode,
+        created: result.created.map((entry) => entry.book),
+        errors,
+        total: books.length,
+        success_count: result.created.length,
+        error_count: errors.length
+      }, 'Batch create completed'), 201);
     } catch (error) {
       Logger.error('Failed to create multiple books', error, { requestId });
-      
-      if (error instanceof ValidationError) {
-        return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
-      }
-      
-      return c.json(
-        ResponseUtils.error('Failed to create multiple books', 500, 'BATCH_CREATE_ERROR'),
-        500
-      );
+      return this.batchErrorResponse(c, error, 'Failed to create multiple books', 'BATCH_CREATE_ERROR');
     }
   }
 
@@ -226,34 +922,56 @@ export class BookController {
     const requestId = c.get('requestId');
     
     try {
-      const { updates } = await c.req.json();
-      
-      if (!Array.isArray(updates) || updates.length === 0) {
-        throw new ValidationError('Updates array is required');
+      const { updates } = c.get('validatedData');
+      const mode = this.getBatchMode(c);
+      const atomic = mode === 'atomic';
+      const validation = validateBatchItems(BookBatchUpdateItemSchema, updates);
+
+      if (atomic && validation.errors.length > 0) {
+        throw new BatchError('Batch contains invalid updates; nothing was updated', validation.errors, 400, 'VALIDATION_ERROR');
+      }
+
+      const result = await this.bookModel.updateMultiple(
+        validation.valid.map(({ index, value }) => ({ index, ...value })),
+        { atomic }
+      );
+      const errors = [...validation.errors, ...result.errors].sort(byIndex);
+
+      if (atomic && errors.length > 0) {
+        throw new BatchError('Batch could not be applied; nothing was updated', errors);
+      }
+
+      if (result.updated.length > 0) {
+        await this.invalidateCache(result.updated.map((entry) => entry.book.id));
+        this.emitEvent(c, WebhookEvent.BATCH_COMPLETED, {
+          operation: 'update',
+          mode,
+          ids: result.updated.map((entry) => entry.book.id),
+          success_count: result.updated.length,
+          error_count: errors.length
+        });
       }
-      
-      const result = await this.bookModel.updateMultiple(updates);
       
       Logger.info('Batch update books completed', {
         requestId,
-        total: result.total,
-        success_count: result.success_count,
-        error_count: result.error_count,
+        mode,
+        total: updates.length,
+        success_count: result.updated.length,
+        error_count: errors.length,
         duration: Performance.formatDuration(Performance.getDuration(startTime))
       });
       
-      return c.json(ResponseUtils.success(result, 'Batch update completed'), 200);
+      return c.json(ResponseUtils.success({
+        mode,
+        updated: result.updated.map((entry) => entry.book),
+        errors,
+        total: updates.length,
+        success_count: result.updated.length,
+        error_count: errors.length
+      }, 'Batch update completed'), 200);
     } catch (error) {
       Logger.error('Failed to update multiple books', error, { requestId });
-      
-      if (error instanceof ValidationError) {
-        return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
-      }
-      
-      return c.json(
-        ResponseUtils.error('Failed to update multiple books', 500, 'BATCH_UPDATE_ERROR'),
-        500
-      );
+      return this.batchErrorResponse(c, error, 'Failed to update multiple books', 'BATCH_UPDATE_ERROR');
     }
   }
 
@@ -263,34 +981,159 @@ export class BookController {
     const requestId = c.get('requestId');
     
     try {
-      const { ids } = await c.req.json();
-      
-      if (!Array.isArray(ids) || ids.length === 0) {
-        throw new ValidationError('IDs array is required');
+      const { ids } = c.get('validatedData');
+      const mode = this.getBatchMode(c);
+      const atomic = mode === 'atomic';
+      const validation = validateBatchItems(BookBatchDeleteItemSchema, ids);
+
+      if (atomic && validation.errors.length > 0) {
+        throw new BatchError('Batch contains invalid IDs; nothing was deleted', validation.errors, 400, 'VALIDATION_ERROR');
+      }
+
+      const result = await this.bookModel.deleteMultiple(
+        validation.valid.map(({ index, value }) => ({ index, id: value })),
+        { atomic }
+      );
+      const errors = [...validation.errors, ...result.errors].sort(byIndex);
+
+      if (atomic && errors.length > 0) {
+        throw new BatchError('Batch could not be applied; nothing was deleted', errors);
+      }
+
+      if (result.deleted.length > 0) {
+        await this.invalidateCache(result.deleted.map((entry) => entry.id));
+        this.emitEvent(c, WebhookEvent.BATCH_COMPLETED, {
+          operation: 'delete',
+          mode,
+          ids: result.deleted.map((entry) => entry.id),
+          success_count: result.deleted.length,
+          error_count: errors.length
+        });
       }
-      
-      const result = await this.bookModel.deleteMultiple(ids);
       
       Logger.info('Batch delete books completed', {
         requestId,
-        total: result.total,
-        success_count: result.success_count,
-        error_count: result.error_count,
+        mode,
+        total: ids.length,
+        success_count: result.deleted.length,
+        error_count: errors.length,
         duration: Performance.formatDuration(Performance.getDuration(startTime))
       });
       
-      return c.json(ResponseUtils.success(result, 'Batch delete completed'), 200);
+      return c.json(ResponseUtils.success({
+        mode,
+        deleted: result.deleted.map(({ id }) => ({ deleted: true, id })),
+        errors,
+        total: ids.length,
+        success_count: result.deleted.length,
+        error_count: errors.length
+      }, 'Batch delete completed'), 200);
     } catch (error) {
       Logger.error('Failed to delete multiple books', error, { requestId });
-      
-      if (error instanceof ValidationError) {
-        return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
+      return this.batchErrorResponse(c, error, 'Failed to delete multiple books', 'BATCH_DELETE_ERROR');
+    }
+  }
+
+  // Import books from a CSV or NDJSON body and report what happened to each row
+  async importBooks(c) {
+    const startTime = Performance.startTimer();
+    const requestId = c.get('requestId');
+
+    try {
+      const { format: requestedFormat, mode, dry_run: dryRun, mapping } = c.get('validatedData');
+      const format = requestedFormat || importFormat(c.req.header('content-type'));
+
+      if (!format) {
+        throw new ValidationError('Send text/csv or application/x-ndjson, or set format');
       }
-      
-      return c.json(
-        ResponseUtils.error('Failed to delete multiple books', 500, 'BATCH_DELETE_ERROR'),
-        500
+
+      if (!c.req.raw.body) {
+        throw new ValidationError('Import body is empty');
+      }
+
+      const chunks = ImportUtils.readText(c.req.raw.body, this.maxImportBytes);
+      let ignoredColumns = [];
+      const records = format === 'csv'
+        ? ImportUtils.parseCsv(chunks, {
+          mapping: ImportUtils.parseMapping(mapping),
+          onHeader: (headers, columns) => {
+            ignoredColumns = headers.filter((header, position) => !columns[position]);
+          }
+        })
+        : ImportUtils.parseNdjson(chunks);
+
+      const parsed = [];
+      const report = [];
+
+      for await (const { row, data, error } of records) {
+        if (row > MAX_IMPORT_ROWS) {
+          throw new ValidationError(`Import cannot contain more than ${MAX_IMPORT_ROWS} rows`);
+        }
+
+        if (error) {
+          report.push({ row, status: 'failed', code: 'PARSE_ERROR', reason: error });
+        } else {
+          parsed.push({ row, data });
+        }
+      }
+
+      if (parsed.length === 0 && report.length === 0) {
+        throw new ValidationError('Import contains no rows');
+      }
+
+      const validation = validateBatchItems(BookImportRowSchema, parsed.map(({ data }) => data));
+
+      for (const { index, code, error, fields } of validation.errors) {
+        report.push({ row: parsed[index].row, status: 'failed', code, reason: error, fields });
+      }
+
+      const results = await this.bookModel.importRows(
+        validation.valid.map(({ index, value }) => ({
+          row: parsed[index].row,
+          data: value,
+          fields: Object.keys(parsed[index].data).filter((field) => value[field] !== undefined)
+        })),
+        { upsert: mode === 'upsert', dryRun }
       );
+      report.push(...results);
+      report.sort((a, b) => a.row - b.row);
+
+      const summary = { total: report.length, created: 0, updated: 0, skipped: 0, failed: 0 };
+      for (const { status } of report) {
+        summary[status] += 1;
+      }
+
+      if (!dryRun && summary.created + summary.updated > 0) {
+        await this.invalidateCache(report.filter((entry) => entry.status === 'updated').map((entry) => entry.id));
+        this.emitEvent(c, WebhookEvent.BATCH_COMPLETED, {
+          operation: 'import',
+          mode,
+          ids: report.filter((entry) => ['created', 'updated'].includes(entry.status)).map((entry) => entry.id),
+          success_count: summary.created + summary.updated,
+          error_count: summary.failed
+        });
+      }
+
+      Logger.info('Book import completed', {
+        requestId,
+        format,
+        mode,
+        dryRun,
+        ...summary,
+        duration: Performance.formatDuration(Performance.getDuration(startTime))
+      });
+
+      return c.json(ResponseUtils.success({
+        format,
+        mode,
+        dry_run: dryRun,
+        ...(format === 'csv' && { ignored_columns: ignoredColumns }),
+        summary,
+        rows: report
+      }, dryRun ? 'Import dry run completed' : 'Import completed'), 200);
+    } catch (error) {
+      Logger.error('Failed to import books', error, { requestId });
+      return this.batchErrorResponse(c, error, 'Failed to import books', 'IMPORT_ERROR');
     }
   }
 
@@ -317,6 +1160,37 @@ export class BookController {
       );
     }
   }
+
+  // Metrics over the filtered books, in total and per group (/books/stats)
+  async getBookAggregates(c) {
+    const startTime = Performance.startTimer();
+    const requestId = c.get('requestId');
+
+    try {
+      const options = c.get('validatedData');
+      const statistics = await this.bookModel.aggregate(options);
+
+      Logger.info('Book aggregates retrieved', {
+        requestId,
+        groupBy: options.group_by,
+        metrics: options.metrics,
+        duration: Performance.formatDuration(Performance.getDuration(startTime))
+      });
+
+      return c.json(ResponseUtils.success(statistics, 'Statistics retrieved successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to get book aggregates', error, { requestId });
+
+      if (error instanceof ValidationError) {
+        return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to retrieve statistics', 500, 'STATISTICS_ERROR'),
+        500
+      );
+    }
+  }
 }
 
 export default BookController;
\ No newline at end of file
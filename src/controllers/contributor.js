@@ -0,0 +1,201 @@
+import { ContributorModel } from '../models/contributor.js';
+import { BookModel } from '../models/book.js';
+import { Logger, ResponseUtils, CacheUtils, HttpUtils } from '../utils/index.js';
+import { NotFoundError, ValidationError, ConflictError } from '../types/index.js';
+
+// Authors and publishers; kind is 'author' or 'publisher'
+export class ContributorController {
+  constructor(env, kind, context = {}) {
+    this.env = env;
+    this.context = context;
+    this.model = new ContributorModel(env.DB, kind, context);
+    this.bookModel = new BookModel(env.DB, context);
+    this.cache = env.CACHE;
+    this.label = this.model.config.label;
+    this.code = this.model.config.table.toUpperCase();
+  }
+
+  async list(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const result = await this.model.list(c.get('validatedData'));
+
+      return c.json(
+        ResponseUtils.paginated(result.items, result.pagination, `${this.label}s retrieved successfully`),
+        200
+      );
+    } catch (error) {
+      Logger.error(`Failed to list ${this.model.config.table}`, error, { requestId });
+
+      return c.json(
+        ResponseUtils.error(`Failed to retrieve ${this.model.config.table}`, 500, `GET_${this.code}_ERROR`),
+        500
+      );
+    }
+  }
+
+  async create(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const item = await this.model.create(c.get('validatedData'));
+
+      Logger.info(`${this.label} created successfully`, { requestId, id: item.id });
+
+      return c.json(ResponseUtils.success(item, `${this.label} created successfully`), 201);
+    } catch (error) {
+      Logger.error(`Failed to create ${this.model.kind}`, error, { requestId });
+
+      if (error instanceof ConflictError) {
+        return c.json({ ...ResponseUtils.error(error.message, 409, error.code), ...error.details }, 409);
+      }
+
+      if (error instanceof ValidationError) {
+        return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
+      }
+
+      return c.json(
+        ResponseUtils.error(`Failed to create ${this.model.kind}`, 500, `CREATE_${this.code}_ERROR`),
+        500
+      );
+    }
+  }
+
+  async get(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const { id } = c.get('validatedData');
+      const item = this.model.toPublic(await this.model.getById(id));
+
+      return c.json(ResponseUtils.success(item, `${this.label} retrieved successfully`), 200);
+    } catch (error) {
+      Logger.error(`Failed to get ${this.model.kind}`, error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      return c.json(
+        ResponseUtils.error(`Failed to retrieve ${this.model.kind}`, 500, `GET_${this.code}_ERROR`),
+        500
+      );
+    }
+  }
+
+  // A rename is copied to every linked book, so their cached copies are dropped
+  async update(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const id = c.req.param('id');
+      const { item, bookIds } = await this.model.update(id, c.get('validatedData'));
+
+      if (bookIds.length > 0 && this.cache) {
+        await CacheUtils.bumpGenerations(this.cache, [
+          CacheUtils.booksTag(this.context.workspaceId),
+          ...bookIds.map((bookId) => CacheUtils.bookTag(bookId))
+        ]);
+      }
+
+      Logger.info(`${this.label} updated successfully`, { requestId, id, books_updated: bookIds.length });
+
+      return c.json(ResponseUtils.success(item, `${this.label} updated successfully`), 200);
+    } catch (error) {
+      Logger.error(`Failed to update ${this.model.kind}`, error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      if (error instanceof ConflictError) {
+        return c.json({ ...ResponseUtils.error(error.message, 409, error.code), ...error.details }, 409);
+      }
+
+      if (error instanceof ValidationError) {
+        return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
+      }
+
+      return c.json(
+        ResponseUtils.error(`Failed to update ${this.model.kind}`, 500, `UPDATE_${this.code}_ERROR`),
+        500
+      );
+    }
+  }
+
+  async delete(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const { id } = c.get('validatedData');
+      const result = await this.model.delete(id);
+
+      Logger.info(`${this.label} deleted`, { requestId, id });
+
+      return c.json(ResponseUtils.success(result, `${this.label} deleted successfully`), 200);
+    } catch (error) {
+      Logger.error(`Failed to delete ${this.model.kind}`, error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      if (error instanceof ConflictError) {
+        return c.json(ResponseUtils.error(error.message, 409, error.code), 409);
+      }
+
+      return c.json(
+        ResponseUtils.error(`Failed to delete ${this.model.kind}`, 500, `DELETE_${this.code}_ERROR`),
+        500
+      );
+    }
+  }
+
+  // Books linked to the record, with the same filters and paging as /books
+  async listBooks(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const id = c.req.param('id');
+      await this.model.getById(id);
+
+      const queryData = c.get('validatedData');
+      const fields = BookModel.resolveFields(queryData);
+      const result = await this.bookModel.getAll({ ...queryData, [this.model.config.idColumn]: id });
+
+      const etag = await HttpUtils.listEtag(result.books, { ...result.pagination, fields });
+      c.header('ETag', etag);
+
+      if (HttpUtils.matchesIfNoneMatch(c.req.header('if-none-match'), etag)) {
+        return c.body(null, 304);
+      }
+
+      return c.json(
+        ResponseUtils.paginated(
+          result.books.map((book) => BookModel.pickFields(book, fields)),
+          result.pagination,
+          'Books retrieved successfully'
+        ),
+        200
+      );
+    } catch (error) {
+      Logger.error(`Failed to list books of ${this.model.kind}`, error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      if (error instanceof ValidationError) {
+        return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to retrieve books', 500, 'GET_BOOKS_ERROR'),
+        500
+      );
+    }
+  }
+}
+
+export default ContributorController;
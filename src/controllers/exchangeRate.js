@@ -0,0 +1,94 @@
+import { ExchangeRateModel } from '../models/exchangeRate.js';
+import { Logger, ResponseUtils, CacheUtils } from '../utils/index.js';
+import { NotFoundError, ValidationError } from '../types/index.js';
+
+export class ExchangeRateController {
+  constructor(env) {
+    this.exchangeRateModel = new ExchangeRateModel(env.DB);
+    this.cache = env.CACHE;
+  }
+
+  // Cached responses with converted prices depend on the rates
+  async invalidateCache() {
+    if (this.cache) {
+      await CacheUtils.bumpGenerations(this.cache, [CacheUtils.EXCHANGE_RATES_TAG]);
+    }
+  }
+
+  async listRates(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const rates = await this.exchangeRateModel.list();
+
+      return c.json(
+        ResponseUtils.success(rates.map(ExchangeRateModel.toPublic), 'Exchange rates retrieved successfully'),
+        200
+      );
+    } catch (error) {
+      Logger.error('Failed to list exchange rates', error, { requestId });
+
+      return c.json(
+        ResponseUtils.error('Failed to retrieve exchange rates', 500, 'GET_EXCHANGE_RATES_ERROR'),
+        500
+      );
+    }
+  }
+
+  async updateRates(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const data = c.get('validatedData');
+      const rates = await this.exchangeRateModel.upsert(data);
+      await this.invalidateCache();
+
+      Logger.info('Exchange rates updated', { requestId, date: data.date, currencies: Object.keys(data.rates) });
+
+      return c.json(ResponseUtils.success(rates, 'Exchange rates updated successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to update exchange rates', error, { requestId });
+
+      if (error instanceof ValidationError) {
+        return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to update exchange rates', 500, 'UPDATE_EXCHANGE_RATES_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Prices in a currency without a rate are left out of conversions
+  async deleteRate(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const { currency } = c.get('validatedData');
+      const result = await this.exchangeRateModel.delete(currency);
+      await this.invalidateCache();
+
+      Logger.info('Exchange rate deleted', { requestId, currency });
+
+      return c.json(ResponseUtils.success(result, 'Exchange rate deleted successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to delete exchange rate', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      if (error instanceof ValidationError) {
+        return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to delete exchange rate', 500, 'DELETE_EXCHANGE_RATE_ERROR'),
+        500
+      );
+    }
+  }
+}
+
+export default ExchangeRateController;
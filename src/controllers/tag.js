@@ -0,0 +1,230 @@
+import { TagModel } from '../models/tag.js';
+import { BookModel } from '../models/book.js';
+import { Logger, ResponseUtils, CacheUtils } from '../utils/index.js';
+import { NotFoundError, ValidationError, ConflictError } from '../types/index.js';
+
+export class TagController {
+  // context.workspaceId is the workspace tags and books are read and written in
+  constructor(env, context = {}) {
+    this.env = env;
+    this.context = context;
+    this.tagModel = new TagModel(env.DB, context);
+    this.bookModel = new BookModel(env.DB, context);
+    this.cache = env.CACHE;
+  }
+
+  // Book lists filtered by tags are cached under the workspace's books tag
+  async invalidateCache() {
+    if (this.cache) {
+      await CacheUtils.bumpGenerations(this.cache, [CacheUtils.booksTag(this.context.workspaceId)]);
+    }
+  }
+
+  async listTags(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const result = await this.tagModel.list(c.get('validatedData'));
+
+      return c.json(ResponseUtils.paginated(result.tags, result.pagination, 'Tags retrieved successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to list tags', error, { requestId });
+
+      return c.json(
+        ResponseUtils.error('Failed to retrieve tags', 500, 'GET_TAGS_ERROR'),
+        500
+      );
+    }
+  }
+
+  async createTag(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const tag = await this.tagModel.create(c.get('validatedData'));
+
+      Logger.info('Tag created successfully', { requestId, tagId: tag.id });
+
+      return c.json(ResponseUtils.success(tag, 'Tag created successfully'), 201);
+    } catch (error) {
+      Logger.error('Failed to create tag', error, { requestId });
+
+      if (error instanceof ConflictError) {
+        return c.json({ ...ResponseUtils.error(error.message, 409, error.code), ...error.details }, 409);
+      }
+
+      if (error instanceof ValidationError) {
+        return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to create tag', 500, 'CREATE_TAG_ERROR'),
+        500
+      );
+    }
+  }
+
+  async getTag(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const { id } = c.get('validatedData');
+      const tag = await this.tagModel.getById(id);
+
+      return c.json(ResponseUtils.success(TagModel.toPublic(tag), 'Tag retrieved successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to get tag', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to retrieve tag', 500, 'GET_TAG_ERROR'),
+        500
+      );
+    }
+  }
+
+  async updateTag(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const tag = await this.tagModel.update(c.req.param('id'), c.get('validatedData'));
+      await this.invalidateCache();
+
+      Logger.info('Tag updated successfully', { requestId, tagId: tag.id });
+
+      return c.json(ResponseUtils.success(tag, 'Tag updated successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to update tag', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      if (error instanceof ConflictError) {
+        return c.json({ ...ResponseUtils.error(error.message, 409, error.code), ...error.details }, 409);
+      }
+
+      if (error instanceof ValidationError) {
+        return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to update tag', 500, 'UPDATE_TAG_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Deleting a tag also takes it off every book
+  async deleteTag(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const { id } = c.get('validatedData');
+      const result = await this.tagModel.delete(id);
+      await this.invalidateCache();
+
+      Logger.info('Tag deleted', { requestId, tagId: id });
+
+      return c.json(ResponseUtils.success(result, 'Tag deleted successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to delete tag', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to delete tag', 500, 'DELETE_TAG_ERROR'),
+        500
+      );
+    }
+  }
+
+  async getBookTags(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const { id } = c.get('validatedData');
+      await this.bookModel.getById(id, { fields: ['id'] });
+      const tags = await this.tagModel.listForBook(id);
+
+      return c.json(ResponseUtils.success(tags, 'Tags retrieved successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to get book tags', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to retrieve tags', 500, 'GET_BOOK_TAGS_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Add tags by name; unknown names become new tags
+  async addBookTags(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const id = c.req.param('id');
+      const { tags: names } = c.get('validatedData');
+      await this.bookModel.getById(id, { fields: ['id'] });
+      const tags = await this.tagModel.addToBook(id, names);
+      await this.invalidateCache();
+
+      Logger.info('Book tags added', { requestId, bookId: id, tags: names });
+
+      return c.json(ResponseUtils.success(tags, 'Tags added successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to add book tags', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      if (error instanceof ValidationError) {
+        return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to add tags', 500, 'ADD_BOOK_TAGS_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Remove one tag (by id or name) from a book
+  async removeBookTag(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const { id, tag } = c.get('validatedData');
+      await this.bookModel.getById(id, { fields: ['id'] });
+      const tags = await this.tagModel.removeFromBook(id, tag);
+      await this.invalidateCache();
+
+      Logger.info('Book tag removed', { requestId, bookId: id, tag });
+
+      return c.json(ResponseUtils.success(tags, 'Tag removed successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to remove book tag', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to remove tag', 500, 'REMOVE_BOOK_TAG_ERROR'),
+        500
+      );
+    }
+  }
+}
+
+export default TagController;
@@ -0,0 +1,206 @@
+import { WebhookModel } from '../models/webhook.js';
+import { getWebhookQueue } from '../webhooks/dispatcher.js';
+import { Logger, ResponseUtils } from '../utils/index.js';
+import { NotFoundError } from '../types/index.js';
+
+export class WebhookController {
+  // Webhooks are managed in the caller's workspace
+  constructor(env, workspaceId) {
+    this.env = env;
+    this.webhookModel = new WebhookModel(env.DB, workspaceId);
+  }
+
+  // List the caller's webhooks
+  async listWebhooks(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const webhooks = await this.webhookModel.listByUser(c.get('userId'));
+
+      return c.json(
+        ResponseUtils.success(webhooks.map(WebhookModel.toPublic), 'Webhooks retrieved successfully'),
+        200
+      );
+    } catch (error) {
+      Logger.error('Failed to list webhooks', error, { requestId });
+
+      return c.json(
+        ResponseUtils.error('Failed to retrieve webhooks', 500, 'GET_WEBHOOKS_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Create a webhook; the signing secret is only ever shown in this response
+  async createWebhook(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const webhook = await this.webhookModel.create(c.get('userId'), c.get('validatedData'));
+
+      Logger.info('Webhook created successfully', { requestId, webhookId: webhook.id, events: webhook.events });
+
+      return c.json(ResponseUtils.success(webhook, 'Webhook created successfully'), 201);
+    } catch (error) {
+      Logger.error('Failed to create webhook', error, { requestId });
+
+      return c.json(
+        ResponseUtils.error('Failed to create webhook', 500, 'CREATE_WEBHOOK_ERROR'),
+        500
+      );
+    }
+  }
+
+  async getWebhook(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const { id } = c.get('validatedData');
+      const webhook = await this.webhookModel.getById(c.get('userId'), id);
+
+      return c.json(ResponseUtils.success(WebhookModel.toPublic(webhook), 'Webhook retrieved successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to get webhook', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to retrieve webhook', 500, 'GET_WEBHOOK_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Update URL, events, description or active flag
+  async updateWebhook(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const webhook = await this.webhookModel.update(c.get('userId'), c.req.param('id'), c.get('validatedData'));
+
+      Logger.info('Webhook updated successfully', { requestId, webhookId: webhook.id });
+
+      return c.json(ResponseUtils.success(webhook, 'Webhook updated successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to update webhook', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to update webhook', 500, 'UPDATE_WEBHOOK_ERROR'),
+        500
+      );
+    }
+  }
+
+  async deleteWebhook(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const { id } = c.get('validatedData');
+      const result = await this.webhookModel.delete(c.get('userId'), id);
+
+      Logger.info('Webhook deleted', { requestId, webhookId: id });
+
+      return c.json(ResponseUtils.success(result, 'Webhook deleted successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to delete webhook', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to delete webhook', 500, 'DELETE_WEBHOOK_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Delivery log, newest first
+  async listDeliveries(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const id = c.req.param('id');
+      await this.webhookModel.getById(c.get('userId'), id);
+      const result = await this.webhookModel.listDeliveries(id, c.get('validatedData'));
+
+      return c.json(ResponseUtils.paginated(result.deliveries, result.pagination, 'Deliveries retrieved successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to list webhook deliveries', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to retrieve deliveries', 500, 'GET_DELIVERIES_ERROR'),
+        500
+      );
+    }
+  }
+
+  // One delivery including the payload that was sent
+  async getDelivery(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const { id, deliveryId } = c.get('validatedData');
+      await this.webhookModel.getById(c.get('userId'), id);
+      const delivery = await this.webhookModel.getDelivery(id, deliveryId);
+
+      return c.json(
+        ResponseUtils.success(
+          WebhookModel.deliveryToPublic(delivery, { includePayload: true }),
+          'Delivery retrieved successfully'
+        ),
+        200
+      );
+    } catch (error) {
+      Logger.error('Failed to get webhook delivery', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to retrieve delivery', 500, 'GET_DELIVERY_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Send a delivery's event again, as a new delivery with its own attempts
+  async redeliver(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const { id, deliveryId } = c.get('validatedData');
+      await this.webhookModel.getById(c.get('userId'), id);
+      const delivery = await this.webhookModel.redeliver(id, deliveryId);
+      await getWebhookQueue(this.env).send({ deliveryId: delivery.id });
+
+      Logger.info('Webhook delivery queued again', { requestId, webhookId: id, deliveryId: delivery.id, redeliveryOf: deliveryId });
+
+      return c.json(ResponseUtils.success(WebhookModel.deliveryToPublic(delivery), 'Delivery queued'), 202);
+    } catch (error) {
+      Logger.error('Failed to redeliver webhook', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to redeliver webhook', 500, 'REDELIVER_WEBHOOK_ERROR'),
+        500
+      );
+    }
+  }
+}
+
+export default WebhookController;
@@ -0,0 +1,310 @@
+import { WorkspaceModel } from '../models/workspace.js';
+import { Logger, ResponseUtils, CacheUtils } from '../utils/index.js';
+import {
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  AuthorizationError,
+  WorkspaceRole
+} from '../types/index.js';
+
+export class WorkspaceController {
+  constructor(env) {
+    this.workspaceModel = new WorkspaceModel(env.DB, env);
+    this.cache = env.CACHE;
+  }
+
+  // Members are managed by admins and owners, and only up to their own rank
+  // (see WorkspaceModel.canManage)
+  assertCanManage(c, ...roles) {
+    const actorRole = c.get('workspaceRole');
+
+    if (!WorkspaceModel.hasRole(actorRole, WorkspaceRole.ADMIN)
+      || !roles.every((role) => WorkspaceModel.canManage(actorRole, role))) {
+      throw new AuthorizationError(
+        'Only owners can manage admins and owners',
+        'WORKSPACE_ROLE_REQUIRED'
+      );
+    }
+  }
+
+  // The workspaces the caller can act in, with their role in each
+  async listWorkspaces(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const workspaces = await this.workspaceModel.listForUser(c.get('user'));
+
+      return c.json(
+        ResponseUtils.success(workspaces.map(WorkspaceModel.toPublic), 'Workspaces retrieved successfully'),
+        200
+      );
+    } catch (error) {
+      Logger.error('Failed to list workspaces', error, { requestId });
+
+      return c.json(
+        ResponseUtils.error('Failed to retrieve workspaces', 500, 'GET_WORKSPACES_ERROR'),
+        500
+      );
+    }
+  }
+
+  // The creator becomes the workspace's owner
+  async createWorkspace(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const workspace = await this.workspaceModel.create(c.get('userId'), c.get('validatedData'));
+
+      Logger.info('Workspace created successfully', { requestId, workspaceId: workspace.id });
+
+      return c.json(ResponseUtils.success(WorkspaceModel.toPublic(workspace), 'Workspace created successfully'), 201);
+    } catch (error) {
+      Logger.error('Failed to create workspace', error, { requestId });
+
+      return c.json(
+        ResponseUtils.error('Failed to create workspace', 500, 'CREATE_WORKSPACE_ERROR'),
+        500
+      );
+    }
+  }
+
+  async getWorkspace(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const workspace = await this.workspaceModel.getById(c.get('workspaceId'));
+
+      return c.json(
+        ResponseUtils.success(
+          WorkspaceModel.toPublic({ ...workspace, role: c.get('workspaceRole') }),
+          'Workspace retrieved successfully'
+        ),
+        200
+      );
+    } catch (error) {
+      Logger.error('Failed to get workspace', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to retrieve workspace', 500, 'GET_WORKSPACE_ERROR'),
+        500
+      );
+    }
+  }
+
+  async updateWorkspace(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const workspace = await this.workspaceModel.update(c.get('workspaceId'), c.get('validatedData'));
+
+      Logger.info('Workspace updated successfully', { requestId, workspaceId: workspace.id });
+
+      return c.json(
+        ResponseUtils.success(
+          WorkspaceModel.toPublic({ ...workspace, role: c.get('workspaceRole') }),
+          'Workspace updated successfully'
+        ),
+        200
+      );
+    } catch (error) {
+      Logger.error('Failed to update workspace', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      if (error instanceof ValidationError) {
+        return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to update workspace', 500, 'UPDATE_WORKSPACE_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Deletes everything in the workspace; cached reads of it are dropped too
+  async deleteWorkspace(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const workspaceId = c.get('workspaceId');
+      const result = await this.workspaceModel.delete(workspaceId);
+
+      if (this.cache) {
+        await CacheUtils.bumpGenerations(this.cache, [CacheUtils.booksTag(workspaceId)]);
+      }
+
+      Logger.info('Workspace deleted successfully', { requestId, workspaceId, booksDeleted: result.books_deleted });
+
+      return c.json(ResponseUtils.success(result, 'Workspace deleted successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to delete workspace', error, { requestId });
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      if (error instanceof ValidationError) {
+        return c.json(ResponseUtils.error(error.message, 400, error.code), 400);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to delete workspace', 500, 'DELETE_WORKSPACE_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Every member sees who else is in the workspace; emails only admins and
+  // owners, since anyone signed in reads the default workspace
+  async listMembers(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const members = await this.workspaceModel.listMembers(c.get('workspaceId'));
+      const includeEmail = WorkspaceModel.hasRole(c.get('workspaceRole'), WorkspaceRole.ADMIN);
+
+      return c.json(
+        ResponseUtils.success(
+          members.map((member) => WorkspaceModel.memberToPublic(member, { includeEmail })),
+          'Members retrieved successfully'
+        ),
+        200
+      );
+    } catch (error) {
+      Logger.error('Failed to list workspace members', error, { requestId });
+
+      return c.json(
+        ResponseUtils.error('Failed to retrieve members', 500, 'GET_MEMBERS_ERROR'),
+        500
+      );
+    }
+  }
+
+  async addMember(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const data = c.get('validatedData');
+      this.assertCanManage(c, data.role);
+
+      const member = await this.workspaceModel.addMember(c.get('workspaceId'), data);
+
+      Logger.info('Workspace member added', {
+        requestId,
+        workspaceId: c.get('workspaceId'),
+        userId: member.user_id,
+        role: member.role
+      });
+
+      return c.json(ResponseUtils.success(WorkspaceModel.memberToPublic(member), 'Member added successfully'), 201);
+    } catch (error) {
+      Logger.error('Failed to add workspace member', error, { requestId });
+
+      if (error instanceof AuthorizationError) {
+        return c.json(ResponseUtils.error(error.message, 403, error.code), 403);
+      }
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      if (error instanceof ConflictError) {
+        return c.json({ ...ResponseUtils.error(error.message, 409, error.code), ...error.details }, 409);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to add member', 500, 'ADD_MEMBER_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Change a member's role; both the current and the new role must be
+  // within the caller's reach
+  async updateMember(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const workspaceId = c.get('workspaceId');
+      const userId = c.req.param('userId');
+      const { role } = c.get('validatedData');
+      const current = await this.workspaceModel.getMember(workspaceId, userId);
+      this.assertCanManage(c, current.role, role);
+
+      const member = await this.workspaceModel.updateMember(workspaceId, userId, role);
+
+      Logger.info('Workspace member updated', { requestId, workspaceId, userId, role });
+
+      return c.json(ResponseUtils.success(WorkspaceModel.memberToPublic(member), 'Member updated successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to update workspace member', error, { requestId });
+
+      if (error instanceof AuthorizationError) {
+        return c.json(ResponseUtils.error(error.message, 403, error.code), 403);
+      }
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      if (error instanceof ConflictError) {
+        return c.json({ ...ResponseUtils.error(error.message, 409, error.code), ...error.details }, 409);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to update member', 500, 'UPDATE_MEMBER_ERROR'),
+        500
+      );
+    }
+  }
+
+  // Remove a member; any member may remove themselves to leave
+  async removeMember(c) {
+    const requestId = c.get('requestId');
+
+    try {
+      const workspaceId = c.get('workspaceId');
+      const { userId } = c.get('validatedData');
+      const current = await this.workspaceModel.getMember(workspaceId, userId);
+
+      if (userId !== c.get('userId')) {
+        this.assertCanManage(c, current.role);
+      }
+
+      const result = await this.workspaceModel.removeMember(workspaceId, userId);
+
+      Logger.info('Workspace member removed', { requestId, workspaceId, userId });
+
+      return c.json(ResponseUtils.success(result, 'Member removed successfully'), 200);
+    } catch (error) {
+      Logger.error('Failed to remove workspace member', error, { requestId });
+
+      if (error instanceof AuthorizationError) {
+        return c.json(ResponseUtils.error(error.message, 403, error.code), 403);
+      }
+
+      if (error instanceof NotFoundError) {
+        return c.json(ResponseUtils.error(error.message, 404, error.code), 404);
+      }
+
+      if (error instanceof ConflictError) {
+        return c.json({ ...ResponseUtils.error(error.message, 409, error.code), ...error.details }, 409);
+      }
+
+      return c.json(
+        ResponseUtils.error('Failed to remove member', 500, 'REMOVE_MEMBER_ERROR'),
+        500
+      );
+    }
+  }
+}
+
+export default WorkspaceController;
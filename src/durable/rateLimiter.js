@@ -0,0 +1,31 @@
+import { consume } from '../utils/rateLimit.js';
+
+// Durable Object holding the counter for one rate-limit key (addressed with
+// idFromName(key)). The count lives in memory only: if the object is evicted
+// the window simply starts over, which is acceptable for rate limiting and
+// avoids a storage write per request.
+export class RateLimiter {
+  constructor(state) {
+    this.state = state;
+    this.entry = null;
+  }
+
+  async fetch(request) {
+    if (request.method !== 'POST') {
+      return new Response('Method not allowed', { status: 405 });
+    }
+
+    const { limit, windowSeconds } = await request.json();
+
+    if (!Number.isInteger(limit) || !Number.isInteger(windowSeconds) || windowSeconds <= 0) {
+      return new Response('Invalid rate limit', { status: 400 });
+    }
+
+    const { entry, result } = consume(this.entry, limit, windowSeconds);
+    this.entry = entry;
+
+    return Response.json(result);
+  }
+}
+
+export default RateLimiter;
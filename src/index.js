@@ -1,20 +1,53 @@
 import { Hono } from 'hono';
 import { cors } from 'hono/cors';
 import { logger } from 'hono/logger';
+import { requestLogger, errorHandler, rateLimit, resolveWorkspace, describeRoute } from './middleware/index.js';
 import { bookRoutes } from './routes/book.js';
+import { authRoutes } from './routes/auth.js';
+import { apiKeyRoutes } from './routes/apiKey.js';
+import { adminRoutes } from './routes/admin.js';
+import { webhookRoutes } from './routes/webhook.js';
+import { authorRoutes, publisherRoutes } from './routes/contributor.js';
+import { tagRoutes } from './routes/tag.js';
+import { workspaceRoutes } from './routes/workspace.js';
+import { createDocsRoutes } from './routes/docs.js';
+import { handleWebhookQueue } from './webhooks/dispatcher.js';
 
 const app = new Hono();
 
 // Global middleware
 app.use('*', logger());
+app.use('*', requestLogger);
 app.use('*', cors({
   origin: ['http://localhost:3000', 'https://casflo.app'],
-  allowMethods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowHeaders: ['Content-Type', 'Authorization'],
+  allowMethods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'If-Match', 'If-None-Match', 'Idempotency-Key', 'X-Workspace-Id'],
+  exposeHeaders: [
+    'ETag',
+    'X-Request-Id',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'RateLimit-Policy',
+    'Retry-After',
+    'Idempotent-Replayed'
+  ],
 }));
 
+// Rate limiting for every API route (not /health)
+for (const path of [
+  '/books/*', '/authors/*', '/publishers/*', '/tags/*', '/workspaces/*', '/auth/*', '/api-keys/*', '/webhooks/*', '/admin/*'
+]) {
+  app.use(path, rateLimit());
+}
+
+// Workspace-scoped routes act in the workspace the caller picks
+for (const path of ['/books/*', '/authors/*', '/publishers/*', '/tags/*', '/webhooks/*']) {
+  app.use(path, resolveWorkspace());
+}
+
 // Health check
-app.get('/health', (c) => {
+app.get('/health', describeRoute({ summary: 'Health check', tags: ['system'] }), (c) => {
   return c.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
@@ -23,19 +56,38 @@ app.get('/health', (c) => {
 });
 
 // API info
-app.get('/', (c) => {
+app.get('/', describeRoute({ summary: 'API information', tags: ['system'] }), (c) => {
   return c.json({
     name: 'Casflo API - JavaScript Structured',
     version: '1.0.0',
     endpoints: {
       books: '/books',
-      health: '/health'
+      authors: '/authors',
+      publishers: '/publishers',
+      tags: '/tags',
+      workspaces: '/workspaces',
+      auth: '/auth',
+      apiKeys: '/api-keys',
+      webhooks: '/webhooks',
+      health: '/health',
+      docs: '/docs',
+      openapi: '/openapi.json'
     }
   });
 });
 
 // Routes
 app.route('/books', bookRoutes);
+app.route('/authors', authorRoutes);
+app.route('/publishers', publisherRoutes);
+app.route('/tags', tagRoutes);
+app.route('/workspaces', workspaceRoutes);
+app.route('/auth', authRoutes);
+app.route('/api-keys', apiKeyRoutes);
+app.route('/webhooks', webhookRoutes);
+app.route('/admin', adminRoutes);
+// Registered last: the OpenAPI document is built from the routes above
+app.route('/', createDocsRoutes(app));
 
 // 404 handler
 app.notFound((c) => {
@@ -43,12 +95,15 @@ app.notFound((c) => {
 });
 
 // Error handler
-app.onError((err, c) => {
-  console.error('Error:', err);
-  return c.json({ 
-    error: 'Internal server error',
-    message: err.message 
-  }, 500);
-});
+app.onError(errorHandler);
+
+// Durable Object classes must be exported from the main module
+export { RateLimiter } from './durable/rateLimiter.js';
+
+export { app };
 
-export default app;
\ No newline at end of file
+// Worker entry point: HTTP requests plus the webhook delivery queue consumer
+export default {
+  fetch: app.fetch,
+  queue: handleWebhookQueue
+};
\ No newline at end of file
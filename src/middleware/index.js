@@ -1,5 +1,34 @@
-import { Logger, Utils, CacheUtils } from '../utils/index.js';
-import { ValidationError, NotFoundError } from '../types/index.js';
+import { every } from 'hono/combine';
+import { Logger, Utils, CacheUtils, HttpUtils } from '../utils/index.js';
+import { JwtUtils } from '../utils/jwt.js';
+import { CryptoUtils } from '../utils/crypto.js';
+import { RATE_LIMITS, getRateLimitStore } from '../utils/rateLimit.js';
+import { ApiKeyModel } from '../models/apiKey.js';
+import { IdempotencyKeyModel } from '../models/idempotencyKey.js';
+import { WorkspaceModel } from '../models/workspace.js';
+import {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  AuthenticationError,
+  ServiceUnavailableError,
+  UserRole,
+  MembershipLevel,
+  ApiKeyScope,
+  MEMBERSHIP_RANK,
+  DEFAULT_WORKSPACE_ID
+} from '../types/index.js';
+
+// Record what a middleware enforces on the function itself, so the OpenAPI
+// generator can read it off the route table (see utils/openapi.js)
+const documented = (middleware, docs) => Object.assign(middleware, { docs });
+
+// Route documentation for the OpenAPI document: summary, description, tags,
+// body and query (schemas for input not checked by validate()), parameters
+// (extra OpenAPI parameters such as headers), response (schema of the success
+// body), status (success status when not 200), errors (extra error statuses)
+// and hidden. Passes every request straight through.
+export const describeRoute = (docs) => documented(async (c, next) => next(), { route: docs });
 
 // Request logging middleware
 export const requestLogger = async (c, next) => {
@@ -8,6 +37,7 @@ export const requestLogger = async (c, next) => {
   
   c.set('requestId', requestId);
   c.set('startTime', startTime);
+  c.header('X-Request-Id', requestId);
   
   Logger.info('Request started', {
     requestId,
@@ -51,6 +81,15 @@ export const errorHandler = (error, c) => {
     }, 404);
   }
   
+  if (error instanceof AppError && error.statusCode < 500) {
+    return c.json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      requestId
+    }, error.statusCode);
+  }
+  
   // Default error response
   return c.json({
     success: false,
@@ -62,13 +101,13 @@ export const errorHandler = (error, c) => {
 
 // Validation middleware
 export const validate = (schema, source = 'json') => {
-  return async (c, next) => {
+  return documented(async (c, next) => {
     try {
       let data;
       
       switch (source) {
         case 'query':
-          data = c.req.query();
+          data = HttpUtils.groupQueryParams(c.req.query());
           break;
         case 'param':
           data = c.req.param();
@@ -82,99 +121,318 @@ export const validate = (schema, source = 'json') => {
       
       await next();
     } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
       throw new ValidationError(error.errors?.[0]?.message || 'Validation failed');
     }
-  };
+  }, { schema, source });
 };
 
-// Cache middleware
-export const cache = (ttl = 300, keyGenerator) => {
-  return async (c, next) => {
+// Cache middleware. The second argument is either a key generator or
+// { key, tags } where tags(c) lists the generation tags the entry depends on.
+export const cache = (ttl = 300, options = {}) => {
+  const { key: keyGenerator, tags } = typeof options === 'function'
+    ? { key: options }
+    : options;
+
+  return documented(async (c, next) => {
     const cache = c.env?.CACHE;
     if (!cache) {
       await next();
       return;
     }
     
-    const cacheKey = keyGenerator ? keyGenerator(c) : 
+    let cacheKey = keyGenerator ? keyGenerator(c) : 
       CacheUtils.getCacheKey('api', c.req.url);
+
+    // The same URL reads different data in each workspace
+    const workspaceId = c.get('workspaceId');
+    if (workspaceId) {
+      cacheKey = `${cacheKey}@${workspaceId}`;
+    }
+
+    if (tags) {
+      const generations = await CacheUtils.getGenerations(cache, tags(c));
+      if (generations === null) {
+        await next();
+        return;
+      }
+      cacheKey = `${cacheKey}#${generations}`;
+    }
     
-    // Try to get from cache
+    // Try to get from cache (entries are { body, etag })
     const cached = await CacheUtils.get(cache, cacheKey);
-    if (cached) {
+    if (cached?.body) {
       Logger.info('Cache hit', { key: cacheKey });
-      return c.json(cached);
+      
+      if (cached.etag) {
+        c.header('ETag', cached.etag);
+        
+        if (HttpUtils.matchesIfNoneMatch(c.req.header('if-none-match'), cached.etag)) {
+          return c.body(null, 304);
+        }
+      }
+      
+      return c.json(cached.body);
     }
     
     await next();
     
+    // Only successful responses are cached
+    if (c.res.status !== 200) {
+      return;
+    }
+    
     // Cache the response
-    const responseData = await c.res.json();
+    const responseData = {
+      body: await c.res.clone().json(),
+      etag: c.res.headers.get('ETag')
+    };
     await CacheUtils.set(cache, cacheKey, responseData, ttl);
     
     Logger.info('Response cached', { key: cacheKey, ttl });
-  };
+  }, { cacheTtl: ttl });
 };
 
-// Rate limiting middleware (basic implementation)
-export const rateLimit = (maxRequests = 100, windowMs = 60000) => {
-  const requests = new Map();
-  
-  return async (c, next) => {
-    const clientIp = c.req.header('cf-connecting-ip') || c.req.header('x-forwarded-for') || 'unknown';
-    const now = Date.now();
-    const windowStart = now - windowMs;
-    
-    // Clean old requests
-    if (requests.has(clientIp)) {
-      const clientRequests = requests.get(clientIp).filter(time => time > windowStart);
-      requests.set(clientIp, clientRequests);
+// Route group used for rate limiting when none is given explicitly
+const rateLimitGroup = (c) => {
+  if (/\/(batch|import)$/.test(c.req.path)) {
+    return 'batch';
+  }
+
+  return ['GET', 'HEAD'].includes(c.req.method) ? 'read' : 'write';
+};
+
+// Rate limiting middleware. Budgets depend on the caller's tier and the
+// route group (read, write or batch; derived from the request by default).
+// Authenticated callers are counted per API key or user, others per IP.
+export const rateLimit = (group = rateLimitGroup) => {
+  return documented(async (c, next) => {
+    let user = null;
+
+    try {
+      user = await authenticateRequest(c);
+    } catch {
+      // Missing or invalid credentials: count by IP and let the route's
+      // own auth middleware reject the request if it needs a user
     }
-    
-    const currentRequests = requests.get(clientIp) || [];
-    
-    if (currentRequests.length >= maxRequests) {
+
+    const routeGroup = typeof group === 'function' ? group(c) : group;
+    const tier = !user
+      ? 'anonymous'
+      : user.role === UserRole.ADMIN ? MembershipLevel.PREMIUM : user.membershipLevel;
+    const { limit, windowSeconds } = (RATE_LIMITS[tier] || RATE_LIMITS.anonymous)[routeGroup];
+
+    let identity;
+    if (user?.apiKeyId) {
+      identity = `key:${user.apiKeyId}`;
+    } else if (user) {
+      identity = `user:${user.id}`;
+    } else {
+      identity = `ip:${c.req.header('cf-connecting-ip') || c.req.header('x-forwarded-for') || 'unknown'}`;
+    }
+
+    let result;
+    try {
+      result = await getRateLimitStore(c.env).hit(`${routeGroup}:${identity}`, limit, windowSeconds);
+    } catch (error) {
+      // Fail open: an unavailable limiter must not take the API down
+      Logger.warn('Rate limiter unavailable', { requestId: c.get('requestId'), error: error.message });
+      return next();
+    }
+
+    c.header('RateLimit-Limit', String(result.limit));
+    c.header('RateLimit-Remaining', String(result.remaining));
+    c.header('RateLimit-Reset', String(result.reset));
+    c.header('RateLimit-Policy', `${result.limit};w=${result.window_seconds}`);
+
+    if (!result.allowed) {
+      Logger.warn('Rate limit exceeded', { requestId: c.get('requestId'), identity, group: routeGroup, tier });
+
+      c.header('Retry-After', String(result.reset));
       return c.json({
         success: false,
         error: 'Too many requests',
         code: 'RATE_LIMIT_EXCEEDED'
       }, 429);
     }
-    
-    currentRequests.push(now);
-    requests.set(clientIp, currentRequests);
-    
+
     await next();
-  };
+  }, { rateLimited: true });
+};
+
+const setUser = (c, user) => {
+  c.set('user', user);
+  c.set('userId', user.id);
+  c.set('userRole', user.role);
+  c.set('membershipLevel', user.membershipLevel);
+  c.set('scopes', user.scopes);
+  c.set('authMethod', user.authMethod);
+  return user;
+};
+
+// Resolve an X-API-Key header; keys never act with more than the owner's tier
+const authenticateApiKey = async (c, key) => {
+  const apiKeyModel = new ApiKeyModel(c.env.DB);
+  const apiKey = ApiKeyModel.isApiKey(key) ? await apiKeyModel.findActiveByKey(key) : null;
+
+  if (!apiKey) {
+    throw new AuthenticationError('Invalid API key');
+  }
+
+  Utils.runInBackground(c, apiKeyModel.touchLastUsed(apiKey.id));
+
+  const keyRank = MEMBERSHIP_RANK.indexOf(apiKey.membership_level);
+  const ownerRank = MEMBERSHIP_RANK.indexOf(apiKey.user_membership_level);
+
+  return setUser(c, {
+    id: apiKey.user_id,
+    role: UserRole.USER,
+    membershipLevel: MEMBERSHIP_RANK[Math.max(0, Math.min(keyRank, ownerRank))],
+    scopes: JSON.parse(apiKey.scopes),
+    apiKeyId: apiKey.id,
+    authMethod: 'api_key'
+  });
+};
+
+// Resolve the caller from an API key or bearer token and store it on the context
+export const authenticateRequest = async (c) => {
+  const existing = c.get('user');
+  if (existing) {
+    return existing;
+  }
+
+  const apiKey = c.req.header('x-api-key');
+  if (apiKey) {
+    return authenticateApiKey(c, apiKey);
+  }
+
+  const authHeader = c.req.header('authorization');
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new AuthenticationError('Authorization token or API key required', 'AUTH_REQUIRED');
+  }
+
+  const token = authHeader.substring(7);
+  const claims = await JwtUtils.verify(token, c.env);
+
+  const cache = c.env?.CACHE;
+  if (cache && claims.jti) {
+    const revoked = await CacheUtils.get(cache, CacheUtils.getCacheKey('revoked_token', claims.jti));
+    if (revoked) {
+      throw new AuthenticationError('Token has been revoked');
+    }
+  }
+
+  c.set('userToken', token);
+
+  // Bearer tokens carry every scope; only API keys are narrowed
+  return setUser(c, {
+    id: claims.sub,
+    role: Object.values(UserRole).includes(claims.role) ? claims.role : UserRole.USER,
+    membershipLevel: MEMBERSHIP_RANK.includes(claims.membership)
+      ? claims.membership
+      : MembershipLevel.FREE,
+    scopes: Object.values(ApiKeyScope),
+    workspaceId: typeof claims.workspace_id === 'string' ? claims.workspace_id : null,
+    authMethod: 'bearer'
+  });
+};
+
+// Response for credentials authenticateRequest could not accept: 401 when
+// they are invalid, 503 when the token signing keys cannot be loaded. Any
+// other error is left to the error handler.
+const authFailureResponse = (c, error) => {
+  if (error instanceof ServiceUnavailableError) {
+    Logger.error('Authentication unavailable', error, { requestId: c.get('requestId') });
+
+    c.header('Retry-After', '30');
+    return c.json({
+      success: false,
+      error: error.message,
+      code: error.code
+    }, 503);
+  }
+
+  if (!(error instanceof AuthenticationError)) {
+    throw error;
+  }
+
+  Logger.warn('Authentication failed', {
+    requestId: c.get('requestId'),
+    reason: error.message
+  });
+
+  c.header('WWW-Authenticate', 'Bearer');
+  return c.json({
+    success: false,
+    error: error.message,
+    code: error.code
+  }, 401);
+};
+
+export const hasMembership = (user, requiredLevel) => {
+  if (user.role === UserRole.ADMIN) {
+    return true;
+  }
+
+  return MEMBERSHIP_RANK.indexOf(user.membershipLevel) >= MEMBERSHIP_RANK.indexOf(requiredLevel);
 };
 
 // Membership middleware
 export const requireMembership = (requiredLevel = 'basic') => {
-  return async (c, next) => {
-    const authHeader = c.req.header('authorization');
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+  return documented(async (c, next) => {
+    let user;
+
+    try {
+      user = await authenticateRequest(c);
+    } catch (error) {
+      return authFailureResponse(c, error);
+    }
+
+    if (!hasMembership(user, requiredLevel)) {
       return c.json({
         success: false,
-        error: 'Authorization token required',
-        code: 'AUTH_REQUIRED'
-      }, 401);
+        error: `${requiredLevel} membership required`,
+        code: 'MEMBERSHIP_REQUIRED'
+      }, 403);
     }
-    
-    const token = authHeader.substring(7);
-    
-    // Here you would validate the token and check membership level
-    // For now, we'll just pass through
-    c.set('userToken', token);
-    c.set('membershipLevel', 'premium'); // Mock value
-    
+
     await next();
-  };
+  }, { auth: true, membership: requiredLevel });
 };
 
+// API key scope check (bearer tokens hold every scope). Public reads pass
+// allowAnonymous: callers without credentials skip the check, while API keys
+// still need the scope.
+export const requireScope = (scope, { allowAnonymous = false } = {}) => {
+  return documented(async (c, next) => {
+    if (allowAnonymous && !c.get('user')) {
+      return next();
+    }
+
+    const scopes = c.get('scopes') || [];
+
+    if (!scopes.includes(scope)) {
+      return c.json({
+        success: false,
+        error: `API key is missing the ${scope} scope`,
+        code: 'INSUFFICIENT_SCOPE'
+      }, 403);
+    }
+
+    await next();
+  }, { scope });
+};
+
+// Any authenticated caller, regardless of membership tier
+export const requireAuth = () => requireMembership(MembershipLevel.FREE);
+
 // Role-based access control
 export const requireRole = (requiredRole = 'user') => {
-  return async (c, next) => {
+  return documented(async (c, next) => {
     const userRole = c.get('userRole') || 'user';
     
     if (userRole !== requiredRole && userRole !== 'admin') {
@@ -186,15 +444,195 @@ export const requireRole = (requiredRole = 'user') => {
     }
     
     await next();
-  };
+  }, { role: requiredRole });
+};
+
+// Resolve the workspace a request acts in, with the caller's role there:
+// the X-Workspace-Id header, else the bearer token's workspace_id claim,
+// else the default workspace. With param, the workspace named by that route
+// parameter instead. Workspaces the caller is not a member of are reported
+// as not found, like ones that do not exist. Mount before cache(): cache
+// keys are scoped to the workspace.
+export const resolveWorkspace = (param = null) => {
+  return documented(async (c, next) => {
+    let user = null;
+
+    // Invalid credentials read the default workspace anonymously; keys that
+    // cannot be loaded fail the request
+    try {
+      user = await authenticateRequest(c);
+    } catch (error) {
+      if (!(error instanceof AuthenticationError)) {
+        return authFailureResponse(c, error);
+      }
+    }
+
+    const id = param
+      ? c.req.param(param)
+      : c.req.header('x-workspace-id') || user?.workspaceId || DEFAULT_WORKSPACE_ID;
+
+    if (!user && id !== DEFAULT_WORKSPACE_ID) {
+      c.header('WWW-Authenticate', 'Bearer');
+      return c.json({
+        success: false,
+        error: 'Authentication is required to use a workspace',
+        code: 'AUTH_REQUIRED'
+      }, 401);
+    }
+
+    const workspace = await new WorkspaceModel(c.env.DB, c.env).resolve(id, user);
+
+    if (!workspace) {
+      return c.json({
+        success: false,
+        error: 'Workspace not found',
+        code: 'WORKSPACE_NOT_FOUND'
+      }, 404);
+    }
+
+    c.set('workspace', workspace);
+    c.set('workspaceId', workspace.id);
+    c.set('workspaceRole', workspace.role);
+
+    await next();
+  }, { workspace: param ? 'param' : 'header' });
+};
+
+// Minimum role in the resolved workspace (see resolveWorkspace)
+export const requireWorkspaceRole = (requiredRole) => {
+  return documented(async (c, next) => {
+    const role = c.get('workspaceRole');
+
+    if (!role || !WorkspaceModel.hasRole(role, requiredRole)) {
+      return c.json({
+        success: false,
+        error: `${requiredRole} role in this workspace required`,
+        code: 'WORKSPACE_ROLE_REQUIRED'
+      }, 403);
+    }
+
+    await next();
+  }, { workspaceRole: requiredRole });
+};
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+// Default seconds a stored response is replayed for (IDEMPOTENCY_TTL overrides)
+const DEFAULT_IDEMPOTENCY_TTL = 86400;
+
+// Idempotency-Key support for POST endpoints. The first request with a key
+// runs and its response is stored; identical retries get that response
+// replayed, a different body is rejected with 422 and a retry that arrives
+// while the first is still running gets 409. Mount after authentication:
+// keys are scoped to the calling user or API key and the workspace.
+export const idempotency = () => {
+  return documented(async (c, next) => {
+    const key = c.req.header('idempotency-key');
+    const user = c.get('user');
+
+    if (!key || !user) {
+      return next();
+    }
+
+    if (key.length > MAX_IDEMPOTENCY_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+      return c.json({
+        success: false,
+        error: `Idempotency-Key must be 1-${MAX_IDEMPOTENCY_KEY_LENGTH} printable ASCII characters`,
+        code: 'INVALID_IDEMPOTENCY_KEY'
+      }, 400);
+    }
+
+    const scope = `${user.apiKeyId ? `key:${user.apiKeyId}` : `user:${user.id}`}@${c.get('workspaceId')}`;
+    const url = new URL(c.req.url);
+    const fingerprint = await CryptoUtils.sha256(
+      `${c.req.method} ${url.pathname}${url.search}\n${await c.req.text()}`
+    );
+    const ttl = parseInt(c.env?.IDEMPOTENCY_TTL) || DEFAULT_IDEMPOTENCY_TTL;
+    const model = new IdempotencyKeyModel(c.env.DB);
+
+    if (!(await model.claim(scope, key, fingerprint, ttl))) {
+      const existing = await model.find(scope, key);
+
+      if (existing && existing.fingerprint !== fingerprint) {
+        return c.json({
+          success: false,
+          error: 'Idempotency-Key was already used with a different request',
+          code: 'IDEMPOTENCY_KEY_MISMATCH'
+        }, 422);
+      }
+
+      if (!existing || existing.status === 'in_flight') {
+        c.header('Retry-After', '1');
+        return c.json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed',
+          code: 'IDEMPOTENCY_IN_PROGRESS'
+        }, 409);
+      }
+
+      Logger.info('Idempotent request replayed', { requestId: c.get('requestId'), scope });
+      return c.body(existing.response_body, existing.response_status, {
+        ...JSON.parse(existing.response_headers || '{}'),
+        'Idempotent-Replayed': 'true'
+      });
+    }
+
+    await next();
+
+    // Server errors are not stored so the client can retry with the same key
+    if (c.res.status >= 500) {
+      await model.release(scope, key);
+      return;
+    }
+
+    try {
+      const headers = {};
+      for (const name of ['content-type', 'etag', 'location']) {
+        const value = c.res.headers.get(name);
+        if (value) {
+          headers[name] = value;
+        }
+      }
+
+      await model.complete(scope, key, {
+        status: c.res.status,
+        headers,
+        body: await c.res.clone().text()
+      });
+      Utils.runInBackground(c, model.deleteExpired());
+    } catch (error) {
+      // The request itself succeeded; only replay is lost
+      Logger.error('Failed to store idempotent response', error, { requestId: c.get('requestId') });
+    }
+  }, { idempotent: true });
+};
+
+// Query flags that only admins may set (e.g. include_deleted). Mount before
+// cache() so other callers can never read an admin-only view from the cache.
+export const requireRoleForFlag = (flag, requiredRole = UserRole.ADMIN) => {
+  const guard = every(requireAuth(), requireRole(requiredRole));
+
+  return documented(async (c, next) => {
+    if (c.req.query(flag) !== 'true') {
+      return next();
+    }
+
+    return guard(c, next);
+  }, { flag: { name: flag, role: requiredRole } });
 };
 
 export default {
   requestLogger,
+  describeRoute,
   errorHandler,
   validate,
   cache,
   rateLimit,
   requireMembership,
-  requireRole
+  requireAuth,
+  requireScope,
+  requireRole,
+  requireRoleForFlag,
+  resolveWorkspace,
+  requireWorkspaceRole,
+  idempotency
 };
\ No newline at end of file
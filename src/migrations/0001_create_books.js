@@ -0,0 +1,28 @@
+export default {
+  version: 1,
+  name: 'create_books',
+  statements: [
+    `CREATE TABLE IF NOT EXISTS books (
+      id TEXT PRIMARY KEY,
+      title TEXT NOT NULL,
+      author TEXT NOT NULL,
+      description TEXT,
+      status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'inactive', 'archived')),
+      published_date TEXT,
+      isbn TEXT,
+      pages INTEGER,
+      language TEXT,
+      genre TEXT,
+      publisher TEXT,
+      price REAL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_books_created_at ON books(created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_books_updated_at ON books(updated_at)',
+    'CREATE INDEX IF NOT EXISTS idx_books_title ON books(title)',
+    'CREATE INDEX IF NOT EXISTS idx_books_author ON books(author)',
+    'CREATE INDEX IF NOT EXISTS idx_books_status ON books(status)',
+    'CREATE INDEX IF NOT EXISTS idx_books_genre ON books(genre)'
+  ]
+};
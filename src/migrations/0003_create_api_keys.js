@@ -0,0 +1,20 @@
+export default {
+  version: 3,
+  name: 'create_api_keys',
+  statements: [
+    `CREATE TABLE IF NOT EXISTS api_keys (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      scopes TEXT NOT NULL,
+      membership_level TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      last_used_at TEXT,
+      expires_at TEXT,
+      revoked_at TEXT
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id)'
+  ]
+};
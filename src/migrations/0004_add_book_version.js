@@ -0,0 +1,7 @@
+export default {
+  version: 4,
+  name: 'add_book_version',
+  statements: [
+    'ALTER TABLE books ADD COLUMN version INTEGER NOT NULL DEFAULT 1'
+  ]
+};
@@ -0,0 +1,32 @@
+// Full-text index over books, kept in sync by triggers. It is an external
+// content table keyed on books.rowid; if it ever drifts, repopulate it with
+// INSERT INTO books_fts(books_fts) VALUES ('rebuild').
+export default {
+  version: 5,
+  name: 'create_books_fts',
+  statements: [
+    `CREATE VIRTUAL TABLE IF NOT EXISTS books_fts USING fts5(
+      title,
+      author,
+      description,
+      content = 'books',
+      content_rowid = 'rowid',
+      tokenize = 'unicode61 remove_diacritics 2'
+    )`,
+    `CREATE TRIGGER IF NOT EXISTS books_fts_after_insert AFTER INSERT ON books BEGIN
+      INSERT INTO books_fts (rowid, title, author, description)
+      VALUES (new.rowid, new.title, new.author, new.description);
+    END`,
+    `CREATE TRIGGER IF NOT EXISTS books_fts_after_delete AFTER DELETE ON books BEGIN
+      INSERT INTO books_fts (books_fts, rowid, title, author, description)
+      VALUES ('delete', old.rowid, old.title, old.author, old.description);
+    END`,
+    `CREATE TRIGGER IF NOT EXISTS books_fts_after_update AFTER UPDATE OF title, author, description ON books BEGIN
+      INSERT INTO books_fts (books_fts, rowid, title, author, description)
+      VALUES ('delete', old.rowid, old.title, old.author, old.description);
+      INSERT INTO books_fts (rowid, title, author, description)
+      VALUES (new.rowid, new.title, new.author, new.description);
+    END`,
+    "INSERT INTO books_fts (books_fts) VALUES ('rebuild')"
+  ]
+};
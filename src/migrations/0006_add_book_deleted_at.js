@@ -0,0 +1,10 @@
+// Soft delete: trashed books keep their row with deleted_at set until an
+// admin purges them
+export default {
+  version: 6,
+  name: 'add_book_deleted_at',
+  statements: [
+    'ALTER TABLE books ADD COLUMN deleted_at TEXT',
+    'CREATE INDEX IF NOT EXISTS idx_books_deleted_at ON books(deleted_at)'
+  ]
+};
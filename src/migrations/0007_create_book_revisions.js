@@ -0,0 +1,39 @@
+// One row per change to a book. revision matches books.version after the
+// change; snapshot is the full row at that point so any revision can be
+// shown or reverted to. Existing books get a baseline revision for their
+// current state.
+export default {
+  version: 7,
+  name: 'create_book_revisions',
+  statements: [
+    `CREATE TABLE IF NOT EXISTS book_revisions (
+      id TEXT PRIMARY KEY,
+      book_id TEXT NOT NULL,
+      revision INTEGER NOT NULL,
+      action TEXT NOT NULL CHECK (action IN ('baseline', 'create', 'update', 'delete', 'restore', 'revert')),
+      source_revision INTEGER,
+      actor_id TEXT,
+      actor_type TEXT,
+      api_key_id TEXT,
+      request_id TEXT,
+      changes TEXT NOT NULL,
+      snapshot TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      UNIQUE (book_id, revision)
+    )`,
+    `INSERT OR IGNORE INTO book_revisions (
+      id, book_id, revision, action, changes, snapshot, created_at
+    )
+    SELECT
+      lower(hex(randomblob(16))), id, version, 'baseline', '{}',
+      json_object(
+        'id', id, 'title', title, 'author', author, 'description', description,
+        'status', status, 'published_date', published_date, 'isbn', isbn,
+        'pages', pages, 'language', language, 'genre', genre,
+        'publisher', publisher, 'price', price, 'created_at', created_at,
+        'updated_at', updated_at, 'version', version, 'deleted_at', deleted_at
+      ),
+      strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+    FROM books`
+  ]
+};
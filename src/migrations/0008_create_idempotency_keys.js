@@ -0,0 +1,22 @@
+// Idempotency-Key records: the first request with a key claims it
+// (in_flight), then stores its response for replay until expires_at
+export default {
+  version: 8,
+  name: 'create_idempotency_keys',
+  statements: [
+    `CREATE TABLE IF NOT EXISTS idempotency_keys (
+      scope TEXT NOT NULL,
+      key TEXT NOT NULL,
+      fingerprint TEXT NOT NULL,
+      status TEXT NOT NULL CHECK (status IN ('in_flight', 'completed')),
+      response_status INTEGER,
+      response_headers TEXT,
+      response_body TEXT,
+      created_at TEXT NOT NULL,
+      locked_until TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      PRIMARY KEY (scope, key)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at)'
+  ]
+};
@@ -0,0 +1,39 @@
+// Outbound webhook subscriptions and their delivery log. A delivery is one
+// event sent to one webhook; redelivering creates a new row for the same
+// event_id so the log keeps every attempt.
+export default {
+  version: 9,
+  name: 'create_webhooks',
+  statements: [
+    `CREATE TABLE IF NOT EXISTS webhooks (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      url TEXT NOT NULL,
+      description TEXT,
+      events TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_webhooks_user_id ON webhooks(user_id)',
+    `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id TEXT PRIMARY KEY,
+      webhook_id TEXT NOT NULL,
+      event_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL CHECK (status IN ('pending', 'succeeded', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      response_status INTEGER,
+      response_body TEXT,
+      error TEXT,
+      redelivery_of TEXT,
+      created_at TEXT NOT NULL,
+      last_attempt_at TEXT,
+      next_attempt_at TEXT,
+      completed_at TEXT
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id, created_at)'
+  ]
+};
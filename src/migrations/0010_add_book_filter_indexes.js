@@ -0,0 +1,13 @@
+// Indexes for the list filters and sort columns added with range filters
+export default {
+  version: 10,
+  name: 'add_book_filter_indexes',
+  statements: [
+    'CREATE INDEX IF NOT EXISTS idx_books_price ON books(price)',
+    'CREATE INDEX IF NOT EXISTS idx_books_pages ON books(pages)',
+    'CREATE INDEX IF NOT EXISTS idx_books_published_date ON books(published_date)',
+    'CREATE INDEX IF NOT EXISTS idx_books_language ON books(language)',
+    'CREATE INDEX IF NOT EXISTS idx_books_publisher ON books(publisher)',
+    'CREATE INDEX IF NOT EXISTS idx_books_isbn ON books(isbn)'
+  ]
+};
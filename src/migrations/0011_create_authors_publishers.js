@@ -0,0 +1,52 @@
+// Authors and publishers become records that books link to by id. name_key
+// folds the ways a name gets typed ("J. R. R. Tolkien", "J.R.R. Tolkien")
+// into one key: ASCII letters lowercased, spaces and . , ' " - removed. It
+// must match ContributorModel.nameKey. Existing books are linked to one
+// record per key, named after the oldest book's spelling, and their text
+// column is rewritten to that name.
+const nameKey = (column) => [' ', '\t', '\n', '\r', '.', ',', "''", '"', '-'].reduce(
+  (sql, char) => `replace(${sql}, '${char}', '')`,
+  `lower(${column})`
+);
+
+const contributorStatements = (table, column, detail) => [
+  `CREATE TABLE IF NOT EXISTS ${table} (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    name_key TEXT NOT NULL UNIQUE,
+    ${detail} TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_${table}_name ON ${table}(name)`,
+  `ALTER TABLE books ADD COLUMN ${column}_id TEXT`,
+  `CREATE INDEX IF NOT EXISTS idx_books_${column}_id ON books(${column}_id)`,
+  `INSERT INTO ${table} (id, name, name_key, created_at, updated_at)
+    SELECT lower(hex(randomblob(16))), name, name_key, now, now
+    FROM (
+      SELECT
+        trim(${column}) AS name,
+        ${nameKey(column)} AS name_key,
+        strftime('%Y-%m-%dT%H:%M:%fZ', 'now') AS now,
+        ROW_NUMBER() OVER (PARTITION BY ${nameKey(column)} ORDER BY created_at, id) AS position
+      FROM books
+      WHERE ${column} IS NOT NULL AND ${nameKey(column)} != ''
+    )
+    WHERE position = 1`,
+  `UPDATE books SET ${column}_id = (
+    SELECT id FROM ${table} WHERE name_key = ${nameKey('books.' + column)}
+  )
+  WHERE ${column} IS NOT NULL`,
+  `UPDATE books SET ${column} = (SELECT name FROM ${table} WHERE id = books.${column}_id)
+  WHERE ${column}_id IS NOT NULL
+    AND ${column} != (SELECT name FROM ${table} WHERE id = books.${column}_id)`
+];
+
+export default {
+  version: 11,
+  name: 'create_authors_publishers',
+  statements: [
+    ...contributorStatements('authors', 'author', 'bio'),
+    ...contributorStatements('publishers', 'publisher', 'website')
+  ]
+};
@@ -0,0 +1,47 @@
+// Tags classify books many-to-many through book_tags. name_key matches
+// names the same way as authors (see migration 0011 and
+// ContributorModel.nameKey). Existing genres are copied into tags once;
+// genre itself stays a separate single-value field.
+const nameKey = (column) => [' ', '\t', '\n', '\r', '.', ',', "''", '"', '-'].reduce(
+  (sql, char) => `replace(${sql}, '${char}', '')`,
+  `lower(${column})`
+);
+
+export default {
+  version: 12,
+  name: 'create_tags',
+  statements: [
+    `CREATE TABLE IF NOT EXISTS tags (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      name_key TEXT NOT NULL UNIQUE,
+      description TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_tags_name ON tags(name)',
+    `CREATE TABLE IF NOT EXISTS book_tags (
+      book_id TEXT NOT NULL,
+      tag_id TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      PRIMARY KEY (book_id, tag_id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_book_tags_tag_id ON book_tags(tag_id)',
+    `INSERT INTO tags (id, name, name_key, created_at, updated_at)
+      SELECT lower(hex(randomblob(16))), name, name_key, now, now
+      FROM (
+        SELECT
+          trim(genre) AS name,
+          ${nameKey('genre')} AS name_key,
+          strftime('%Y-%m-%dT%H:%M:%fZ', 'now') AS now,
+          ROW_NUMBER() OVER (PARTITION BY ${nameKey('genre')} ORDER BY created_at, id) AS position
+        FROM books
+        WHERE genre IS NOT NULL AND ${nameKey('genre')} != ''
+      )
+      WHERE position = 1`,
+    `INSERT OR IGNORE INTO book_tags (book_id, tag_id, created_at)
+      SELECT books.id, tags.id, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+      FROM books JOIN tags ON tags.name_key = ${nameKey('books.genre')}
+      WHERE books.genre IS NOT NULL`
+  ]
+};
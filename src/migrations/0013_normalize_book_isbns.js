@@ -0,0 +1,50 @@
+// Stores ISBNs as canonical ISBN-13 (see IsbnUtils) and makes them unique
+// among live books. Hyphens and spaces are stripped and valid ISBN-10s are
+// converted; values that are not valid ISBNs are kept as they are. When live
+// books share an ISBN the oldest keeps it and the others have it cleared,
+// with the cleared value logged in book_isbn_conflicts for review.
+const digit = (position) => `CAST(substr(isbn, ${position}, 1) AS INTEGER)`;
+
+const ISBN10_CHECKSUM = `(${[1, 2, 3, 4, 5, 6, 7, 8, 9].map((position) => `${11 - position} * ${digit(position)}`).join(' + ')}
+  + CASE substr(isbn, 10, 1) WHEN 'X' THEN 10 ELSE ${digit(10)} END) % 11`;
+
+// 978 contributes 9 + 7 * 3 + 8 = 38 to the ISBN-13 weighted sum
+const ISBN13_CHECK_DIGIT = `(10 - (38 + 3 * (${[1, 3, 5, 7, 9].map(digit).join(' + ')})
+  + ${[2, 4, 6, 8].map(digit).join(' + ')}) % 10) % 10`;
+
+export default {
+  version: 13,
+  name: 'normalize_book_isbns',
+  statements: [
+    `UPDATE books
+      SET isbn = upper(replace(replace(replace(trim(isbn), '-', ''), ' ', ''), char(9), ''))
+      WHERE isbn IS NOT NULL`,
+    "UPDATE books SET isbn = NULL WHERE isbn = ''",
+    `UPDATE books
+      SET isbn = '978' || substr(isbn, 1, 9) || (${ISBN13_CHECK_DIGIT})
+      WHERE isbn GLOB '[0-9][0-9][0-9][0-9][0-9][0-9][0-9][0-9][0-9][0-9X]'
+        AND ${ISBN10_CHECKSUM} = 0`,
+    `CREATE TABLE IF NOT EXISTS book_isbn_conflicts (
+      book_id TEXT NOT NULL,
+      isbn TEXT NOT NULL,
+      existing_id TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    )`,
+    `INSERT INTO book_isbn_conflicts (book_id, isbn, existing_id, created_at)
+      SELECT id, isbn, first_id, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+      FROM (
+        SELECT
+          id,
+          isbn,
+          FIRST_VALUE(id) OVER (PARTITION BY isbn ORDER BY created_at, id) AS first_id,
+          ROW_NUMBER() OVER (PARTITION BY isbn ORDER BY created_at, id) AS position
+        FROM books
+        WHERE isbn IS NOT NULL AND deleted_at IS NULL
+      )
+      WHERE position > 1`,
+    'UPDATE books SET isbn = NULL WHERE id IN (SELECT book_id FROM book_isbn_conflicts)',
+    'DROP INDEX IF EXISTS idx_books_isbn',
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_books_isbn_unique
+      ON books(isbn) WHERE isbn IS NOT NULL AND deleted_at IS NULL`
+  ]
+};
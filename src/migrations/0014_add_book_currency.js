@@ -0,0 +1,33 @@
+// Prices become integer minor-unit amounts with an ISO 4217 currency.
+// Existing prices were plain numbers and are taken to be US dollars, so they
+// are converted to cents, in revision history too (snapshots are what a
+// revert writes back). exchange_rates holds units of each currency per US
+// dollar; admins maintain it, starting from the dollar itself.
+const toCents = (expression) => `CAST(ROUND(${expression} * 100) AS INTEGER)`;
+
+export default {
+  version: 14,
+  name: 'add_book_currency',
+  statements: [
+    'ALTER TABLE books ADD COLUMN currency TEXT',
+    `UPDATE books SET price = ${toCents('price')}, currency = 'USD' WHERE price IS NOT NULL`,
+    `UPDATE book_revisions
+      SET snapshot = json_set(snapshot, '$.price', ${toCents("json_extract(snapshot, '$.price')")}, '$.currency', 'USD')
+      WHERE json_extract(snapshot, '$.price') IS NOT NULL`,
+    `UPDATE book_revisions
+      SET changes = json_set(
+        changes,
+        '$.price.from', ${toCents("json_extract(changes, '$.price.from')")},
+        '$.price.to', ${toCents("json_extract(changes, '$.price.to')")}
+      )
+      WHERE json_extract(changes, '$.price') IS NOT NULL`,
+    `CREATE TABLE IF NOT EXISTS exchange_rates (
+      currency TEXT PRIMARY KEY,
+      rate REAL NOT NULL,
+      rate_date TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )`,
+    `INSERT OR IGNORE INTO exchange_rates (currency, rate, rate_date, updated_at)
+      VALUES ('USD', 1, date('now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))`
+  ]
+};
@@ -0,0 +1,59 @@
+// Workspaces partition tenant data. Every table holding a workspace's data
+// carries workspace_id, and everything that existed before moves into the
+// shared 'default' workspace (DEFAULT_WORKSPACE_ID). Names of authors,
+// publishers and tags and ISBNs of live books become unique per workspace;
+// SQLite cannot drop a UNIQUE column constraint, so those three tables are
+// rebuilt. book_tags links rows that are already scoped and stays as it is.
+const rebuildWithWorkspace = (table, detail) => [
+  `CREATE TABLE ${table}_new (
+    id TEXT PRIMARY KEY,
+    workspace_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    name_key TEXT NOT NULL,
+    ${detail} TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (workspace_id, name_key)
+  )`,
+  `INSERT INTO ${table}_new (id, workspace_id, name, name_key, ${detail}, created_at, updated_at)
+    SELECT id, 'default', name, name_key, ${detail}, created_at, updated_at FROM ${table}`,
+  `DROP TABLE ${table}`,
+  `ALTER TABLE ${table}_new RENAME TO ${table}`,
+  `CREATE INDEX IF NOT EXISTS idx_${table}_name ON ${table}(workspace_id, name)`
+];
+
+export default {
+  version: 15,
+  name: 'create_workspaces',
+  statements: [
+    `CREATE TABLE IF NOT EXISTS workspaces (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      created_by TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )`,
+    `INSERT OR IGNORE INTO workspaces (id, name, created_at, updated_at)
+      VALUES ('default', 'Default', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))`,
+    `CREATE TABLE IF NOT EXISTS workspace_members (
+      workspace_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('viewer', 'editor', 'admin', 'owner')),
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (workspace_id, user_id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON workspace_members(user_id)',
+    "ALTER TABLE books ADD COLUMN workspace_id TEXT NOT NULL DEFAULT 'default'",
+    'CREATE INDEX IF NOT EXISTS idx_books_workspace_created_at ON books(workspace_id, created_at)',
+    'DROP INDEX IF EXISTS idx_books_isbn_unique',
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_books_isbn_unique
+      ON books(workspace_id, isbn) WHERE isbn IS NOT NULL AND deleted_at IS NULL`,
+    "ALTER TABLE book_revisions ADD COLUMN workspace_id TEXT NOT NULL DEFAULT 'default'",
+    "ALTER TABLE webhooks ADD COLUMN workspace_id TEXT NOT NULL DEFAULT 'default'",
+    'CREATE INDEX IF NOT EXISTS idx_webhooks_workspace_id ON webhooks(workspace_id)',
+    ...rebuildWithWorkspace('authors', 'bio'),
+    ...rebuildWithWorkspace('publishers', 'website'),
+    ...rebuildWithWorkspace('tags', 'description')
+  ]
+};
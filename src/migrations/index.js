@@ -0,0 +1,37 @@
+import createBooks from './0001_create_books.js';
+import createUsers from './0002_create_users.js';
+import createApiKeys from './0003_create_api_keys.js';
+import addBookVersion from './0004_add_book_version.js';
+import createBooksFts from './0005_create_books_fts.js';
+import addBookDeletedAt from './0006_add_book_deleted_at.js';
+import createBookRevisions from './0007_create_book_revisions.js';
+import createIdempotencyKeys from './0008_create_idempotency_keys.js';
+import createWebhooks from './0009_create_webhooks.js';
+import addBookFilterIndexes from './0010_add_book_filter_indexes.js';
+import createAuthorsPublishers from './0011_create_authors_publishers.js';
+import createTags from './0012_create_tags.js';
+import normalizeBookIsbns from './0013_normalize_book_isbns.js';
+import addBookCurrency from './0014_add_book_currency.js';
+import createWorkspaces from './0015_create_workspaces.js';
+
+// Ordered list of schema migrations. Never edit or reorder an entry once it
+// has shipped; add a new file with the next version instead.
+export const migrations = [
+  createBooks,
+  createUsers,
+  createApiKeys,
+  addBookVersion,
+  createBooksFts,
+  addBookDeletedAt,
+  createBookRevisions,
+  createIdempotencyKeys,
+  createWebhooks,
+  addBookFilterIndexes,
+  createAuthorsPublishers,
+  createTags,
+  normalizeBookIsbns,
+  addBookCurrency,
+  createWorkspaces
+];
+
+export default migrations;
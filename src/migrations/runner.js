@@ -0,0 +1,124 @@
+import { DatabaseUtils, Logger } from '../utils/index.js';
+import { CryptoUtils } from '../utils/crypto.js';
+import { ConflictError } from '../types/index.js';
+import { migrations as defaultMigrations } from './index.js';
+
+export const TRACKING_TABLE_SQL = `CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  checksum TEXT NOT NULL,
+  applied_at TEXT NOT NULL
+)`;
+
+export const TRACKING_INSERT_SQL =
+  'INSERT INTO schema_migrations (version, name, checksum, applied_at) VALUES (?, ?, ?, ?)';
+
+// Applies pending migrations in order, one D1 batch (transaction) per migration,
+// and refuses to run when an applied migration no longer matches the code
+export class MigrationRunner {
+  constructor(db, migrations = defaultMigrations) {
+    this.db = db;
+    this.migrations = migrations;
+
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migration.version <= migrations[index - 1].version) {
+        throw new Error(`Migration ${migration.version} (${migration.name}) is out of order`);
+      }
+    });
+  }
+
+  static async checksum(migration) {
+    return CryptoUtils.sha256(migration.statements.join(';\n'));
+  }
+
+  async ensureTrackingTable() {
+    await DatabaseUtils.executeRun(this.db, TRACKING_TABLE_SQL);
+  }
+
+  // Compare the migrations in code with the ones recorded in the database
+  async status() {
+    await this.ensureTrackingTable();
+
+    const result = await DatabaseUtils.executeQuery(
+      this.db,
+      'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+    );
+    const appliedRows = new Map((result.results || []).map((row) => [row.version, row]));
+
+    const applied = [];
+    const pending = [];
+    const modified = [];
+
+    for (const migration of this.migrations) {
+      const checksum = await MigrationRunner.checksum(migration);
+      const row = appliedRows.get(migration.version);
+      const entry = { version: migration.version, name: migration.name, checksum };
+
+      if (!row) {
+        pending.push(entry);
+      } else if (row.checksum !== checksum) {
+        modified.push({ ...entry, applied_checksum: row.checksum, applied_at: row.applied_at });
+      } else {
+        applied.push({ ...entry, applied_at: row.applied_at });
+      }
+
+      appliedRows.delete(migration.version);
+    }
+
+    // Recorded in the database but missing from this build of the code
+    const unknown = [...appliedRows.values()];
+    const latest = this.migrations[this.migrations.length - 1];
+
+    return {
+      current_version: applied.length > 0 ? applied[applied.length - 1].version : 0,
+      latest_version: latest ? latest.version : 0,
+      up_to_date: pending.length === 0 && modified.length === 0 && unknown.length === 0,
+      applied,
+      pending,
+      modified,
+      unknown
+    };
+  }
+
+  // Apply every pending migration; safe to run repeatedly
+  async apply() {
+    const status = await this.status();
+
+    if (status.modified.length > 0 || status.unknown.length > 0) {
+      const versions = [...status.modified, ...status.unknown].map((entry) => entry.version);
+      throw new ConflictError(
+        `Applied migrations do not match the code (versions ${versions.join(', ')})`,
+        'MIGRATION_MISMATCH'
+      );
+    }
+
+    const appliedNow = [];
+
+    for (const entry of status.pending) {
+      const migration = this.migrations.find((candidate) => candidate.version === entry.version);
+      const appliedAt = new Date().toISOString();
+
+      await DatabaseUtils.executeBatch(this.db, [
+        ...migration.statements.map((statement) => this.db.prepare(statement)),
+        this.db.prepare(TRACKING_INSERT_SQL).bind(
+          migration.version,
+          migration.name,
+          entry.checksum,
+          appliedAt
+        )
+      ]);
+
+      Logger.info('Migration applied', { version: migration.version, name: migration.name });
+      appliedNow.push({ ...entry, applied_at: appliedAt });
+    }
+
+    return {
+      applied: appliedNow,
+      current_version: appliedNow.length > 0
+        ? appliedNow[appliedNow.length - 1].version
+        : status.current_version
+    };
+  }
+}
+
+export default MigrationRunner;
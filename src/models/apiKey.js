@@ -0,0 +1,120 @@
+import { DatabaseUtils, Utils } from '../utils/index.js';
+import { CryptoUtils } from '../utils/crypto.js';
+import { NotFoundError, DatabaseError } from '../types/index.js';
+
+const KEY_PREFIX = 'cfk_';
+const DISPLAY_PREFIX_LENGTH = 12;
+
+// Only record last_used_at once per minute to avoid a write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+export class ApiKeyModel {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Public representation of a key row (never exposes the hash)
+  static toPublic(apiKey) {
+    return {
+      id: apiKey.id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: JSON.parse(apiKey.scopes),
+      membership_level: apiKey.membership_level,
+      created_at: apiKey.created_at,
+      last_used_at: apiKey.last_used_at,
+      expires_at: apiKey.expires_at,
+      revoked_at: apiKey.revoked_at
+    };
+  }
+
+  static isApiKey(value) {
+    return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+  }
+
+  // List a user's keys, newest first
+  async listByUser(userId) {
+    const query = 'SELECT * FROM api_keys WHERE user_id = ? ORDER BY created_at DESC';
+    const result = await DatabaseUtils.executeQuery(this.db, query, [userId]);
+    return result.results || [];
+  }
+
+  // Create a key; the plaintext is returned only here
+  async create(userId, { name, scopes, membership_level, expires_in_days }) {
+    const id = Utils.generateId();
+    const key = `${KEY_PREFIX}${CryptoUtils.randomToken(32)}`;
+    const now = new Date();
+    const expiresAt = expires_in_days
+      ? new Date(now.getTime() + expires_in_days * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+
+    const query = `
+      INSERT INTO api_keys (
+        id, user_id, name, prefix, key_hash, scopes,
+        membership_level, created_at, expires_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+      id, userId, name, key.substring(0, DISPLAY_PREFIX_LENGTH), await CryptoUtils.sha256(key),
+      JSON.stringify(scopes), membership_level, now.toISOString(), expiresAt
+    ];
+
+    const result = await DatabaseUtils.executeRun(this.db, query, params);
+
+    if (!result.success) {
+      throw new DatabaseError('Failed to create API key');
+    }
+
+    const apiKey = await DatabaseUtils.executeGet(this.db, 'SELECT * FROM api_keys WHERE id = ?', [id]);
+    return { ...ApiKeyModel.toPublic(apiKey), key };
+  }
+
+  // Revoke one of a user's keys
+  async revoke(userId, id) {
+    const query = `
+      UPDATE api_keys SET revoked_at = ?
+      WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+    `;
+    const result = await DatabaseUtils.executeRun(this.db, query, [new Date().toISOString(), id, userId]);
+
+    if (!result.meta?.changes) {
+      throw new NotFoundError('API key');
+    }
+
+    return { revoked: true, id };
+  }
+
+  // Resolve a presented key to its row plus the owner's current role and tier.
+  // Returns null for unknown, revoked or expired keys.
+  async findActiveByKey(key) {
+    const query = `
+      SELECT k.*, u.role AS user_role, u.membership_level AS user_membership_level
+      FROM api_keys k
+      JOIN users u ON u.id = k.user_id
+      WHERE k.key_hash = ? AND k.revoked_at IS NULL
+    `;
+    const apiKey = await DatabaseUtils.executeGet(this.db, query, [await CryptoUtils.sha256(key)]);
+
+    if (!apiKey || (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date())) {
+      return null;
+    }
+
+    return apiKey;
+  }
+
+  async touchLastUsed(id) {
+    const now = Date.now();
+    const query = `
+      UPDATE api_keys SET last_used_at = ?
+      WHERE id = ? AND (last_used_at IS NULL OR last_used_at < ?)
+    `;
+    await DatabaseUtils.executeRun(this.db, query, [
+      new Date(now).toISOString(),
+      id,
+      new Date(now - LAST_USED_RESOLUTION_MS).toISOString()
+    ]);
+  }
+}
+
+export default ApiKeyModel;
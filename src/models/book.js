@@ -1,95 +1,555 @@
-import { DatabaseUtils, Utils } from '../utils/index.js';
-import { NotFoundError, DatabaseError } from '../types/index.js';
+import { DatabaseUtils, PaginationUtils, Utils } from '../utils/index.js';
+import { SearchUtils, SNIPPET_OPEN, SNIPPET_CLOSE } from '../utils/search.js';
+import { CurrencyUtils } from '../utils/currency.js';
+import { BookRevisionModel, REVERTIBLE_FIELDS } from './bookRevision.js';
+import { ContributorModel, CONTRIBUTOR_KINDS } from './contributor.js';
+import { ExchangeRateModel } from './exchangeRate.js';
+import {
+  NotFoundError,
+  DatabaseError,
+  PreconditionFailedError,
+  ConflictError,
+  ValidationError,
+  BOOK_FIELDS
+} from '../types/index.js';
+
+// bm25 column weights for title, author and description
+const FTS_WEIGHTS = [10.0, 5.0, 1.0];
+const SNIPPET_TOKENS = 16;
+
+// Rows per import transaction, and ISBNs per lookup (D1 binds at most 100
+// values, one of them the workspace)
+const IMPORT_CHUNK_SIZE = 100;
+const LOOKUP_CHUNK_SIZE = 99;
+
+// The only columns a write may set (every writable field can also be reverted)
+const WRITABLE_FIELDS = REVERTIBLE_FIELDS;
+
+// Managed by the API; ignored when they appear in write data
+const READ_ONLY_FIELDS = ['id', 'workspace_id', 'created_at', 'updated_at', 'version', 'deleted_at'];
+
+const SORT_COLUMNS = [
+  'title', 'author', 'created_at', 'updated_at', 'status', 'genre', 'price', 'pages',
+  'published_date', 'deleted_at'
+];
+
+// Filterable columns (see BookQuerySchema) and the SQL for each operator.
+// Values are always bound; only these column and operator names reach SQL.
+const FILTER_COLUMNS = [
+  'author', 'author_id', 'status', 'genre', 'language', 'publisher', 'publisher_id', 'isbn',
+  'price', 'pages', 'published_date'
+];
+const FILTER_OPERATORS = {
+  eq: '=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  after: '>',
+  before: '<'
+};
+
+// Week buckets start on Monday
+const weekOf = (column) => `date(${column}, 'weekday 0', '-6 days')`;
+
+// group_by values of /books/stats (see BookStatsQuerySchema): the key rows
+// are grouped by and the columns each group is reported with. Periods sort
+// by time, the rest by size.
+const STATS_GROUPS = {
+  genre: { key: 'b.genre', columns: { genre: 'b.genre' } },
+  status: { key: 'b.status', columns: { status: 'b.status' } },
+  language: { key: 'b.language', columns: { language: 'b.language' } },
+  author: { key: 'b.author_id', columns: { author_id: 'b.author_id', author: 'MIN(b.author)' } },
+  publisher: { key: 'b.publisher_id', columns: { publisher_id: 'b.publisher_id', publisher: 'MIN(b.publisher)' } },
+  'created_at:month': { key: "strftime('%Y-%m', b.created_at)", period: true },
+  'created_at:week': { key: weekOf('b.created_at'), period: true },
+  'published_date:month': { key: "strftime('%Y-%m', b.published_date)", period: true },
+  'published_date:week': { key: weekOf('b.published_date'), period: true }
+};
+
+// Aggregate metrics of /books/stats, given the price expression. Prices are
+// in minor units of the reported currency; books it cannot convert to are
+// left out of price metrics and counted by unconverted_count, which comes
+// with any price metric. price_histogram is a query of its own.
+const STATS_METRICS = {
+  count: () => 'COUNT(*)',
+  unconverted_count: (price) => `COUNT(CASE WHEN b.price IS NOT NULL AND ${price} IS NULL THEN 1 END)`,
+  sum_price: (price) => `SUM(${price})`,
+  avg_price: (price) => `ROUND(AVG(${price}))`,
+  min_price: (price) => `MIN(${price})`,
+  max_price: (price) => `MAX(${price})`,
+  avg_pages: () => 'ROUND(AVG(b.pages), 1)'
+};
 
 export class BookModel {
-  constructor(db) {
+  // context describes the caller and is recorded with every revision. Every
+  // query is scoped to context.workspaceId; books of other workspaces can
+  // neither be read nor written.
+  constructor(db, context = {}) {
+    if (!context.workspaceId) {
+      throw new Error('Workspace is required');
+    }
+
     this.db = db;
+    this.workspaceId = context.workspaceId;
+    this.revisions = new BookRevisionModel(db, context);
+    this.contributors = Object.fromEntries(
+      Object.keys(CONTRIBUTOR_KINDS).map((kind) => [kind, new ContributorModel(db, kind, context)])
+    );
+    this.exchangeRates = new ExchangeRateModel(db);
   }
 
-  // Get all books with pagination and filtering
-  async getAll(options = {}) {
+  // Book fields chosen with fields= and exclude=, in BOOK_FIELDS order, or
+  // null for every field. Unknown names are ignored (the schemas reject them).
+  static resolveFields({ fields, exclude } = {}) {
+    if (!fields && !exclude) {
+      return null;
+    }
+
+    return BOOK_FIELDS.filter((field) => (
+      (!fields || fields.includes(field)) && !exclude?.includes(field)
+    ));
+  }
+
+  // Drop the book fields that were not chosen; other keys (score, snippet) stay
+  static pickFields(book, fields) {
+    if (!fields) {
+      return book;
+    }
+
+    return Object.fromEntries(
+      Object.entries(book).filter(([key]) => !BOOK_FIELDS.includes(key) || fields.includes(key))
+    );
+  }
+
+  // SELECT list for a field selection. id and version are always read since
+  // cursors and ETags depend on them, as is the sort column.
+  static projection(fields, sortColumn = null) {
+    if (!fields) {
+      return 'b.*';
+    }
+
+    const columns = new Set(['id', 'version', ...(sortColumn ? [sortColumn] : []), ...fields]);
+    return [...columns].map((column) => `b.${column}`).join(', ');
+  }
+
+  // currency follows price: a price given without one is in the base
+  // currency, and a book without a price has no currency. current is the
+  // stored book when fields update it.
+  static priceCurrency(fields, current = null) {
+    if (!('price' in fields) && !('currency' in fields)) {
+      return fields;
+    }
+
+    const price = 'price' in fields ? fields.price : current?.price;
+    const currency = 'currency' in fields ? fields.currency : current?.currency;
+
+    return {
+      ...fields,
+      currency: price === null || price === undefined ? null : currency ?? CurrencyUtils.BASE_CURRENCY
+    };
+  }
+
+  // Rates for converting prices to currency (see priceConversion), or null
+  // when no conversion was requested
+  async priceConversion(currency) {
+    if (!currency) {
+      return null;
+    }
+
+    const rates = await this.exchangeRates.getAll();
+
+    if (!rates.has(currency)) {
+      throw new ValidationError(`No exchange rate for ${currency}`);
+    }
+
+    return { currency, rates };
+  }
+
+  // Conversions for a list request: display adds converted_price (with
+  // currency=), compare is what price filters and sorting use. Amounts in
+  // different currencies are never compared as stored, so without currency=
+  // they are compared in the base currency.
+  async listConversion(options) {
+    const display = await this.priceConversion(options.currency);
+    const comparesPrice = options.price !== undefined || options.sort_by === 'price';
+
+    return {
+      display,
+      compare: display || (comparesPrice ? await this.priceConversion(CurrencyUtils.BASE_CURRENCY) : null)
+    };
+  }
+
+  static missingRates(currencies) {
+    return new ValidationError(`No exchange rate for ${currencies.join(', ')}, needed to convert book prices`);
+  }
+
+  // Reject a conversion that would leave priced books out: books matched by
+  // conditions (without price filters) must all be in a currency with a rate
+  async assertConvertible(from, { conditions, params }, conversion) {
+    if (!conversion) {
+      return;
+    }
+
+    const known = [...conversion.rates.keys()].map((currency) => `'${currency}'`).join(', ');
+    const result = await DatabaseUtils.executeQuery(this.db, `
+      SELECT DISTINCT b.currency ${from}
+      WHERE ${conditions.join(' AND ')} AND b.price IS NOT NULL AND b.currency NOT IN (${known})
+      ORDER BY b.currency
+      LIMIT 10
+    `, params);
+    const missing = (result.results || []).map((row) => row.currency);
+
+    if (missing.length > 0) {
+      throw BookModel.missingRates(missing);
+    }
+  }
+
+  // SQL for a book's price converted to the requested currency, NULL when
+  // its currency has no rate. Rates are inlined: currency codes are checked
+  // when stored and factors are plain numbers.
+  static convertedPriceSql({ currency, rates }) {
+    const target = rates.get(currency);
+    const cases = [...rates.values()].map((source) => (
+      `WHEN '${source.currency}' THEN ROUND(b.price * ${CurrencyUtils.conversion(source, target).factor})`
+    ));
+
+    return `(CASE b.currency ${cases.join(' ')} END)`;
+  }
+
+  // converted_price of a book, computed like convertedPriceSql; null when
+  // it has no price (requests with unconvertible prices are rejected)
+  static convertedPrice(book, { currency, rates }) {
+    const source = rates.get(book.currency);
+
+    if (book.price === null || book.price === undefined || !source) {
+      return null;
+    }
+
+    const { rate, factor, rate_date: rateDate } = CurrencyUtils.conversion(source, rates.get(currency));
+    return { amount: Math.round(book.price * factor), currency, rate, rate_date: rateDate };
+  }
+
+  // Add converted_price to each book (for routes that fetch books directly)
+  async convertPrices(books, currency) {
+    const conversion = await this.priceConversion(currency);
+
+    if (!conversion) {
+      return books;
+    }
+
+    const missing = [...new Set(books
+      .filter((book) => book.price !== null && book.price !== undefined && !conversion.rates.has(book.currency))
+      .map((book) => book.currency))];
+    if (missing.length > 0) {
+      throw BookModel.missingRates(missing);
+    }
+
+    return books.map((book) => ({ ...book, converted_price: BookModel.convertedPrice(book, conversion) }));
+  }
+
+  // Columns to read for a field selection: a conversion needs the price
+  static conversionFields(fields, conversion) {
+    return conversion && fields ? [...fields, 'price', 'currency'] : fields;
+  }
+
+  // ORDER BY for a sort column. A price sort with a conversion orders by the
+  // converted amount, selected as converted_amount for the cursor.
+  static sortSpec(column, direction, conversion) {
+    if (column === 'price' && conversion) {
+      return {
+        name: `price:${conversion.currency}`,
+        key: 'converted_amount',
+        expression: BookModel.convertedPriceSql(conversion),
+        direction
+      };
+    }
+
+    return { name: column, key: column, expression: `b.${column}`, direction };
+  }
+
+  // Shared WHERE conditions for listing and search, starting with the
+  // workspace. Columns are qualified with the books alias "b". Trashed books are left out unless
+  // include_deleted (admins) or only_deleted (the trash) is set. With a
+  // conversion, price filters are in the requested currency.
+  buildFilters(options = {}, conversion = null) {
     const {
-      page = 1,
-      limit = 10,
       search,
-      author,
-      status,
-      genre,
-      sortBy = 'created_at',
-      sortOrder = 'desc'
+      tags,
+      has_description: hasDescription,
+      include_deleted: includeDeleted = false,
+      only_deleted: onlyDeleted = false
     } = options;
+    const conditions = ['b.workspace_id = ?'];
+    const params = [this.workspaceId];
+
+    if (onlyDeleted) {
+      conditions.push('b.deleted_at IS NOT NULL');
+    } else if (!includeDeleted) {
+      conditions.push('b.deleted_at IS NULL');
+    }
+
+    // Plain list search: every word must prefix-match title, author or description
+    const prefixQuery = SearchUtils.toPrefixQuery(search);
+    if (prefixQuery) {
+      conditions.push('b.rowid IN (SELECT rowid FROM books_fts WHERE books_fts MATCH ?)');
+      params.push(prefixQuery);
+    }
 
-    const offset = (page - 1) * limit;
-    let whereConditions = [];
-    let params = [];
+    for (const column of FILTER_COLUMNS) {
+      const filter = options[column];
 
-    // Build WHERE conditions
-    if (search) {
-      whereConditions.push('(title LIKE ? OR author LIKE ? OR description LIKE ?)');
-      const searchPattern = `%${search}%`;
-      params.push(searchPattern, searchPattern, searchPattern);
+      if (filter === undefined || filter === null) {
+        continue;
+      }
+
+      // A plain value is an exact match
+      const operators = typeof filter === 'object' ? filter : { eq: filter };
+      const expression = column === 'price' && conversion
+        ? BookModel.convertedPriceSql(conversion)
+        : `b.${column}`;
+
+      for (const [operator, value] of Object.entries(operators)) {
+        if (value === undefined) {
+          continue;
+        }
+
+        // Lists are bound as one JSON array, so any number of list filters
+        // stays within D1's limit on bound parameters
+        if (operator === 'in') {
+          conditions.push(`${expression} IN (SELECT value FROM json_each(?))`);
+          params.push(JSON.stringify(value));
+        } else if (FILTER_OPERATORS[operator]) {
+          conditions.push(`${expression} ${FILTER_OPERATORS[operator]} ?`);
+          params.push(value);
+        }
+      }
     }
 
-    if (author) {
-      whereConditions.push('author = ?');
-      params.push(author);
+    // Tags are matched by name key, like tag names themselves
+    if (tags?.any) {
+      const keys = tags.any.map((name) => ContributorModel.nameKey(name));
+      conditions.push(`b.id IN (
+        SELECT bt.book_id FROM book_tags bt JOIN tags t ON t.id = bt.tag_id
+        WHERE t.name_key IN (SELECT value FROM json_each(?))
+      )`);
+      params.push(JSON.stringify(keys));
     }
 
-    if (status) {
-      whereConditions.push('status = ?');
-      params.push(status);
+    if (tags?.all) {
+      const keys = [...new Set(tags.all.map((name) => ContributorModel.nameKey(name)))];
+      conditions.push(`b.id IN (
+        SELECT bt.book_id FROM book_tags bt JOIN tags t ON t.id = bt.tag_id
+        WHERE t.name_key IN (SELECT value FROM json_each(?))
+        GROUP BY bt.book_id HAVING COUNT(*) = ?
+      )`);
+      params.push(JSON.stringify(keys), keys.length);
     }
 
-    if (genre) {
-      whereConditions.push('genre = ?');
-      params.push(genre);
+    if (hasDescription !== undefined) {
+      conditions.push(hasDescription
+        ? "(b.description IS NOT NULL AND b.description != '')"
+        : "(b.description IS NULL OR b.description = '')");
     }
 
-    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
-    
-    // Validate sort column
-    const validSortColumns = ['title', 'author', 'created_at', 'updated_at', 'status', 'genre'];
-    const sortColumn = validSortColumns.includes(sortBy) ? sortBy : 'created_at';
-    const sortDirection = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+    return { conditions, params };
+  }
+
+  // Get all books with pagination and filtering
+  async getAll(options = {}) {
+    const {
+      sort_by: sortBy = 'created_at',
+      sort_order: sortOrder = 'desc'
+    } = options;
+
+    const { display, compare } = await this.listConversion(options);
+    await this.assertConvertible('FROM books b', this.buildFilters({ ...options, price: undefined }), compare);
+
+    const { conditions, params } = this.buildFilters(options, compare);
+    const sortColumn = SORT_COLUMNS.includes(sortBy) ? sortBy : 'created_at';
+    const sort = BookModel.sortSpec(sortColumn, sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC', compare);
+    const columns = BookModel.projection(
+      BookModel.conversionFields(BookModel.resolveFields(options), display),
+      sortColumn
+    );
+
+    const { books, pagination } = await this.fetchPage({
+      select: sort.key === 'converted_amount' ? `${columns}, ${sort.expression} AS converted_amount` : columns,
+      from: 'FROM books b',
+      conditions,
+      params,
+      sort,
+      options
+    });
+
+    return {
+      books: books.map(({ converted_amount: _, ...book }) => (
+        display ? { ...book, converted_price: BookModel.convertedPrice(book, display) } : book
+      )),
+      pagination
+    };
+  }
 
-    // Get total count
-    const countQuery = `SELECT COUNT(*) as total FROM books ${whereClause}`;
-    const countResult = await DatabaseUtils.executeGet(this.db, countQuery, params);
-    const total = countResult?.total || 0;
+  // Ranked full-text search. Matches are weighted title > author > description
+  // and ordered by bm25 unless another sort column is requested.
+  async search(options = {}) {
+    const {
+      q,
+      highlight = false,
+      sort_by: sortBy = 'relevance',
+      sort_order: sortOrder
+    } = options;
+
+    const from = 'FROM books_fts JOIN books b ON b.rowid = books_fts.rowid';
+    const withQuery = ({ conditions, params }) => ({
+      conditions: ['books_fts MATCH ?', ...conditions],
+      params: [SearchUtils.toFtsQuery(q), ...params]
+    });
+
+    const { display, compare } = await this.listConversion(options);
+    await this.assertConvertible(from, withQuery(this.buildFilters({ ...options, search: undefined, price: undefined })), compare);
+
+    const { conditions, params } = withQuery(this.buildFilters({ ...options, search: undefined }, compare));
+
+    const rankExpression = `bm25(books_fts, ${FTS_WEIGHTS.join(', ')})`;
+    const sortColumn = SORT_COLUMNS.includes(sortBy) ? sortBy : null;
+    const sortDirection = (sortOrder || (sortColumn ? 'desc' : 'asc')).toUpperCase() === 'ASC'
+      ? 'ASC'
+      : 'DESC';
+
+    const sort = sortColumn
+      ? BookModel.sortSpec(sortColumn, sortDirection, compare)
+      : { name: 'relevance', key: 'rank', expression: rankExpression, direction: sortDirection };
+    const columns = BookModel.projection(
+      BookModel.conversionFields(BookModel.resolveFields(options), display),
+      sortColumn
+    );
+    const convertedColumn = sort.key === 'converted_amount' ? `, ${sort.expression} AS converted_amount` : '';
+    const snippetColumn = highlight
+      ? `, snippet(books_fts, -1, '${SNIPPET_OPEN}', '${SNIPPET_CLOSE}', '…', ${SNIPPET_TOKENS}) AS snippet`
+      : '';
+
+    const { books, pagination } = await this.fetchPage({
+      select: `${columns}, ${rankExpression} AS rank${convertedColumn}${snippetColumn}`,
+      from,
+      conditions,
+      params,
+      sort,
+      options
+    });
+
+    return {
+      books: books.map(({ rank, snippet, converted_amount: _, ...book }) => ({
+        ...book,
+        ...(display && { converted_price: BookModel.convertedPrice(book, display) }),
+        // bm25 is lower-is-better; expose a higher-is-better score
+        score: Math.round(-rank * 1e6) / 1e6,
+        ...(highlight && { snippet: SearchUtils.formatSnippet(snippet) })
+      })),
+      pagination
+    };
+  }
+
+  // Fetch one page ordered by sort.expression with b.id as tie-breaker.
+  // With a cursor the page is located by keyset (stable while rows are
+  // inserted or removed); otherwise page/limit are used as an offset.
+  async fetchPage({ select, from, conditions, params, sort, options }) {
+    const {
+      page = 1,
+      limit = 10,
+      cursor: encodedCursor,
+      include_total: includeTotal = true
+    } = options;
+
+    const cursor = encodedCursor ? PaginationUtils.decodeCursor(encodedCursor, sort) : null;
+    const backwards = cursor?.direction === 'prev';
+    const offset = cursor ? 0 : (page - 1) * limit;
+
+    // Paging backwards scans in reverse order and flips the rows afterwards
+    const scanDirection = backwards
+      ? (sort.direction === 'ASC' ? 'DESC' : 'ASC')
+      : sort.direction;
+
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+
+    if (cursor) {
+      const keyset = PaginationUtils.keysetCondition(
+        sort.expression, scanDirection, cursor.value, cursor.id, 'b.id'
+      );
+      pageConditions.push(keyset.condition);
+      pageParams.push(...keyset.params);
+    }
+
+    const toWhere = (clauses) => (clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '');
 
-    // Get books with pagination
+    // Get total count (optional, it is the expensive part on large tables)
+    let total = null;
+    if (includeTotal) {
+      const countQuery = `SELECT COUNT(*) as total ${from} ${toWhere(conditions)}`;
+      const countResult = await DatabaseUtils.executeGet(this.db, countQuery, params);
+      total = countResult?.total || 0;
+    }
+
+    // One extra row tells us whether another page follows
     const booksQuery = `
-      SELECT * FROM books 
-      ${whereClause} 
-      ORDER BY ${sortColumn} ${sortDirection} 
+      SELECT ${select}
+      ${from}
+      ${toWhere(pageConditions)}
+      ORDER BY ${sort.expression} ${scanDirection}, b.id ${scanDirection}
       LIMIT ? OFFSET ?
     `;
-    
+
     const booksResult = await DatabaseUtils.executeQuery(
-      this.db, 
-      booksQuery, 
-      [...params, limit, offset]
+      this.db,
+      booksQuery,
+      [...pageParams, limit + 1, offset]
     );
 
+    const rows = booksResult.results || [];
+    const hasMore = rows.length > limit;
+    const books = rows.slice(0, limit);
+
+    if (backwards) {
+      books.reverse();
+    }
+
+    const hasNext = backwards ? true : hasMore;
+    const hasPrevious = backwards ? hasMore : Boolean(cursor) || offset > 0;
+    const first = books[0];
+    const last = books[books.length - 1];
+
     return {
-      books: booksResult.results || [],
+      books,
       pagination: {
-        page: parseInt(page),
+        ...(!cursor && { page: parseInt(page) }),
         limit: parseInt(limit),
-        total,
-        total_pages: Math.ceil(total / limit)
+        ...(includeTotal && { total }),
+        ...(includeTotal && !cursor && { total_pages: Math.ceil(total / limit) }),
+        has_more: hasNext && Boolean(last),
+        next_cursor: hasNext && last ? PaginationUtils.encodeCursor(sort, last, 'next') : null,
+        prev_cursor: hasPrevious && first ? PaginationUtils.encodeCursor(sort, first, 'prev') : null
       }
     };
   }
 
-  // Get book by ID
-  async getById(id) {
+  // Books in the trash, most recently deleted first by default
+  async getTrash(options = {}) {
+    return this.getAll({ ...options, include_deleted: false, only_deleted: true });
+  }
+
+  // Get book by ID; trashed books are only returned with includeDeleted.
+  // fields (see resolveFields) narrows the columns read.
+  async getById(id, { includeDeleted = false, fields = null } = {}) {
     if (!id) {
       throw new Error('Book ID is required');
     }
 
-    const query = 'SELECT * FROM books WHERE id = ?';
-    const book = await DatabaseUtils.executeGet(this.db, query, [id]);
+    const select = BookModel.projection(fields);
+    const query = includeDeleted
+      ? `SELECT ${select} FROM books b WHERE b.workspace_id = ? AND b.id = ?`
+      : `SELECT ${select} FROM books b WHERE b.workspace_id = ? AND b.id = ? AND b.deleted_at IS NULL`;
+    const book = await DatabaseUtils.executeGet(this.db, query, [this.workspaceId, id]);
     
     if (!book) {
       throw new NotFoundError('Book');
@@ -98,40 +558,44 @@ export class BookModel {
     return book;
   }
 
+  // Get book by canonical ISBN-13. Only one live book of a workspace can hold
+  // an ISBN; with
+  // includeDeleted the most recently trashed book is returned if none does.
+  async getByIsbn(isbn, { includeDeleted = false, fields = null } = {}) {
+    const select = BookModel.projection(fields);
+    const query = includeDeleted
+      ? `SELECT ${select} FROM books b WHERE b.workspace_id = ? AND b.isbn = ?
+         ORDER BY b.deleted_at IS NOT NULL, b.deleted_at DESC LIMIT 1`
+      : `SELECT ${select} FROM books b WHERE b.workspace_id = ? AND b.isbn = ? AND b.deleted_at IS NULL`;
+    const book = await DatabaseUtils.executeGet(this.db, query, [this.workspaceId, isbn]);
+
+    if (!book) {
+      throw new NotFoundError('Book');
+    }
+
+    return book;
+  }
+
   // Create new book
   async create(bookData) {
     const id = Utils.generateId();
     const now = new Date().toISOString();
-    
-    const {
-      title,
-      author,
-      description,
-      status = 'active',
-      published_date,
-      isbn,
-      pages,
-      language,
-      genre,
-      publisher,
-      price
-    } = bookData;
-
-    const query = `
-      INSERT INTO books (
-        id, title, author, description, status, 
-        published_date, isbn, pages, language, 
-        genre, publisher, price, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-
-    const params = [
-      id, title, author, description, status,
-      published_date, isbn, pages, language,
-      genre, publisher, price, now, now
-    ];
+    const { data: linked, lookups } = await this.linkOne(bookData, { requireAuthor: true });
+    const data = BookModel.priceCurrency(linked);
+    await this.assertIsbnAvailable(data.isbn);
 
-    const result = await DatabaseUtils.executeRun(this.db, query, params);
+    let results;
+    try {
+      results = await DatabaseUtils.executeBatch(this.db, this.writeGroup(
+        this.insertStatement(id, data, now, lookups),
+        this.revisions.recordStatement(id, 'create', BookRevisionModel.diff(null, data)),
+        lookups,
+        now
+      ));
+    } catch (error) {
+      throw await this.isbnConflict(error, data.isbn);
+    }
+    const result = results[lookups.length];
     
     if (!result.success) {
       throw new DatabaseError('Failed to create book');
@@ -141,173 +605,962 @@ export class BookModel {
     return await this.getById(id);
   }
 
-  // Update book
-  async update(id, updateData) {
+  // Update book. When expectedVersion is given the write only succeeds if
+  // the stored row still has that version.
+  async update(id, updateData, expectedVersion = null, { action = 'update', sourceRevision = null } = {}) {
     if (!id) {
       throw new Error('Book ID is required');
     }
 
     // Check if book exists
-    await this.getById(id);
+    const current = await this.getById(id);
+    this.assertVersion(current, expectedVersion);
 
     const now = new Date().toISOString();
-    const updateFields = [];
-    const params = [];
-
-    // Build dynamic update query
-    Object.entries(updateData).forEach(([key, value]) => {
-      if (value !== undefined && key !== 'id' && key !== 'created_at') {
-        updateFields.push(`${key} = ?`);
-        params.push(value);
-      }
-    });
+    const { data, lookups } = await this.linkOne(updateData);
+    const fields = BookModel.priceCurrency(this.writableFields(data), current);
 
-    if (updateFields.length === 0) {
-      throw new Error('No valid fields to update');
+    if (Object.keys(fields).length === 0) {
+      throw new ValidationError('No fields to update');
     }
 
-    updateFields.push('updated_at = ?');
-    params.push(now, id);
+    await this.assertIsbnAvailable(fields.isbn, id);
+
+    const values = this.assignments(fields, lookups);
+    const updateFields = [...values.map(({ column, sql }) => `${column} = ${sql}`), 'updated_at = ?', 'version = version + 1'];
+    const params = [...values.flatMap((value) => value.params), now, id, this.workspaceId, current.version];
 
-    const query = `UPDATE books SET ${updateFields.join(', ')} WHERE id = ?`;
+    // Guard on the version we read so concurrent writers cannot both win
+    const query = `
+      UPDATE books SET ${updateFields.join(', ')}
+      WHERE id = ? AND workspace_id = ? AND version = ? AND deleted_at IS NULL
+    `;
     
-    const result = await DatabaseUtils.executeRun(this.db, query, params);
+    let results;
+    try {
+      results = await DatabaseUtils.executeBatch(this.db, this.writeGroup(
+        this.db.prepare(query).bind(...params),
+        this.revisions.recordStatement(
+          id,
+          action,
+          BookRevisionModel.diff(current, { ...current, ...fields }),
+          sourceRevision
+        ),
+        lookups,
+        now
+      ));
+    } catch (error) {
+      throw await this.isbnConflict(error, fields.isbn);
+    }
+    const result = results[lookups.length];
     
     if (!result.success) {
       throw new DatabaseError('Failed to update book');
     }
 
+    if (!result.meta?.changes) {
+      throw await this.concurrentModificationError(id);
+    }
+
     // Return the updated book
     return await this.getById(id);
   }
 
-  // Delete book
-  async delete(id) {
+  // Whitelisted columns from write data. Column names in SQL only ever come
+  // from WRITABLE_FIELDS; unknown keys are rejected, read-only ones ignored.
+  writableFields(data) {
+    const unknown = Object.keys(data).find((key) => (
+      !WRITABLE_FIELDS.includes(key) && !READ_ONLY_FIELDS.includes(key)
+    ));
+
+    if (unknown) {
+      throw new ValidationError(`Unknown book field "${unknown}"`);
+    }
+
+    return Object.fromEntries(
+      WRITABLE_FIELDS.filter((field) => data[field] !== undefined).map((field) => [field, data[field]])
+    );
+  }
+
+  // Replace every writable field (PUT); fields missing from data are cleared
+  async replace(id, data, expectedVersion = null) {
+    return this.update(
+      id,
+      Object.fromEntries(WRITABLE_FIELDS.map((field) => [field, data[field] ?? null])),
+      expectedVersion
+    );
+  }
+
+  // Link author and publisher names in each data object to their records.
+  // An id wins and the record's name is copied; otherwise the name is
+  // matched by key, and a record is created for a name not seen before
+  // (listed in lookups, see writeGroup). null clears both. Returns per item
+  // the data with canonical names and ids, or an error message.
+  async linkContributors(items, { requireAuthor = false } = {}) {
+    const linked = items.map((data) => ({ data: { ...data }, lookups: [] }));
+
+    for (const [kind, model] of Object.entries(this.contributors)) {
+      const { table, column, idColumn, label } = model.config;
+      const byId = await model.getByIds(items.map((data) => data[idColumn]).filter(Boolean));
+      const byKey = await model.getByKeys(
+        items.filter((data) => !data[idColumn] && data[column]).map((data) => ContributorModel.nameKey(data[column]))
+      );
+      const created = new Map();
+
+      for (const entry of linked) {
+        const { data } = entry;
+        const id = data[idColumn];
+        const name = data[column];
+
+        if (entry.error) {
+          continue;
+        }
+
+        if (id) {
+          const record = byId.get(id);
+
+          if (!record) {
+            entry.error = `${label} "${id}" not found`;
+            continue;
+          }
+
+          if (name !== undefined && name !== null && ContributorModel.nameKey(name) !== record.name_key) {
+            entry.error = `${column} and ${idColumn} refer to different ${table}`;
+            continue;
+          }
+
+          Object.assign(data, { [column]: record.name, [idColumn]: record.id });
+        } else if (name) {
+          const key = ContributorModel.nameKey(name);
+
+          if (!key) {
+            entry.error = `${label} name must contain letters or digits`;
+            continue;
+          }
+
+          let record = byKey.get(key);
+
+          if (!record) {
+            record = created.get(key) || { id: Utils.generateId(), name: ContributorModel.normalizeName(name), key };
+            created.set(key, record);
+            entry.lookups.push({ kind, ...record });
+          }
+
+          Object.assign(data, { [column]: record.name, [idColumn]: record.id });
+        } else if (name === null || id === null) {
+          Object.assign(data, { [column]: null, [idColumn]: null });
+        }
+
+        if (kind === 'author' && (data.author === null || (requireAuthor && !data.author))) {
+          entry.error = 'Author is required';
+        }
+      }
+    }
+
+    return linked;
+  }
+
+  async linkOne(data, options) {
+    const [{ data: linked, lookups, error }] = await this.linkContributors([data], options);
+
+    if (error) {
+      throw new ValidationError(error);
+    }
+
+    return { data: linked, lookups };
+  }
+
+  // Column assignments for writable fields. A contributor created by this
+  // write is read back by name_key: another request may have created the
+  // same name first, in which case that record is the one linked.
+  assignments(fields, lookups = []) {
+    return Object.entries(fields).map(([column, value]) => {
+      const lookup = lookups.find(({ kind }) => (
+        [CONTRIBUTOR_KINDS[kind].column, CONTRIBUTOR_KINDS[kind].idColumn].includes(column)
+      ));
+
+      if (!lookup) {
+        return { column, sql: '?', params: [value] };
+      }
+
+      const { table, idColumn } = CONTRIBUTOR_KINDS[lookup.kind];
+      return {
+        column,
+        sql: `(SELECT ${column === idColumn ? 'id' : 'name'} FROM ${table} WHERE workspace_id = ? AND name_key = ?)`,
+        params: [this.workspaceId, lookup.key]
+      };
+    });
+  }
+
+  // Statements for one book write: any contributors it creates, the write,
+  // then its revision (which must directly follow the write)
+  writeGroup(write, revision, lookups, now) {
+    return [
+      ...lookups.map((lookup) => this.contributors[lookup.kind].ensureStatement(lookup, now)),
+      write,
+      revision
+    ];
+  }
+
+  // Move a book to the trash
+  async delete(id, expectedVersion = null) {
     if (!id) {
       throw new Error('Book ID is required');
     }
 
     // Check if book exists
-    await this.getById(id);
+    const current = await this.getById(id);
+    this.assertVersion(current, expectedVersion);
 
-    const query = 'DELETE FROM books WHERE id = ?';
-    const result = await DatabaseUtils.executeRun(this.db, query, [id]);
+    const now = new Date().toISOString();
+    const query = `
+      UPDATE books SET deleted_at = ?, updated_at = ?, version = version + 1
+      WHERE id = ? AND workspace_id = ? AND version = ? AND deleted_at IS NULL
+    `;
+    const [result] = await DatabaseUtils.executeBatch(this.db, [
+      this.db.prepare(query).bind(now, now, id, this.workspaceId, current.version),
+      this.revisions.recordStatement(id, 'delete', { deleted_at: { from: null, to: now } })
+    ]);
     
     if (!result.success) {
       throw new DatabaseError('Failed to delete book');
     }
 
-    return { deleted: true, id };
+    if (!result.meta?.changes) {
+      throw await this.concurrentModificationError(id);
+    }
+
+    return { deleted: true, id, deleted_at: now };
   }
 
-  // Batch operations
-  async createMultiple(booksData) {
-    if (!Array.isArray(booksData) || booksData.length === 0) {
-      throw new Error('Books data array is required');
+  // Take a book back out of the trash
+  async restore(id) {
+    const current = await this.getById(id, { includeDeleted: true });
+
+    if (!current.deleted_at) {
+      throw new ConflictError('Book is not in the trash', 'BOOK_NOT_DELETED');
     }
 
-    const results = [];
-    const errors = [];
+    // Its ISBN may have been given to another book while it was in the trash
+    await this.assertIsbnAvailable(current.isbn, id);
 
-    for (const bookData of booksData) {
-      try {
-        const book = await this.create(bookData);
-        results.push(book);
-      } catch (error) {
-        errors.push({ data: bookData, error: error.message });
+    const query = `
+      UPDATE books SET deleted_at = NULL, updated_at = ?, version = version + 1
+      WHERE id = ? AND workspace_id = ? AND version = ? AND deleted_at IS NOT NULL
+    `;
+    let result;
+    try {
+      [result] = await DatabaseUtils.executeBatch(this.db, [
+        this.db.prepare(query).bind(new Date().toISOString(), id, this.workspaceId, current.version),
+        this.revisions.recordStatement(id, 'restore', { deleted_at: { from: current.deleted_at, to: null } })
+      ]);
+    } catch (error) {
+      throw await this.isbnConflict(error, current.isbn);
+    }
+
+    if (!result.meta?.changes) {
+      throw await this.concurrentModificationError(id);
+    }
+
+    return await this.getById(id);
+  }
+
+  // Permanently remove a book, trashed or not, along with its history. Tag
+  // links go first, while the book still shows which workspace it is in.
+  async purge(id) {
+    const [, result] = await DatabaseUtils.executeBatch(this.db, [
+      this.db
+        .prepare('DELETE FROM book_tags WHERE book_id IN (SELECT id FROM books WHERE id = ? AND workspace_id = ?)')
+        .bind(id, this.workspaceId),
+      this.db.prepare('DELETE FROM books WHERE id = ? AND workspace_id = ?').bind(id, this.workspaceId),
+      this.revisions.deleteStatement(id)
+    ]);
+
+    if (!result.meta?.changes) {
+      throw new NotFoundError('Book');
+    }
+
+    return { purged: true, id };
+  }
+
+  // Roll a book back to the field values it had at an earlier revision.
+  // This is recorded as a new revision; nothing is removed from history.
+  async revert(id, revision, expectedVersion = null) {
+    const current = await this.getById(id);
+    this.assertVersion(current, expectedVersion);
+
+    const { snapshot } = await this.revisions.get(id, revision);
+    const changes = BookRevisionModel.diff(current, snapshot);
+    const data = Object.fromEntries(
+      REVERTIBLE_FIELDS.filter((field) => field in changes).map((field) => [field, changes[field].to])
+    );
+
+    // Contributors are restored by id, so a rename since the snapshot is not
+    // undone, unless the record is gone; snapshots from before records
+    // existed have no id and are linked by name
+    for (const model of Object.values(this.contributors)) {
+      const { column, idColumn } = model.config;
+      const snapshotId = snapshot[idColumn];
+
+      if (!snapshotId || !(column in data || idColumn in data)) {
+        continue;
+      }
+
+      delete data[column];
+      delete data[idColumn];
+
+      if (!(await model.getByIds([snapshotId])).has(snapshotId)) {
+        Object.assign(data, { [column]: snapshot[column], [idColumn]: null });
+      } else if (snapshotId !== current[idColumn]) {
+        data[idColumn] = snapshotId;
       }
     }
 
-    return {
-      created: results,
-      errors,
-      total: booksData.length,
-      success_count: results.length,
-      error_count: errors.length
-    };
+    if (Object.keys(data).length === 0) {
+      return current;
+    }
+
+    return this.update(id, data, current.version, { action: 'revert', sourceRevision: revision });
   }
 
-  async updateMultiple(updates) {
-    if (!Array.isArray(updates) || updates.length === 0) {
-      throw new Error('Updates array is required');
+  // Only one live book of a workspace may hold an ISBN
+  async assertIsbnAvailable(isbn, exceptId = null) {
+    if (!isbn) {
+      return;
     }
 
-    const results = [];
+    const existing = (await this.getByIsbns([isbn])).get(isbn);
+
+    if (existing && existing.id !== exceptId) {
+      throw BookModel.isbnExistsError(existing.id);
+    }
+  }
+
+  static isbnExistsError(existingId) {
+    return new ConflictError('A book with this ISBN already exists', 'ISBN_EXISTS', { existing_id: existingId });
+  }
+
+  // A write that lost a race for an ISBN fails on the unique index; report
+  // it like assertIsbnAvailable would have. Other errors pass through.
+  async isbnConflict(error, isbn) {
+    if (isbn && /UNIQUE constraint failed: books\.isbn/.test(error.message)) {
+      const existing = (await this.getByIsbns([isbn])).get(isbn);
+
+      if (existing) {
+        return BookModel.isbnExistsError(existing.id);
+      }
+    }
+
+    return error;
+  }
+
+  // Batch item error for an ISBN held by another live book (taken, from
+  // getByIsbns) or by an earlier item of the batch, or null. Records the
+  // item's ISBN in seen.
+  checkIsbn(isbn, index, taken, seen, exceptId = null) {
+    if (!isbn) {
+      return null;
+    }
+
+    const existing = taken.get(isbn);
+
+    if (existing && existing.id !== exceptId) {
+      const { message, code, details } = BookModel.isbnExistsError(existing.id);
+      return { index, code, error: message, ...details };
+    }
+
+    if (seen.has(isbn)) {
+      return { index, code: 'DUPLICATE_ISBN', error: `ISBN already appears at index ${seen.get(isbn)}` };
+    }
+
+    seen.set(isbn, index);
+    return null;
+  }
+
+  // The guarded write matched no row: report the version that won
+  // (getById throws NotFoundError if the book was deleted meanwhile)
+  async concurrentModificationError(id) {
+    const latest = await this.getById(id);
+    return new PreconditionFailedError(
+      `Book has been modified (current version ${latest.version})`,
+      latest.version
+    );
+  }
+
+  assertVersion(book, expectedVersion) {
+    if (expectedVersion !== null && expectedVersion !== undefined && book.version !== expectedVersion) {
+      throw new PreconditionFailedError(
+        `Book has been modified (current version ${book.version})`,
+        book.version
+      );
+    }
+  }
+
+  // Batch operations. Entries are pre-validated { index, ... } items; results
+  // and errors are reported against those indexes. Atomic batches either
+  // apply every item or none, partial batches apply whatever they can.
+  async createMultiple(entries, { atomic = false } = {}) {
+    const now = new Date().toISOString();
+    const linked = await this.linkContributors(entries.map(({ data }) => data), { requireAuthor: true });
+    const taken = await this.getByIsbns(linked.map(({ data }) => data.isbn).filter(Boolean));
+    const seenIsbns = new Map();
     const errors = [];
+    const writable = [];
 
-    for (const { id, data } of updates) {
-      try {
-        const book = await this.update(id, data);
-        results.push(book);
-      } catch (error) {
-        errors.push({ id, data, error: error.message });
+    linked.forEach(({ data, lookups, error }, position) => {
+      const { index } = entries[position];
+      const isbnError = error ? null : this.checkIsbn(data.isbn, index, taken, seenIsbns);
+
+      if (error) {
+        errors.push({ index, code: 'VALIDATION_ERROR', error });
+      } else if (isbnError) {
+        errors.push(isbnError);
+      } else {
+        writable.push({ index, data: BookModel.priceCurrency(data), lookups });
       }
+    });
+
+    if (atomic && errors.length > 0) {
+      return { created: [], errors };
     }
 
-    return {
-      updated: results,
-      errors,
-      total: updates.length,
-      success_count: results.length,
-      error_count: errors.length
-    };
+    const groups = writable.map(({ data, lookups }) => {
+      const id = Utils.generateId();
+      return this.writeGroup(
+        this.insertStatement(id, data, now, lookups),
+        this.revisions.recordStatement(id, 'create', BookRevisionModel.diff(null, data)),
+        lookups,
+        now
+      );
+    });
+    const outcomes = await this.executeEntries(groups, atomic);
+
+    const created = [];
+
+    for (const [position, { rows, error }] of outcomes.entries()) {
+      const { index, data } = writable[position];
+
+      if (error) {
+        const failure = await this.isbnConflict(error, data.isbn);
+        errors.push(failure instanceof ConflictError
+          ? { index, code: failure.code, error: failure.message, ...failure.details }
+          : { index, code: 'CREATE_FAILED', error: error.message });
+      } else {
+        created.push({ index, book: rows[0] });
+      }
+    }
+
+    return { created, errors };
+  }
+
+  async updateMultiple(entries, { atomic = false } = {}) {
+    const current = await this.getByIds(entries.map((entry) => entry.id));
+    const now = new Date().toISOString();
+    const errors = this.checkEntries(entries, current);
+    const checked = entries.filter((entry) => !errors.some((error) => error.index === entry.index));
+    const linked = await this.linkContributors(checked.map(({ data }) => data));
+    const taken = await this.getByIsbns(linked.map(({ data }) => data.isbn).filter(Boolean));
+    const seenIsbns = new Map();
+    const writable = [];
+
+    linked.forEach(({ data, lookups, error }, position) => {
+      const { index, id } = checked[position];
+      const isbnError = error ? null : this.checkIsbn(data.isbn, index, taken, seenIsbns, id);
+
+      if (error) {
+        errors.push({ index, id, code: 'VALIDATION_ERROR', error });
+      } else if (isbnError) {
+        errors.push({ ...isbnError, id });
+      } else {
+        writable.push({ ...checked[position], data: BookModel.priceCurrency(data, current.get(id)), lookups });
+      }
+    });
+
+    if (atomic && errors.length > 0) {
+      return { updated: [], errors };
+    }
+
+    const groups = writable.map(({ id, data, lookups }) => {
+      const book = current.get(id);
+      return this.writeGroup(
+        this.updateStatement(id, data, book.version, now, atomic, lookups),
+        this.revisions.recordStatement(
+          id,
+          'update',
+          BookRevisionModel.diff(book, { ...book, ...this.writableFields(data) })
+        ),
+        lookups,
+        now
+      );
+    });
+    let outcomes;
+
+    try {
+      outcomes = await this.executeEntries(groups, atomic);
+    } catch (error) {
+      // The atomic batch rolled back; report any books that changed since we read them
+      const latest = await this.getByIds(writable.map((entry) => entry.id));
+      const conflicts = this.checkEntries(
+        writable.map((entry) => ({ ...entry, version: current.get(entry.id).version })),
+        latest
+      );
+
+      if (conflicts.length > 0) {
+        return { updated: [], errors: conflicts };
+      }
+
+      throw error;
+    }
+
+    const updated = [];
+
+    outcomes.forEach(({ rows, error }, position) => {
+      const { index, id } = writable[position];
+
+      if (error) {
+        errors.push({ index, id, code: 'UPDATE_FAILED', error: error.message });
+      } else if (rows.length === 0) {
+        // Another writer got in between our read and the guarded update
+        errors.push({ index, id, code: 'PRECONDITION_FAILED', error: 'Book has been modified' });
+      } else {
+        updated.push({ index, book: rows[0] });
+      }
+    });
+
+    return { updated, errors };
   }
 
-  async deleteMultiple(ids) {
-    if (!Array.isArray(ids) || ids.length === 0) {
-      throw new Error('IDs array is required');
+  async deleteMultiple(entries, { atomic = false } = {}) {
+    const current = await this.getByIds(entries.map((entry) => entry.id));
+    const errors = this.checkEntries(entries, current);
+    const deletable = entries.filter((entry) => !errors.some((error) => error.index === entry.index));
+
+    if (atomic && errors.length > 0) {
+      return { deleted: [], errors };
     }
 
+    const now = new Date().toISOString();
+    const groups = deletable.map(({ id }) => [
+      this.db
+        .prepare(`
+          UPDATE books SET deleted_at = ?, updated_at = ?, version = version + 1
+          WHERE id = ? AND workspace_id = ? AND deleted_at IS NULL
+          RETURNING id
+        `)
+        .bind(now, now, id, this.workspaceId),
+      this.revisions.recordStatement(id, 'delete', { deleted_at: { from: null, to: now } })
+    ]);
+    const outcomes = await this.executeEntries(groups, atomic);
+    const deleted = [];
+
+    outcomes.forEach(({ rows, error }, position) => {
+      const { index, id } = deletable[position];
+
+      if (error) {
+        errors.push({ index, id, code: 'DELETE_FAILED', error: error.message });
+      } else if (rows.length === 0) {
+        errors.push({ index, id, code: 'NOT_FOUND', error: 'Book not found' });
+      } else {
+        deleted.push({ index, id, deleted_at: now });
+      }
+    });
+
+    return { deleted, errors };
+  }
+
+  // Import validated rows ({ row, data, fields }, where fields lists the
+  // fields the row actually provided). A row whose ISBN matches a live book
+  // is skipped, or with upsert updates that book with the provided fields.
+  // A dry run reports the same outcomes without writing anything.
+  async importRows(rows, { upsert = false, dryRun = false } = {}) {
+    const existing = await this.getByIsbns(rows.map(({ data }) => data.isbn).filter(Boolean));
+    const linked = await this.linkContributors(rows.map(({ data }) => data));
+    const firstRowByIsbn = new Map();
     const results = [];
+    const creates = [];
+    const updates = [];
+
+    for (const [position, { row, fields: providedFields }] of rows.entries()) {
+      const { data, lookups, error } = linked[position];
+      const book = data.isbn ? existing.get(data.isbn) : undefined;
+      // A linked name brings its id along, and the other way round
+      const fields = [...new Set(providedFields.flatMap((field) => {
+        const kind = Object.values(CONTRIBUTOR_KINDS).find(({ column, idColumn }) => [column, idColumn].includes(field));
+        return kind ? [kind.column, kind.idColumn] : [field];
+      }))];
+      const entry = { row, data: BookModel.priceCurrency(data), lookups };
+
+      if (error || (!book && !data.author)) {
+        results.push({ row, status: 'failed', code: 'VALIDATION_ERROR', reason: error || 'Author is required' });
+        continue;
+      }
+
+      if (data.isbn && firstRowByIsbn.has(data.isbn)) {
+        results.push({
+          row,
+          status: 'failed',
+          code: 'DUPLICATE_ISBN',
+          reason: `ISBN already appears in row ${firstRowByIsbn.get(data.isbn)}`
+        });
+        continue;
+      }
+
+      if (data.isbn) {
+        firstRowByIsbn.set(data.isbn, row);
+      }
+
+      if (!book) {
+        creates.push(entry);
+      } else if (!upsert) {
+        results.push({ row, status: 'skipped', id: book.id, code: 'ISBN_EXISTS', reason: 'A book with this ISBN already exists' });
+      } else {
+        const provided = BookModel.priceCurrency(Object.fromEntries(fields.map((field) => [field, data[field]])), book);
+        const changes = BookRevisionModel.diff(book, { ...book, ...this.writableFields(provided) });
+
+        if (Object.keys(changes).length === 0) {
+          results.push({ row, status: 'skipped', id: book.id, code: 'UNCHANGED', reason: 'Book already matches this row' });
+        } else {
+          updates.push({ row, book, data: provided, lookups, changes });
+        }
+      }
+    }
+
+    if (dryRun) {
+      return [
+        ...results,
+        ...creates.map(({ row }) => ({ row, status: 'created' })),
+        ...updates.map(({ row, book, changes }) => ({ row, status: 'updated', id: book.id, changes }))
+      ];
+    }
+
+    const now = new Date().toISOString();
+    const writes = [
+      ...creates.map(({ row, data, lookups }) => {
+        const id = Utils.generateId();
+        return {
+          row,
+          statements: this.writeGroup(
+            this.insertStatement(id, data, now, lookups),
+            this.revisions.recordStatement(id, 'create', BookRevisionModel.diff(null, data)),
+            lookups,
+            now
+          )
+        };
+      }),
+      ...updates.map(({ row, book, data, lookups, changes }) => ({
+        row,
+        id: book.id,
+        changes,
+        statements: this.writeGroup(
+          this.updateStatement(book.id, data, book.version, now, false, lookups),
+          this.revisions.recordStatement(book.id, 'update', changes),
+          lookups,
+          now
+        )
+      }))
+    ];
+
+    // Written in batch-sized chunks, each its own transaction
+    for (let start = 0; start < writes.length; start += IMPORT_CHUNK_SIZE) {
+      const chunk = writes.slice(start, start + IMPORT_CHUNK_SIZE);
+      const outcomes = await this.executeEntries(chunk.map((write) => write.statements), false);
+
+      outcomes.forEach(({ rows: written, error }, position) => {
+        const { row, id, changes } = chunk[position];
+        const status = id ? 'updated' : 'created';
+
+        if (error) {
+          results.push({ row, status: 'failed', id, code: 'WRITE_FAILED', reason: error.message });
+        } else if (written.length === 0) {
+          results.push({ row, status: 'failed', id, code: 'PRECONDITION_FAILED', reason: 'Book was modified during the import' });
+        } else {
+          results.push({ row, status, id: written[0].id, ...(changes && { changes }) });
+        }
+      });
+    }
+
+    return results;
+  }
+
+  // Live books with the given ISBNs, keyed by ISBN
+  async getByIsbns(isbns) {
+    const unique = [...new Set(isbns)];
+    const books = new Map();
+
+    for (let start = 0; start < unique.length; start += LOOKUP_CHUNK_SIZE) {
+      const chunk = unique.slice(start, start + LOOKUP_CHUNK_SIZE);
+      const query = `
+        SELECT * FROM books
+        WHERE workspace_id = ? AND deleted_at IS NULL AND isbn IN (${chunk.map(() => '?').join(', ')})
+      `;
+      const result = await DatabaseUtils.executeQuery(this.db, query, [this.workspaceId, ...chunk]);
+
+      for (const book of result.results || []) {
+        books.set(book.isbn, book);
+      }
+    }
+
+    return books;
+  }
+
+  // Fetch several books in one query, keyed by id. The ids are bound as one
+  // JSON array, as a full batch and the workspace exceed D1's 100 values.
+  async getByIds(ids) {
+    const unique = [...new Set(ids)];
+
+    if (unique.length === 0) {
+      return new Map();
+    }
+
+    const query = `
+      SELECT * FROM books
+      WHERE workspace_id = ? AND deleted_at IS NULL AND id IN (SELECT value FROM json_each(?))
+    `;
+    const result = await DatabaseUtils.executeQuery(this.db, query, [this.workspaceId, JSON.stringify(unique)]);
+    return new Map((result.results || []).map((book) => [book.id, book]));
+  }
+
+  // Per-item checks that can be made before writing anything
+  checkEntries(entries, current) {
+    const seen = new Set();
     const errors = [];
 
-    for (const id of ids) {
+    for (const { index, id, version } of entries) {
+      const book = current.get(id);
+
+      if (seen.has(id)) {
+        errors.push({ index, id, code: 'DUPLICATE_ID', error: 'Book appears more than once in the batch' });
+      } else if (!book) {
+        errors.push({ index, id, code: 'NOT_FOUND', error: 'Book not found' });
+      } else if (version !== undefined && version !== null && book.version !== version) {
+        errors.push({
+          index,
+          id,
+          code: 'PRECONDITION_FAILED',
+          error: `Book has been modified (current version ${book.version})`,
+          current_version: book.version
+        });
+      }
+
+      seen.add(id);
+    }
+
+    return errors;
+  }
+
+  insertStatement(id, bookData, now, lookups = []) {
+    const fields = Object.fromEntries(WRITABLE_FIELDS.map((field) => [field, bookData[field] ?? null]));
+    fields.status ??= 'active';
+    const values = this.assignments(fields, lookups);
+
+    const query = `
+      INSERT INTO books (
+        id, workspace_id, ${values.map(({ column }) => column).join(', ')}, created_at, updated_at
+      ) VALUES (?, ?, ${values.map(({ sql }) => sql).join(', ')}, ?, ?)
+      RETURNING *
+    `;
+
+    return this.db.prepare(query).bind(id, this.workspaceId, ...values.flatMap((value) => value.params), now, now);
+  }
+
+  // Version-guarded UPDATE. In partial mode a stale version (or a book trashed
+  // meanwhile) simply matches no row; in atomic mode it sets version to NULL,
+  // which violates NOT NULL and aborts the whole batch transaction.
+  updateStatement(id, data, version, now, atomic, lookups = []) {
+    const values = this.assignments(this.writableFields(data), lookups);
+    const fields = values.map(({ column, sql }) => `${column} = ${sql}`);
+    const params = values.flatMap((value) => value.params);
+
+    if (atomic) {
+      fields.push(
+        'updated_at = ?',
+        'version = CASE WHEN version = ? AND deleted_at IS NULL THEN version + 1 ELSE NULL END'
+      );
+      return this.db
+        .prepare(`UPDATE books SET ${fields.join(', ')} WHERE id = ? AND workspace_id = ? RETURNING *`)
+        .bind(...params, now, version, id, this.workspaceId);
+    }
+
+    fields.push('updated_at = ?', 'version = version + 1');
+    return this.db
+      .prepare(`
+        UPDATE books SET ${fields.join(', ')}
+        WHERE id = ? AND workspace_id = ? AND version = ? AND deleted_at IS NULL
+        RETURNING *
+      `)
+      .bind(...params, now, id, this.workspaceId, version);
+  }
+
+  // Run each entry's statements (see writeGroup: its write and revision come
+  // last). Everything goes through a single D1 batch (one transaction); when
+  // that fails in partial mode the entries are retried one by one so a single
+  // bad item cannot sink the rest. Outcomes carry the rows returned by each write.
+  async executeEntries(groups, atomic) {
+    if (groups.length === 0) {
+      return [];
+    }
+
+    try {
+      const results = await DatabaseUtils.executeBatch(this.db, groups.flat());
+      let position = 0;
+
+      return groups.map((group) => {
+        const result = results[position + group.length - 2];
+        position += group.length;
+        return { rows: result.results || [] };
+      });
+    } catch (error) {
+      if (atomic) {
+        throw error;
+      }
+    }
+
+    const outcomes = [];
+
+    for (const group of groups) {
       try {
-        const result = await this.delete(id);
-        results.push(result);
+        const results = await DatabaseUtils.executeBatch(this.db, group);
+        outcomes.push({ rows: results[group.length - 2].results || [] });
       } catch (error) {
-        errors.push({ id, error: error.message });
+        outcomes.push({ error });
       }
     }
 
-    return {
-      deleted: results,
-      errors,
-      total: ids.length,
-      success_count: results.length,
-      error_count: errors.length
-    };
+    return outcomes;
   }
 
-  // Get statistics
+  // Overview of the workspace's books, read in one batch
   async getStatistics() {
-    const queries = {
-      total: 'SELECT COUNT(*) as count FROM books',
-      active: 'SELECT COUNT(*) as count FROM books WHERE status = "active"',
-      inactive: 'SELECT COUNT(*) as count FROM books WHERE status = "inactive"',
-      archived: 'SELECT COUNT(*) as count FROM books WHERE status = "archived"',
-      by_genre: 'SELECT genre, COUNT(*) as count FROM books WHERE genre IS NOT NULL GROUP BY genre ORDER BY count DESC',
-      by_author: 'SELECT author, COUNT(*) as count FROM books GROUP BY author ORDER BY count DESC LIMIT 10'
+    const statement = (query) => this.db.prepare(query).bind(this.workspaceId);
+
+    const [totals, byGenre, byAuthor, byTag] = await DatabaseUtils.executeBatch(this.db, [
+      statement(`
+        SELECT
+          COUNT(*) AS total,
+          COUNT(CASE WHEN status = 'active' THEN 1 END) AS active,
+          COUNT(CASE WHEN status = 'inactive' THEN 1 END) AS inactive,
+          COUNT(CASE WHEN status = 'archived' THEN 1 END) AS archived
+        FROM books WHERE workspace_id = ? AND deleted_at IS NULL
+      `),
+      statement(`
+        SELECT genre, COUNT(*) as count FROM books
+        WHERE workspace_id = ? AND deleted_at IS NULL AND genre IS NOT NULL
+        GROUP BY genre ORDER BY count DESC
+      `),
+      statement(`
+        SELECT a.id AS author_id, a.name AS author, COUNT(*) as count
+        FROM books b JOIN authors a ON a.id = b.author_id
+        WHERE b.workspace_id = ? AND b.deleted_at IS NULL
+        GROUP BY a.id ORDER BY count DESC LIMIT 10
+      `),
+      statement(`
+        SELECT t.id AS tag_id, t.name AS tag, COUNT(*) as count
+        FROM book_tags bt
+        JOIN tags t ON t.id = bt.tag_id
+        JOIN books b ON b.id = bt.book_id
+        WHERE b.workspace_id = ? AND b.deleted_at IS NULL
+        GROUP BY t.id ORDER BY count DESC, t.name LIMIT 20
+      `)
+    ]);
+    const counts = totals.results?.[0] || {};
+
+    return {
+      total: counts.total || 0,
+      active: counts.active || 0,
+      inactive: counts.inactive || 0,
+      archived: counts.archived || 0,
+      by_genre: byGenre.results || [],
+      by_author: byAuthor.results || [],
+      by_tag: byTag.results || []
     };
+  }
 
-    const results = {};
-    
-    for (const [key, query] of Object.entries(queries)) {
-      try {
-        if (key === 'by_genre' || key === 'by_author') {
-          const result = await DatabaseUtils.executeQuery(this.db, query);
-          results[key] = result.results || [];
-        } else {
-          const result = await DatabaseUtils.executeGet(this.db, query);
-          results[key] = result?.count || 0;
-        }
-      } catch (error) {
-        Logger.error('Statistics query failed', error, { query });
-        results[key] = key.includes('_') ? [] : 0;
-      }
+  // Metrics over the books matching the list filters, in total and per
+  // group_by group, read in one batch. Price filters and metrics are in the
+  // requested currency, else the base currency, like in getAll; price
+  // filters reject missing rates, metrics report them as unconverted_count.
+  // Histogram buckets are bucket_size wide and only listed when they hold a
+  // book.
+  async aggregate(options = {}) {
+    const {
+      group_by: groupBy,
+      metrics = ['count'],
+      bucket_size: bucketSize = 1000,
+      limit = 100
+    } = options;
+
+    const { compare } = await this.listConversion(options);
+    const pricing = metrics.some((metric) => metric.includes('price'));
+    const conversion = compare
+      || (pricing ? await this.priceConversion(CurrencyUtils.BASE_CURRENCY) : null);
+    const price = conversion ? BookModel.convertedPriceSql(conversion) : 'b.price';
+    const histogram = metrics.includes('price_histogram');
+    const group = STATS_GROUPS[groupBy];
+
+    if (options.price !== undefined) {
+      await this.assertConvertible('FROM books b', this.buildFilters({ ...options, price: undefined }), compare);
     }
 
-    return results;
+    const { conditions, params } = this.buildFilters(options, compare);
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const statement = (query, extra = []) => this.db.prepare(query).bind(...params, ...extra);
+
+    // count is always reported
+    const columns = ['count', ...metrics, ...(pricing ? ['unconverted_count'] : [])]
+      .filter((metric, index, all) => STATS_METRICS[metric] && all.indexOf(metric) === index)
+      .map((metric) => `${STATS_METRICS[metric](price)} AS ${metric}`)
+      .join(', ');
+
+    const statements = [statement(`SELECT ${columns} FROM books b ${where}`)];
+
+    if (group) {
+      const groupColumns = Object.entries(group.period ? { period: group.key } : group.columns)
+        .map(([name, expression]) => `${expression} AS ${name}`)
+        .join(', ');
+
+      // One extra row tells whether groups were left out
+      statements.push(statement(`
+        SELECT ${group.key} AS group_key, ${groupColumns}, ${columns}
+        FROM books b ${where}
+        GROUP BY group_key
+        ORDER BY ${group.period ? 'group_key' : 'count DESC, group_key'}
+        LIMIT ?
+      `, [limit + 1]));
+    }
+
+    // bucket_size is a validated integer
+    if (histogram) {
+      statements.push(statement(`
+        SELECT ${group ? group.key : 'NULL'} AS group_key, CAST(${price} / ${bucketSize} AS INTEGER) AS bucket, COUNT(*) AS count
+        FROM books b ${where} AND ${price} IS NOT NULL
+        GROUP BY group_key, bucket
+        ORDER BY bucket
+      `));
+    }
+
+    const results = await DatabaseUtils.executeBatch(this.db, statements);
+    const totals = results[0].results?.[0] || {};
+    const rows = group ? results[1].results || [] : [];
+
+    // Buckets per group key, and summed over all groups for the totals
+    const buckets = new Map();
+    const totalBuckets = new Map();
+    for (const { group_key: key, bucket, count } of (histogram ? results[statements.length - 1].results : null) || []) {
+      const entry = { from: bucket * bucketSize, to: (bucket + 1) * bucketSize, count };
+      buckets.set(key, [...(buckets.get(key) || []), entry]);
+      totalBuckets.set(bucket, { ...entry, count: (totalBuckets.get(bucket)?.count || 0) + count });
+    }
+    const withHistogram = (row, entries) => (histogram ? { ...row, price_histogram: entries } : row);
+
+    return {
+      ...(pricing && { currency: conversion.currency }),
+      totals: withHistogram(totals, [...totalBuckets.values()]),
+      ...(group && {
+        group_by: groupBy,
+        groups: rows.slice(0, limit).map(({ group_key: key, ...row }) => withHistogram(row, buckets.get(key) || [])),
+        has_more: rows.length > limit
+      })
+    };
   }
 }
 
@@ -0,0 +1,151 @@
+import { DatabaseUtils, Utils } from '../utils/index.js';
+import { NotFoundError } from '../types/index.js';
+
+// Book columns captured in every revision snapshot
+export const SNAPSHOT_COLUMNS = [
+  'id', 'title', 'author', 'author_id', 'description', 'status', 'published_date',
+  'isbn', 'pages', 'language', 'genre', 'publisher', 'publisher_id', 'price', 'currency',
+  'created_at', 'updated_at', 'version', 'deleted_at'
+];
+
+// Fields a revert writes back; the rest is bookkeeping
+export const REVERTIBLE_FIELDS = [
+  'title', 'author', 'author_id', 'description', 'status', 'published_date',
+  'isbn', 'pages', 'language', 'genre', 'publisher', 'publisher_id', 'price', 'currency'
+];
+
+const SNAPSHOT_SQL = `json_object(${SNAPSHOT_COLUMNS.map((column) => `'${column}', ${column}`).join(', ')})`;
+
+export class BookRevisionModel {
+  // context: { actorId, actorType, apiKeyId, requestId, workspaceId } of the
+  // current request; revisions are read and written in that workspace only
+  constructor(db, context = {}) {
+    this.db = db;
+    this.context = context;
+    this.workspaceId = context.workspaceId;
+  }
+
+  static toPublic(row, { includeSnapshot = false } = {}) {
+    return {
+      revision: row.revision,
+      action: row.action,
+      source_revision: row.source_revision,
+      actor: row.actor_id
+        ? { id: row.actor_id, type: row.actor_type, api_key_id: row.api_key_id }
+        : null,
+      request_id: row.request_id,
+      created_at: row.created_at,
+      changes: JSON.parse(row.changes),
+      ...(includeSnapshot && { snapshot: JSON.parse(row.snapshot) })
+    };
+  }
+
+  // Changed fields between two states of a book as { field: { from, to } }
+  static diff(before, after) {
+    const changes = {};
+
+    for (const field of [...REVERTIBLE_FIELDS, 'deleted_at']) {
+      const from = before?.[field] ?? null;
+      const to = after?.[field] ?? null;
+
+      if (from !== to) {
+        changes[field] = { from, to };
+      }
+    }
+
+    return changes;
+  }
+
+  // Statement that records the book's current row as a revision. It must
+  // follow the write in the same batch: it only inserts when that write
+  // changed a row, so a guarded write that lost a race records nothing.
+  recordStatement(bookId, action, changes, sourceRevision = null) {
+    const { actorId = null, actorType = null, apiKeyId = null, requestId = null } = this.context;
+
+    const query = `
+      INSERT INTO book_revisions (
+        id, book_id, workspace_id, revision, action, source_revision, actor_id, actor_type,
+        api_key_id, request_id, changes, snapshot, created_at
+      )
+      SELECT ?, id, workspace_id, version, ?, ?, ?, ?, ?, ?, ?, ${SNAPSHOT_SQL}, ?
+      FROM books
+      WHERE id = ? AND workspace_id = ? AND changes() = 1
+    `;
+
+    return this.db.prepare(query).bind(
+      Utils.generateId(), action, sourceRevision, actorId, actorType,
+      apiKeyId, requestId, JSON.stringify(changes), new Date().toISOString(), bookId, this.workspaceId
+    );
+  }
+
+  // Records the current row of every book linked to a contributor (column is
+  // author_id or publisher_id) as an update. It must follow the write that
+  // changed all of those books, in the same batch.
+  recordLinkedStatement(column, contributorId, changes) {
+    const { actorId = null, actorType = null, apiKeyId = null, requestId = null } = this.context;
+
+    const query = `
+      INSERT INTO book_revisions (
+        id, book_id, workspace_id, revision, action, source_revision, actor_id, actor_type,
+        api_key_id, request_id, changes, snapshot, created_at
+      )
+      SELECT lower(hex(randomblob(16))), id, workspace_id, version, 'update', NULL, ?, ?, ?, ?, ?, ${SNAPSHOT_SQL}, ?
+      FROM books
+      WHERE ${column} = ? AND workspace_id = ?
+    `;
+
+    return this.db.prepare(query).bind(
+      actorId, actorType, apiKeyId, requestId, JSON.stringify(changes),
+      new Date().toISOString(), contributorId, this.workspaceId
+    );
+  }
+
+  deleteStatement(bookId) {
+    return this.db
+      .prepare('DELETE FROM book_revisions WHERE book_id = ? AND workspace_id = ?')
+      .bind(bookId, this.workspaceId);
+  }
+
+  // Revisions of a book, newest first
+  async listByBook(bookId, { page = 1, limit = 20 } = {}) {
+    const countResult = await DatabaseUtils.executeGet(
+      this.db,
+      'SELECT COUNT(*) as total FROM book_revisions WHERE book_id = ? AND workspace_id = ?',
+      [bookId, this.workspaceId]
+    );
+    const total = countResult?.total || 0;
+
+    const result = await DatabaseUtils.executeQuery(
+      this.db,
+      `SELECT * FROM book_revisions WHERE book_id = ? AND workspace_id = ?
+       ORDER BY revision DESC LIMIT ? OFFSET ?`,
+      [bookId, this.workspaceId, limit, (page - 1) * limit]
+    );
+
+    return {
+      revisions: (result.results || []).map((row) => BookRevisionModel.toPublic(row)),
+      pagination: {
+        page,
+        limit,
+        total,
+        total_pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async get(bookId, revision) {
+    const row = await DatabaseUtils.executeGet(
+      this.db,
+      'SELECT * FROM book_revisions WHERE book_id = ? AND workspace_id = ? AND revision = ?',
+      [bookId, this.workspaceId, revision]
+    );
+
+    if (!row) {
+      throw new NotFoundError('Revision');
+    }
+
+    return BookRevisionModel.toPublic(row, { includeSnapshot: true });
+  }
+}
+
+export default BookRevisionModel;
@@ -0,0 +1,287 @@
+import { DatabaseUtils, Utils } from '../utils/index.js';
+import { BookRevisionModel } from './bookRevision.js';
+import { NotFoundError, DatabaseError, ConflictError, ValidationError } from '../types/index.js';
+
+// Authors and publishers share one shape: a name, one free-text detail, and
+// the books linked to them through books.<column>_id. books.<column> keeps a
+// copy of the name so search, filters and sorting work without a join.
+export const CONTRIBUTOR_KINDS = {
+  author: { table: 'authors', column: 'author', idColumn: 'author_id', detail: 'bio', label: 'Author' },
+  publisher: { table: 'publishers', column: 'publisher', idColumn: 'publisher_id', detail: 'website', label: 'Publisher' }
+};
+
+const SORT_COLUMNS = ['name', 'created_at', 'book_count'];
+
+// Ids or name keys per lookup (D1 binds at most 100 values, one of them the
+// workspace)
+const LOOKUP_CHUNK_SIZE = 99;
+
+// Records belong to the workspace in context, like the books linking them
+export class ContributorModel {
+  constructor(db, kind, context = {}) {
+    if (!context.workspaceId) {
+      throw new Error('Workspace is required');
+    }
+
+    this.db = db;
+    this.workspaceId = context.workspaceId;
+    this.kind = kind;
+    this.config = CONTRIBUTOR_KINDS[kind];
+    this.revisions = new BookRevisionModel(db, context);
+  }
+
+  // Display form of a name: trimmed, inner whitespace collapsed
+  static normalizeName(name) {
+    return name.trim().replace(/\s+/g, ' ');
+  }
+
+  // Key that identifies a name however it is spelled. Only ASCII letters are
+  // lowercased, like SQLite's lower() in migration 0011 which computes the
+  // same key for existing rows.
+  static nameKey(name) {
+    return name
+      .replace(/[A-Z]/g, (char) => char.toLowerCase())
+      .replace(/[ \t\n\r.,'"-]/g, '');
+  }
+
+  toPublic(row) {
+    const { detail } = this.config;
+
+    return {
+      id: row.id,
+      name: row.name,
+      [detail]: row[detail],
+      book_count: row.book_count ?? 0,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  // Live books linked to each row
+  get bookCountSql() {
+    const { table, idColumn } = this.config;
+    return `(SELECT COUNT(*) FROM books b WHERE b.${idColumn} = ${table}.id AND b.deleted_at IS NULL) AS book_count`;
+  }
+
+  // List with optional name prefix search (matched on the name key, so
+  // "jrr" finds "J. R. R. Tolkien")
+  async list({ page = 1, limit = 20, q, sort_by: sortBy = 'name', sort_order: sortOrder = 'asc' } = {}) {
+    const { table } = this.config;
+    const conditions = ['workspace_id = ?'];
+    const params = [this.workspaceId];
+
+    if (q) {
+      conditions.push("name_key LIKE ? ESCAPE '\\'");
+      params.push(`${ContributorModel.nameKey(q).replace(/[\\%_]/g, (char) => `\\${char}`)}%`);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const sortColumn = SORT_COLUMNS.includes(sortBy) ? sortBy : 'name';
+    const direction = sortOrder.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+
+    const countResult = await DatabaseUtils.executeGet(
+      this.db,
+      `SELECT COUNT(*) as total FROM ${table} ${where}`,
+      params
+    );
+    const total = countResult?.total || 0;
+
+    const result = await DatabaseUtils.executeQuery(
+      this.db,
+      `SELECT ${table}.*, ${this.bookCountSql} FROM ${table} ${where}
+       ORDER BY ${sortColumn} ${direction}, id ${direction} LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    return {
+      items: (result.results || []).map((row) => this.toPublic(row)),
+      pagination: {
+        page,
+        limit,
+        total,
+        total_pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async getById(id) {
+    const { table, label } = this.config;
+    const row = await DatabaseUtils.executeGet(
+      this.db,
+      `SELECT ${table}.*, ${this.bookCountSql} FROM ${table} WHERE workspace_id = ? AND id = ?`,
+      [this.workspaceId, id]
+    );
+
+    if (!row) {
+      throw new NotFoundError(label);
+    }
+
+    return row;
+  }
+
+  async getByIds(ids) {
+    return this.lookup('id', ids);
+  }
+
+  async getByKeys(keys) {
+    return this.lookup('name_key', keys);
+  }
+
+  // Rows whose column is one of values, keyed by that column
+  async lookup(column, values) {
+    const unique = [...new Set(values)];
+    const rows = new Map();
+
+    for (let start = 0; start < unique.length; start += LOOKUP_CHUNK_SIZE) {
+      const chunk = unique.slice(start, start + LOOKUP_CHUNK_SIZE);
+      const result = await DatabaseUtils.executeQuery(
+        this.db,
+        `SELECT * FROM ${this.config.table} WHERE workspace_id = ? AND ${column} IN (${chunk.map(() => '?').join(', ')})`,
+        [this.workspaceId, ...chunk]
+      );
+
+      for (const row of result.results || []) {
+        rows.set(row[column], row);
+      }
+    }
+
+    return rows;
+  }
+
+  // Key for a name, rejecting names that have nothing left to compare
+  keyFor(name) {
+    const key = ContributorModel.nameKey(name);
+
+    if (!key) {
+      throw new ValidationError(`${this.config.label} name must contain letters or digits`);
+    }
+
+    return key;
+  }
+
+  async assertNameAvailable(key, exceptId = null) {
+    const existing = (await this.getByKeys([key])).get(key);
+
+    if (existing && existing.id !== exceptId) {
+      throw new ConflictError(
+        `${this.config.label} "${existing.name}" already exists`,
+        `${this.kind.toUpperCase()}_EXISTS`,
+        { existing_id: existing.id }
+      );
+    }
+  }
+
+  async create(data) {
+    const { table, detail } = this.config;
+    const name = ContributorModel.normalizeName(data.name);
+    const key = this.keyFor(name);
+    await this.assertNameAvailable(key);
+
+    const id = Utils.generateId();
+    const now = new Date().toISOString();
+    const result = await DatabaseUtils.executeRun(
+      this.db,
+      `INSERT INTO ${table} (id, workspace_id, name, name_key, ${detail}, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, this.workspaceId, name, key, data[detail] ?? null, now, now]
+    );
+
+    if (!result.success) {
+      throw new DatabaseError(`Failed to create ${this.kind}`);
+    }
+
+    return this.toPublic(await this.getById(id));
+  }
+
+  // Statement that creates a record for a name first seen in a book write.
+  // Another request may create the same name first, so conflicts are ignored
+  // and the book looks the record up by name_key (see BookModel).
+  ensureStatement({ id, name, key }, now) {
+    const { table } = this.config;
+
+    return this.db
+      .prepare(`
+        INSERT INTO ${table} (id, workspace_id, name, name_key, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (workspace_id, name_key) DO NOTHING
+      `)
+      .bind(id, this.workspaceId, name, key, now, now);
+  }
+
+  // Update a record. A new name is copied to every linked book, trashed ones
+  // included, each getting a new version and revision. Returns the record and
+  // the ids of the books that changed.
+  async update(id, data) {
+    const { table, column, idColumn, detail } = this.config;
+    const current = await this.getById(id);
+    const now = new Date().toISOString();
+    const fields = {};
+
+    if (data.name !== undefined) {
+      const name = ContributorModel.normalizeName(data.name);
+      const key = this.keyFor(name);
+      await this.assertNameAvailable(key, id);
+      Object.assign(fields, { name, name_key: key });
+    }
+
+    if (data[detail] !== undefined) {
+      fields[detail] = data[detail];
+    }
+
+    if (Object.keys(fields).length === 0) {
+      throw new ValidationError('No fields to update');
+    }
+
+    const statements = [
+      this.db
+        .prepare(`
+          UPDATE ${table} SET ${Object.keys(fields).map((key) => `${key} = ?`).join(', ')}, updated_at = ?
+          WHERE id = ? AND workspace_id = ?
+        `)
+        .bind(...Object.values(fields), now, id, this.workspaceId)
+    ];
+    const renamed = fields.name !== undefined && fields.name !== current.name;
+
+    if (renamed) {
+      statements.push(
+        this.db
+          .prepare(`
+            UPDATE books SET ${column} = ?, updated_at = ?, version = version + 1
+            WHERE ${idColumn} = ? AND workspace_id = ?
+            RETURNING id
+          `)
+          .bind(fields.name, now, id, this.workspaceId),
+        this.revisions.recordLinkedStatement(idColumn, id, { [column]: { from: current.name, to: fields.name } })
+      );
+    }
+
+    const results = await DatabaseUtils.executeBatch(this.db, statements);
+
+    return {
+      item: this.toPublic(await this.getById(id)),
+      bookIds: renamed ? (results[1].results || []).map((row) => row.id) : []
+    };
+  }
+
+  // Delete a record that no book (live or trashed) links to
+  async delete(id) {
+    const { table, idColumn, label } = this.config;
+    await this.getById(id);
+
+    const linked = await DatabaseUtils.executeGet(
+      this.db,
+      `SELECT COUNT(*) as count FROM books WHERE ${idColumn} = ? AND workspace_id = ?`,
+      [id, this.workspaceId]
+    );
+
+    if (linked?.count > 0) {
+      throw new ConflictError(
+        `${label} is linked to ${linked.count} book(s); move or purge them first`,
+        `${this.kind.toUpperCase()}_IN_USE`
+      );
+    }
+
+    await DatabaseUtils.executeRun(this.db, `DELETE FROM ${table} WHERE id = ? AND workspace_id = ?`, [id, this.workspaceId]);
+    return { deleted: true, id };
+  }
+}
+
+export default ContributorModel;
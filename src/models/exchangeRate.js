@@ -0,0 +1,67 @@
+import { DatabaseUtils } from '../utils/index.js';
+import { CurrencyUtils } from '../utils/currency.js';
+import { NotFoundError, ValidationError } from '../types/index.js';
+
+// Exchange rates as units of each currency per unit of the base currency
+// (CurrencyUtils.BASE_CURRENCY), whose own rate is always 1
+export class ExchangeRateModel {
+  constructor(db) {
+    this.db = db;
+  }
+
+  static toPublic(row) {
+    return {
+      currency: row.currency,
+      rate: row.rate,
+      minor_units: CurrencyUtils.minorUnits(row.currency),
+      rate_date: row.rate_date,
+      updated_at: row.updated_at
+    };
+  }
+
+  async list() {
+    const result = await DatabaseUtils.executeQuery(this.db, 'SELECT * FROM exchange_rates ORDER BY currency');
+    return result.results || [];
+  }
+
+  // Every rate, keyed by currency
+  async getAll() {
+    return new Map((await this.list()).map((row) => [row.currency, row]));
+  }
+
+  // Set rates as of date; currencies not listed keep their current rate
+  async upsert({ date, rates }) {
+    const base = CurrencyUtils.BASE_CURRENCY;
+
+    if (rates[base] !== undefined && rates[base] !== 1) {
+      throw new ValidationError(`The rate of the base currency ${base} is always 1`);
+    }
+
+    const now = new Date().toISOString();
+    await DatabaseUtils.executeBatch(this.db, Object.entries(rates).map(([currency, rate]) => this.db
+      .prepare(`
+        INSERT INTO exchange_rates (currency, rate, rate_date, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (currency) DO UPDATE SET
+          rate = excluded.rate, rate_date = excluded.rate_date, updated_at = excluded.updated_at
+      `)
+      .bind(currency, rate, date, now)));
+
+    return (await this.list()).map(ExchangeRateModel.toPublic);
+  }
+
+  async delete(currency) {
+    if (currency === CurrencyUtils.BASE_CURRENCY) {
+      throw new ValidationError(`The base currency ${currency} cannot be removed`);
+    }
+
+    const result = await DatabaseUtils.executeRun(this.db, 'DELETE FROM exchange_rates WHERE currency = ?', [currency]);
+
+    if (!result.meta?.changes) {
+      throw new NotFoundError('Exchange rate');
+    }
+
+    return { deleted: true, currency };
+  }
+}
+
+export default ExchangeRateModel;
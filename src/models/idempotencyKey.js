@@ -0,0 +1,84 @@
+import { DatabaseUtils } from '../utils/index.js';
+
+// How long a claim blocks retries before a crashed request's key may be
+// taken over by an identical retry
+const LOCK_SECONDS = 60;
+
+export class IdempotencyKeyModel {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Try to claim a key for this request. Succeeds for new keys, expired
+  // keys, and stale claims left by identical requests that never finished.
+  async claim(scope, key, fingerprint, ttlSeconds) {
+    const now = new Date();
+    const nowIso = now.toISOString();
+    const lockedUntil = new Date(now.getTime() + LOCK_SECONDS * 1000).toISOString();
+    const expiresAt = new Date(now.getTime() + ttlSeconds * 1000).toISOString();
+
+    const query = `
+      INSERT INTO idempotency_keys (
+        scope, key, fingerprint, status, created_at, locked_until, expires_at
+      ) VALUES (?, ?, ?, 'in_flight', ?, ?, ?)
+      ON CONFLICT (scope, key) DO UPDATE SET
+        fingerprint = excluded.fingerprint,
+        status = 'in_flight',
+        response_status = NULL,
+        response_headers = NULL,
+        response_body = NULL,
+        created_at = excluded.created_at,
+        locked_until = excluded.locked_until,
+        expires_at = excluded.expires_at
+      WHERE idempotency_keys.expires_at <= ?
+        OR (
+          idempotency_keys.status = 'in_flight'
+          AND idempotency_keys.locked_until <= ?
+          AND idempotency_keys.fingerprint = excluded.fingerprint
+        )
+    `;
+
+    const result = await DatabaseUtils.executeRun(this.db, query, [
+      scope, key, fingerprint, nowIso, lockedUntil, expiresAt, nowIso, nowIso
+    ]);
+
+    return Boolean(result.meta?.changes);
+  }
+
+  async find(scope, key) {
+    return DatabaseUtils.executeGet(
+      this.db,
+      'SELECT * FROM idempotency_keys WHERE scope = ? AND key = ?',
+      [scope, key]
+    );
+  }
+
+  // Store the response so retries can replay it
+  async complete(scope, key, { status, headers, body }) {
+    const query = `
+      UPDATE idempotency_keys
+      SET status = 'completed', response_status = ?, response_headers = ?, response_body = ?
+      WHERE scope = ? AND key = ?
+    `;
+    await DatabaseUtils.executeRun(this.db, query, [status, JSON.stringify(headers), body, scope, key]);
+  }
+
+  // Give the key up (the request failed in a way worth retrying)
+  async release(scope, key) {
+    await DatabaseUtils.executeRun(
+      this.db,
+      "DELETE FROM idempotency_keys WHERE scope = ? AND key = ? AND status = 'in_flight'",
+      [scope, key]
+    );
+  }
+
+  async deleteExpired() {
+    await DatabaseUtils.executeRun(
+      this.db,
+      'DELETE FROM idempotency_keys WHERE expires_at <= ?',
+      [new Date().toISOString()]
+    );
+  }
+}
+
+export default IdempotencyKeyModel;
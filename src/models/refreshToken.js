@@ -0,0 +1,113 @@
+import { DatabaseUtils, Utils, Logger } from '../utils/index.js';
+import { CryptoUtils } from '../utils/crypto.js';
+import { AuthenticationError, DatabaseError } from '../types/index.js';
+
+// Refresh tokens are opaque random strings; only their SHA-256 hash is stored.
+// Each login starts a token family, and every refresh rotates the token
+// within that family. Presenting an already-rotated token revokes the family.
+export class RefreshTokenModel {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Issue a new refresh token, optionally continuing an existing family
+  async issue(userId, ttlSeconds, familyId = Utils.generateId()) {
+    const token = CryptoUtils.randomToken();
+    const id = Utils.generateId();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + ttlSeconds * 1000).toISOString();
+
+    const query = `
+      INSERT INTO refresh_tokens (
+        id, user_id, family_id, token_hash, expires_at, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    const result = await DatabaseUtils.executeRun(this.db, query, [
+      id, userId, familyId, await CryptoUtils.sha256(token), expiresAt, now.toISOString()
+    ]);
+
+    if (!result.success) {
+      throw new DatabaseError('Failed to issue refresh token');
+    }
+
+    return { id, token, family_id: familyId, expires_at: expiresAt };
+  }
+
+  async findByToken(token) {
+    const query = 'SELECT * FROM refresh_tokens WHERE token_hash = ?';
+    return await DatabaseUtils.executeGet(this.db, query, [await CryptoUtils.sha256(token)]);
+  }
+
+  // Exchange a refresh token for a new one in the same family
+  async rotate(token, ttlSeconds) {
+    const current = await this.findByToken(token);
+
+    if (!current) {
+      throw new AuthenticationError('Invalid refresh token');
+    }
+
+    if (current.revoked_at) {
+      Logger.warn('Refresh token reuse detected', {
+        userId: current.user_id,
+        familyId: current.family_id
+      });
+      await this.revokeFamily(current.family_id);
+      throw new AuthenticationError('Refresh token has been revoked');
+    }
+
+    if (new Date(current.expires_at) <= new Date()) {
+      throw new AuthenticationError('Refresh token has expired');
+    }
+
+    const next = {
+      id: Utils.generateId(),
+      token: CryptoUtils.randomToken(),
+      family_id: current.family_id
+    };
+    const now = new Date();
+    next.expires_at = new Date(now.getTime() + ttlSeconds * 1000).toISOString();
+
+    // The insert only happens if this request won the revoke, so two
+    // concurrent refreshes with the same token cannot both succeed
+    const [revoked] = await DatabaseUtils.executeBatch(this.db, [
+      this.db.prepare(`
+        UPDATE refresh_tokens SET revoked_at = ?, replaced_by = ?
+        WHERE id = ? AND revoked_at IS NULL
+      `).bind(now.toISOString(), next.id, current.id),
+      this.db.prepare(`
+        INSERT INTO refresh_tokens (
+          id, user_id, family_id, token_hash, expires_at, created_at
+        ) SELECT ?, ?, ?, ?, ?, ? WHERE changes() = 1
+      `).bind(
+        next.id, current.user_id, next.family_id,
+        await CryptoUtils.sha256(next.token), next.expires_at, now.toISOString()
+      )
+    ]);
+
+    if (!revoked.meta?.changes) {
+      await this.revokeFamily(current.family_id);
+      throw new AuthenticationError('Refresh token has been revoked');
+    }
+
+    return { user_id: current.user_id, ...next };
+  }
+
+  async revokeFamily(familyId) {
+    const query = `
+      UPDATE refresh_tokens SET revoked_at = ?
+      WHERE family_id = ? AND revoked_at IS NULL
+    `;
+    await DatabaseUtils.executeRun(this.db, query, [new Date().toISOString(), familyId]);
+  }
+
+  async revokeAllForUser(userId) {
+    const query = `
+      UPDATE refresh_tokens SET revoked_at = ?
+      WHERE user_id = ? AND revoked_at IS NULL
+    `;
+    await DatabaseUtils.executeRun(this.db, query, [new Date().toISOString(), userId]);
+  }
+}
+
+export default RefreshTokenModel;
@@ -0,0 +1,277 @@
+import { DatabaseUtils, Utils } from '../utils/index.js';
+import { ContributorModel } from './contributor.js';
+import { NotFoundError, DatabaseError, ConflictError, ValidationError } from '../types/index.js';
+
+const SORT_COLUMNS = ['name', 'created_at', 'book_count'];
+
+// Tag names per lookup (D1 binds at most 100 values, one of them the workspace)
+const LOOKUP_CHUNK_SIZE = 99;
+
+// Live books carrying each row of tags
+const BOOK_COUNT_SQL = `(
+  SELECT COUNT(*) FROM book_tags bt JOIN books b ON b.id = bt.book_id
+  WHERE bt.tag_id = tags.id AND b.deleted_at IS NULL
+) AS book_count`;
+
+// Tags classify books many-to-many through book_tags. Names are matched
+// like author names (ContributorModel.nameKey), so "Young Adult" and
+// "young-adult" are one tag. Tags belong to the workspace in context.
+export class TagModel {
+  constructor(db, context = {}) {
+    if (!context.workspaceId) {
+      throw new Error('Workspace is required');
+    }
+
+    this.db = db;
+    this.workspaceId = context.workspaceId;
+  }
+
+  static toPublic(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      book_count: row.book_count ?? 0,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  // Key for a name, rejecting names that have nothing left to compare
+  static keyFor(name) {
+    const key = ContributorModel.nameKey(name);
+
+    if (!key) {
+      throw new ValidationError(`Tag "${name}" must contain letters or digits`);
+    }
+
+    return key;
+  }
+
+  async list({ page = 1, limit = 20, q, sort_by: sortBy = 'name', sort_order: sortOrder = 'asc' } = {}) {
+    const conditions = ['workspace_id = ?'];
+    const params = [this.workspaceId];
+
+    if (q) {
+      conditions.push("name_key LIKE ? ESCAPE '\\'");
+      params.push(`${ContributorModel.nameKey(q).replace(/[\\%_]/g, (char) => `\\${char}`)}%`);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const sortColumn = SORT_COLUMNS.includes(sortBy) ? sortBy : 'name';
+    const direction = sortOrder.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+
+    const countResult = await DatabaseUtils.executeGet(this.db, `SELECT COUNT(*) as total FROM tags ${where}`, params);
+    const total = countResult?.total || 0;
+
+    const result = await DatabaseUtils.executeQuery(
+      this.db,
+      `SELECT tags.*, ${BOOK_COUNT_SQL} FROM tags ${where}
+       ORDER BY ${sortColumn} ${direction}, id ${direction} LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    return {
+      tags: (result.results || []).map(TagModel.toPublic),
+      pagination: {
+        page,
+        limit,
+        total,
+        total_pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async getById(id) {
+    const tag = await DatabaseUtils.executeGet(
+      this.db,
+      `SELECT tags.*, ${BOOK_COUNT_SQL} FROM tags WHERE workspace_id = ? AND id = ?`,
+      [this.workspaceId, id]
+    );
+
+    if (!tag) {
+      throw new NotFoundError('Tag');
+    }
+
+    return tag;
+  }
+
+  // Tags by name key, keyed by it
+  async getByKeys(keys) {
+    const unique = [...new Set(keys)];
+    const tags = new Map();
+
+    for (let start = 0; start < unique.length; start += LOOKUP_CHUNK_SIZE) {
+      const chunk = unique.slice(start, start + LOOKUP_CHUNK_SIZE);
+      const result = await DatabaseUtils.executeQuery(
+        this.db,
+        `SELECT * FROM tags WHERE workspace_id = ? AND name_key IN (${chunk.map(() => '?').join(', ')})`,
+        [this.workspaceId, ...chunk]
+      );
+
+      for (const tag of result.results || []) {
+        tags.set(tag.name_key, tag);
+      }
+    }
+
+    return tags;
+  }
+
+  // A tag given by id or by name
+  async find(idOrName) {
+    const tag = await DatabaseUtils.executeGet(
+      this.db,
+      'SELECT * FROM tags WHERE workspace_id = ? AND (id = ? OR name_key = ?)',
+      [this.workspaceId, idOrName, ContributorModel.nameKey(idOrName)]
+    );
+
+    if (!tag) {
+      throw new NotFoundError('Tag');
+    }
+
+    return tag;
+  }
+
+  async assertNameAvailable(key, exceptId = null) {
+    const existing = (await this.getByKeys([key])).get(key);
+
+    if (existing && existing.id !== exceptId) {
+      throw new ConflictError(`Tag "${existing.name}" already exists`, 'TAG_EXISTS', { existing_id: existing.id });
+    }
+  }
+
+  async create({ name, description }) {
+    const displayName = ContributorModel.normalizeName(name);
+    const key = TagModel.keyFor(displayName);
+    await this.assertNameAvailable(key);
+
+    const id = Utils.generateId();
+    const now = new Date().toISOString();
+    const result = await DatabaseUtils.executeRun(
+      this.db,
+      'INSERT INTO tags (id, workspace_id, name, name_key, description, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [id, this.workspaceId, displayName, key, description ?? null, now, now]
+    );
+
+    if (!result.success) {
+      throw new DatabaseError('Failed to create tag');
+    }
+
+    return TagModel.toPublic(await this.getById(id));
+  }
+
+  async update(id, data) {
+    await this.getById(id);
+    const fields = {};
+
+    if (data.name !== undefined) {
+      const name = ContributorModel.normalizeName(data.name);
+      const key = TagModel.keyFor(name);
+      await this.assertNameAvailable(key, id);
+      Object.assign(fields, { name, name_key: key });
+    }
+
+    if (data.description !== undefined) {
+      fields.description = data.description;
+    }
+
+    if (Object.keys(fields).length === 0) {
+      throw new ValidationError('No fields to update');
+    }
+
+    await DatabaseUtils.executeRun(
+      this.db,
+      `UPDATE tags SET ${Object.keys(fields).map((key) => `${key} = ?`).join(', ')}, updated_at = ? WHERE id = ? AND workspace_id = ?`,
+      [...Object.values(fields), new Date().toISOString(), id, this.workspaceId]
+    );
+
+    return TagModel.toPublic(await this.getById(id));
+  }
+
+  // Delete a tag and take it off every book
+  async delete(id) {
+    await this.getById(id);
+
+    await DatabaseUtils.executeBatch(this.db, [
+      this.db
+        .prepare('DELETE FROM book_tags WHERE tag_id IN (SELECT id FROM tags WHERE id = ? AND workspace_id = ?)')
+        .bind(id, this.workspaceId),
+      this.db.prepare('DELETE FROM tags WHERE id = ? AND workspace_id = ?').bind(id, this.workspaceId)
+    ]);
+
+    return { deleted: true, id };
+  }
+
+  // Tags of a book, by name
+  async listForBook(bookId) {
+    const result = await DatabaseUtils.executeQuery(
+      this.db,
+      `SELECT tags.*, ${BOOK_COUNT_SQL} FROM tags
+       JOIN book_tags ON book_tags.tag_id = tags.id
+       WHERE tags.workspace_id = ? AND book_tags.book_id = ?
+       ORDER BY tags.name`,
+      [this.workspaceId, bookId]
+    );
+
+    return (result.results || []).map(TagModel.toPublic);
+  }
+
+  // Add tags to a book by name, creating tags not seen before. Tags the book
+  // already has are left alone. Returns the book's tags.
+  async addToBook(bookId, names) {
+    // The first spelling of a name wins
+    const byKey = new Map();
+    for (const name of names) {
+      const displayName = ContributorModel.normalizeName(name);
+      const key = TagModel.keyFor(displayName);
+
+      if (!byKey.has(key)) {
+        byKey.set(key, displayName);
+      }
+    }
+
+    const now = new Date().toISOString();
+    const statements = [];
+
+    // Creates are conflict-tolerant and links look tags up by key, in case
+    // another request creates the same tag first. Only a book of the same
+    // workspace is linked.
+    for (const [key, name] of byKey) {
+      statements.push(
+        this.db
+          .prepare(`
+            INSERT INTO tags (id, workspace_id, name, name_key, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT (workspace_id, name_key) DO NOTHING
+          `)
+          .bind(Utils.generateId(), this.workspaceId, name, key, now, now),
+        this.db
+          .prepare(`
+            INSERT OR IGNORE INTO book_tags (book_id, tag_id, created_at)
+            SELECT books.id, tags.id, ? FROM tags JOIN books ON books.id = ? AND books.workspace_id = tags.workspace_id
+            WHERE tags.workspace_id = ? AND tags.name_key = ?
+          `)
+          .bind(now, bookId, this.workspaceId, key)
+      );
+    }
+
+    await DatabaseUtils.executeBatch(this.db, statements);
+    return this.listForBook(bookId);
+  }
+
+  async removeFromBook(bookId, idOrName) {
+    const tag = await this.find(idOrName);
+    const result = await DatabaseUtils.executeRun(
+      this.db,
+      'DELETE FROM book_tags WHERE book_id = ? AND tag_id = ?',
+      [bookId, tag.id]
+    );
+
+    if (!result.meta?.changes) {
+      throw new NotFoundError('Tag on this book');
+    }
+
+    return this.listForBook(bookId);
+  }
+}
+
+export default TagModel;
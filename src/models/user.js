@@ -0,0 +1,79 @@
+import { DatabaseUtils, Utils } from '../utils/index.js';
+import { NotFoundError, DatabaseError, ConflictError, UserRole, MembershipLevel } from '../types/index.js';
+
+export class UserModel {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Public representation of a user row (never exposes the password hash)
+  static toProfile(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      membership_level: user.membership_level,
+      created_at: user.created_at,
+      updated_at: user.updated_at,
+      last_login_at: user.last_login_at
+    };
+  }
+
+  // Get user by ID
+  async getById(id) {
+    const query = 'SELECT * FROM users WHERE id = ?';
+    const user = await DatabaseUtils.executeGet(this.db, query, [id]);
+
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    return user;
+  }
+
+  // Get user by email (returns null when missing)
+  async findByEmail(email) {
+    const query = 'SELECT * FROM users WHERE email = ?';
+    return await DatabaseUtils.executeGet(this.db, query, [email.toLowerCase()]);
+  }
+
+  // Create new user
+  async create({ email, passwordHash, name }) {
+    const existing = await this.findByEmail(email);
+    if (existing) {
+      throw new ConflictError('Email is already registered', 'EMAIL_TAKEN');
+    }
+
+    const id = Utils.generateId();
+    const now = new Date().toISOString();
+
+    const query = `
+      INSERT INTO users (
+        id, email, password_hash, name, role,
+        membership_level, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+      id, email.toLowerCase(), passwordHash, name ?? null, UserRole.USER,
+      MembershipLevel.FREE, now, now
+    ];
+
+    const result = await DatabaseUtils.executeRun(this.db, query, params);
+
+    if (!result.success) {
+      throw new DatabaseError('Failed to create user');
+    }
+
+    return await this.getById(id);
+  }
+
+  // Record a successful login
+  async touchLogin(id) {
+    const query = 'UPDATE users SET last_login_at = ? WHERE id = ?';
+    await DatabaseUtils.executeRun(this.db, query, [new Date().toISOString(), id]);
+  }
+}
+
+export default UserModel;
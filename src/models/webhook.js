@@ -0,0 +1,275 @@
+import { DatabaseUtils, Utils } from '../utils/index.js';
+import { CryptoUtils } from '../utils/crypto.js';
+import { NotFoundError, DatabaseError, DEFAULT_WORKSPACE_ID } from '../types/index.js';
+
+const SECRET_PREFIX = 'whsec_';
+
+// Stored response bodies are cut to this many characters
+const RESPONSE_BODY_LIMIT = 1024;
+
+export class WebhookModel {
+  // Webhooks are managed within a workspace and only receive its events;
+  // delivery bookkeeping needs no workspace
+  constructor(db, workspaceId = null) {
+    this.db = db;
+    this.workspaceId = workspaceId;
+  }
+
+  // Public representation of a webhook row (the secret is only shown on create)
+  static toPublic(webhook) {
+    return {
+      id: webhook.id,
+      url: webhook.url,
+      description: webhook.description,
+      events: JSON.parse(webhook.events),
+      active: Boolean(webhook.active),
+      created_at: webhook.created_at,
+      updated_at: webhook.updated_at
+    };
+  }
+
+  static deliveryToPublic(delivery, { includePayload = false } = {}) {
+    return {
+      id: delivery.id,
+      webhook_id: delivery.webhook_id,
+      event_id: delivery.event_id,
+      event: delivery.event,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      response_status: delivery.response_status,
+      response_body: delivery.response_body,
+      error: delivery.error,
+      redelivery_of: delivery.redelivery_of,
+      created_at: delivery.created_at,
+      last_attempt_at: delivery.last_attempt_at,
+      next_attempt_at: delivery.next_attempt_at,
+      completed_at: delivery.completed_at,
+      ...(includePayload && { payload: JSON.parse(delivery.payload) })
+    };
+  }
+
+  // List a user's webhooks in the workspace, newest first
+  async listByUser(userId) {
+    const query = 'SELECT * FROM webhooks WHERE user_id = ? AND workspace_id = ? ORDER BY created_at DESC';
+    const result = await DatabaseUtils.executeQuery(this.db, query, [userId, this.workspaceId]);
+    return result.results || [];
+  }
+
+  async getById(userId, id) {
+    const webhook = await DatabaseUtils.executeGet(
+      this.db,
+      'SELECT * FROM webhooks WHERE id = ? AND user_id = ? AND workspace_id = ?',
+      [id, userId, this.workspaceId]
+    );
+
+    if (!webhook) {
+      throw new NotFoundError('Webhook');
+    }
+
+    return webhook;
+  }
+
+  // Create a webhook; the signing secret is returned only here
+  async create(userId, { url, events, description, active = true }) {
+    const id = Utils.generateId();
+    const secret = `${SECRET_PREFIX}${CryptoUtils.randomToken(32)}`;
+    const now = new Date().toISOString();
+
+    const query = `
+      INSERT INTO webhooks (
+        id, user_id, workspace_id, url, description, events, secret, active, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const result = await DatabaseUtils.executeRun(this.db, query, [
+      id, userId, this.workspaceId, url, description ?? null, JSON.stringify(events), secret, active ? 1 : 0, now, now
+    ]);
+
+    if (!result.success) {
+      throw new DatabaseError('Failed to create webhook');
+    }
+
+    return { ...WebhookModel.toPublic(await this.getById(userId, id)), secret };
+  }
+
+  async update(userId, id, data) {
+    await this.getById(userId, id);
+
+    const fields = [];
+    const params = [];
+
+    for (const field of ['url', 'description', 'events', 'active']) {
+      if (data[field] === undefined) {
+        continue;
+      }
+
+      fields.push(`${field} = ?`);
+      if (field === 'events') {
+        params.push(JSON.stringify(data.events));
+      } else if (field === 'active') {
+        params.push(data.active ? 1 : 0);
+      } else {
+        params.push(data[field]);
+      }
+    }
+
+    fields.push('updated_at = ?');
+    params.push(new Date().toISOString());
+
+    await DatabaseUtils.executeRun(
+      this.db,
+      `UPDATE webhooks SET ${fields.join(', ')} WHERE id = ? AND user_id = ? AND workspace_id = ?`,
+      [...params, id, userId, this.workspaceId]
+    );
+
+    return WebhookModel.toPublic(await this.getById(userId, id));
+  }
+
+  // Delete a webhook and its delivery log
+  async delete(userId, id) {
+    await this.getById(userId, id);
+
+    await DatabaseUtils.executeBatch(this.db, [
+      this.db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').bind(id),
+      this.db
+        .prepare('DELETE FROM webhooks WHERE id = ? AND user_id = ? AND workspace_id = ?')
+        .bind(id, userId, this.workspaceId)
+    ]);
+
+    return { deleted: true, id };
+  }
+
+  // Active webhooks subscribed to an event of a workspace. Outside the
+  // default workspace their owners must still be members.
+  async findSubscribers(workspaceId, event) {
+    const query = `
+      SELECT * FROM webhooks
+      WHERE workspace_id = ? AND active = 1
+        AND EXISTS (SELECT 1 FROM json_each(webhooks.events) WHERE value IN (?, '*'))
+        AND (
+          workspace_id = ?
+          OR EXISTS (
+            SELECT 1 FROM workspace_members m
+            WHERE m.workspace_id = webhooks.workspace_id AND m.user_id = webhooks.user_id
+          )
+        )
+    `;
+    const result = await DatabaseUtils.executeQuery(this.db, query, [workspaceId, event, DEFAULT_WORKSPACE_ID]);
+    return result.results || [];
+  }
+
+  // One pending delivery of the event per webhook; returns the delivery ids
+  async createDeliveries(webhooks, event) {
+    const now = new Date().toISOString();
+    const payload = JSON.stringify(event);
+    const ids = webhooks.map(() => Utils.generateId());
+
+    await DatabaseUtils.executeBatch(this.db, webhooks.map((webhook, position) => this.db.prepare(`
+      INSERT INTO webhook_deliveries (
+        id, webhook_id, event_id, event, payload, status, created_at, next_attempt_at
+      ) VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)
+    `).bind(ids[position], webhook.id, event.id, event.type, payload, now, now)));
+
+    return ids;
+  }
+
+  // A webhook's delivery log, newest first
+  async listDeliveries(webhookId, { page = 1, limit = 20, status } = {}) {
+    const conditions = ['webhook_id = ?'];
+    const params = [webhookId];
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    const where = conditions.join(' AND ');
+    const countResult = await DatabaseUtils.executeGet(
+      this.db,
+      `SELECT COUNT(*) as total FROM webhook_deliveries WHERE ${where}`,
+      params
+    );
+    const total = countResult?.total || 0;
+
+    const result = await DatabaseUtils.executeQuery(
+      this.db,
+      `SELECT * FROM webhook_deliveries WHERE ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    return {
+      deliveries: (result.results || []).map((row) => WebhookModel.deliveryToPublic(row)),
+      pagination: {
+        page,
+        limit,
+        total,
+        total_pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async getDelivery(webhookId, deliveryId) {
+    const delivery = await DatabaseUtils.executeGet(
+      this.db,
+      'SELECT * FROM webhook_deliveries WHERE id = ? AND webhook_id = ?',
+      [deliveryId, webhookId]
+    );
+
+    if (!delivery) {
+      throw new NotFoundError('Delivery');
+    }
+
+    return delivery;
+  }
+
+  // Queue the same event again as a new delivery
+  async redeliver(webhookId, deliveryId) {
+    const original = await this.getDelivery(webhookId, deliveryId);
+    const id = Utils.generateId();
+    const now = new Date().toISOString();
+
+    await DatabaseUtils.executeRun(this.db, `
+      INSERT INTO webhook_deliveries (
+        id, webhook_id, event_id, event, payload, status, redelivery_of, created_at, next_attempt_at
+      ) VALUES (?, ?, ?, ?, ?, 'pending', ?, ?, ?)
+    `, [id, webhookId, original.event_id, original.event, original.payload, original.id, now, now]);
+
+    return this.getDelivery(webhookId, id);
+  }
+
+  // Delivery plus what is needed to send it (null once the webhook is gone)
+  async getDeliveryForSending(deliveryId) {
+    const query = `
+      SELECT d.*, w.url, w.secret, w.active
+      FROM webhook_deliveries d
+      JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.id = ?
+    `;
+    return DatabaseUtils.executeGet(this.db, query, [deliveryId]);
+  }
+
+  // Record the outcome of one attempt. status stays pending while retries remain.
+  async recordAttempt(deliveryId, { attempts, status, responseStatus = null, responseBody = null, error = null, nextAttemptAt = null }) {
+    const now = new Date().toISOString();
+    const query = `
+      UPDATE webhook_deliveries
+      SET attempts = ?, status = ?, response_status = ?, response_body = ?, error = ?,
+        last_attempt_at = ?, next_attempt_at = ?, completed_at = ?
+      WHERE id = ?
+    `;
+
+    await DatabaseUtils.executeRun(this.db, query, [
+      attempts,
+      status,
+      responseStatus,
+      responseBody === null ? null : responseBody.slice(0, RESPONSE_BODY_LIMIT),
+      error,
+      now,
+      nextAttemptAt,
+      status === 'pending' ? null : now,
+      deliveryId
+    ]);
+  }
+}
+
+export default WebhookModel;
@@ -0,0 +1,289 @@
+import { DatabaseUtils, Utils } from '../utils/index.js';
+import {
+  NotFoundError,
+  DatabaseError,
+  ConflictError,
+  ValidationError,
+  UserRole,
+  WorkspaceRole,
+  WORKSPACE_ROLE_RANK,
+  DEFAULT_WORKSPACE_ID
+} from '../types/index.js';
+
+// Roles signed-in users without a membership may hold in the default
+// workspace (DEFAULT_WORKSPACE_ROLE picks one; editor unless set)
+const IMPLICIT_DEFAULT_ROLES = [WorkspaceRole.VIEWER, WorkspaceRole.EDITOR];
+
+// Workspaces partition books and everything attached to them (see migration
+// 0015). Members hold one role each. Everyone may read the default
+// workspace, and signed-in users keep writing to it as before workspaces
+// existed unless DEFAULT_WORKSPACE_ROLE is set to viewer.
+export class WorkspaceModel {
+  constructor(db, env = {}) {
+    this.db = db;
+    this.implicitDefaultRole = IMPLICIT_DEFAULT_ROLES.includes(env.DEFAULT_WORKSPACE_ROLE)
+      ? env.DEFAULT_WORKSPACE_ROLE
+      : WorkspaceRole.EDITOR;
+  }
+
+  static toPublic(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      role: row.role ?? null,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  // Emails are only shown to those who manage members (see listMembers in
+  // WorkspaceController)
+  static memberToPublic(row, { includeEmail = true } = {}) {
+    return {
+      user_id: row.user_id,
+      ...(includeEmail && { email: row.email }),
+      name: row.name,
+      role: row.role,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  static hasRole(role, requiredRole) {
+    return WORKSPACE_ROLE_RANK.indexOf(role) >= WORKSPACE_ROLE_RANK.indexOf(requiredRole);
+  }
+
+  // Owners manage every member; anyone else only members ranked below them
+  static canManage(actorRole, role) {
+    return actorRole === WorkspaceRole.OWNER
+      || WORKSPACE_ROLE_RANK.indexOf(actorRole) > WORKSPACE_ROLE_RANK.indexOf(role);
+  }
+
+  // Role in the default workspace: admins own it, members hold their role,
+  // other signed-in users the implicit role and anonymous callers only read
+  defaultRole(user, memberRole = null) {
+    if (!user) {
+      return WorkspaceRole.VIEWER;
+    }
+
+    if (user.role === UserRole.ADMIN) {
+      return WorkspaceRole.OWNER;
+    }
+
+    return memberRole || this.implicitDefaultRole;
+  }
+
+  // The workspace as seen by a caller ({ id, name, role }), or null when it
+  // does not exist or the caller is not a member
+  async resolve(id, user = null) {
+    if (!user) {
+      return id === DEFAULT_WORKSPACE_ID ? { id, role: this.defaultRole(null) } : null;
+    }
+
+    const query = `
+      SELECT w.id, w.name, m.role FROM workspaces w
+      LEFT JOIN workspace_members m ON m.workspace_id = w.id AND m.user_id = ?
+      WHERE w.id = ?
+    `;
+    const workspace = await DatabaseUtils.executeGet(this.db, query, [user.id, id]);
+
+    if (id === DEFAULT_WORKSPACE_ID) {
+      return { id, name: workspace?.name, role: this.defaultRole(user, workspace?.role) };
+    }
+
+    return workspace?.role ? workspace : null;
+  }
+
+  // Workspaces a user can act in, the default one first
+  async listForUser(user) {
+    const query = `
+      SELECT w.*, m.role FROM workspaces w
+      LEFT JOIN workspace_members m ON m.workspace_id = w.id AND m.user_id = ?
+      WHERE w.id = ? OR m.user_id IS NOT NULL
+      ORDER BY w.id = ? DESC, w.name, w.id
+    `;
+    const result = await DatabaseUtils.executeQuery(this.db, query, [
+      user.id, DEFAULT_WORKSPACE_ID, DEFAULT_WORKSPACE_ID
+    ]);
+    return (result.results || []).map((workspace) => (
+      workspace.id === DEFAULT_WORKSPACE_ID
+        ? { ...workspace, role: this.defaultRole(user, workspace.role) }
+        : workspace
+    ));
+  }
+
+  async getById(id) {
+    const workspace = await DatabaseUtils.executeGet(this.db, 'SELECT * FROM workspaces WHERE id = ?', [id]);
+
+    if (!workspace) {
+      throw new NotFoundError('Workspace');
+    }
+
+    return workspace;
+  }
+
+  // Create a workspace owned by the user who creates it
+  async create(userId, { name }) {
+    const id = Utils.generateId();
+    const now = new Date().toISOString();
+
+    const [result] = await DatabaseUtils.executeBatch(this.db, [
+      this.db
+        .prepare('INSERT INTO workspaces (id, name, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?)')
+        .bind(id, name, userId, now, now),
+      this.db
+        .prepare('INSERT INTO workspace_members (workspace_id, user_id, role, created_at, updated_at) VALUES (?, ?, ?, ?, ?)')
+        .bind(id, userId, WorkspaceRole.OWNER, now, now)
+    ]);
+
+    if (!result.success) {
+      throw new DatabaseError('Failed to create workspace');
+    }
+
+    return { ...(await this.getById(id)), role: WorkspaceRole.OWNER };
+  }
+
+  async update(id, { name }) {
+    if (id === DEFAULT_WORKSPACE_ID) {
+      throw new ValidationError('The default workspace cannot be renamed');
+    }
+
+    await DatabaseUtils.executeRun(
+      this.db,
+      'UPDATE workspaces SET name = ?, updated_at = ? WHERE id = ?',
+      [name, new Date().toISOString(), id]
+    );
+
+    return this.getById(id);
+  }
+
+  // Delete a workspace with all of its books, their history and tags, its
+  // authors, publishers, tags, webhooks and members
+  async delete(id) {
+    if (id === DEFAULT_WORKSPACE_ID) {
+      throw new ValidationError('The default workspace cannot be deleted');
+    }
+
+    await this.getById(id);
+
+    const scoped = (query) => this.db.prepare(query).bind(id);
+    const results = await DatabaseUtils.executeBatch(this.db, [
+      scoped('DELETE FROM book_tags WHERE book_id IN (SELECT id FROM books WHERE workspace_id = ?)'),
+      scoped('DELETE FROM books WHERE workspace_id = ?'),
+      scoped('DELETE FROM book_revisions WHERE workspace_id = ?'),
+      scoped('DELETE FROM authors WHERE workspace_id = ?'),
+      scoped('DELETE FROM publishers WHERE workspace_id = ?'),
+      scoped('DELETE FROM tags WHERE workspace_id = ?'),
+      scoped('DELETE FROM webhook_deliveries WHERE webhook_id IN (SELECT id FROM webhooks WHERE workspace_id = ?)'),
+      scoped('DELETE FROM webhooks WHERE workspace_id = ?'),
+      scoped('DELETE FROM workspace_members WHERE workspace_id = ?'),
+      scoped('DELETE FROM workspaces WHERE id = ?')
+    ]);
+
+    return { deleted: true, id, books_deleted: results[1].meta?.changes ?? 0 };
+  }
+
+  async listMembers(id) {
+    const query = `
+      SELECT m.*, u.email, u.name FROM workspace_members m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.workspace_id = ?
+      ORDER BY m.created_at, m.user_id
+    `;
+    const result = await DatabaseUtils.executeQuery(this.db, query, [id]);
+    return result.results || [];
+  }
+
+  async getMember(id, userId) {
+    const query = `
+      SELECT m.*, u.email, u.name FROM workspace_members m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.workspace_id = ? AND m.user_id = ?
+    `;
+    const member = await DatabaseUtils.executeGet(this.db, query, [id, userId]);
+
+    if (!member) {
+      throw new NotFoundError('Member');
+    }
+
+    return member;
+  }
+
+  // Add a user, given by user_id or email, with a role
+  async addMember(id, { user_id: userId, email, role }) {
+    const user = await DatabaseUtils.executeGet(
+      this.db,
+      userId ? 'SELECT id FROM users WHERE id = ?' : 'SELECT id FROM users WHERE email = ?',
+      [userId || email]
+    );
+
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    const now = new Date().toISOString();
+    const result = await DatabaseUtils.executeRun(
+      this.db,
+      `INSERT INTO workspace_members (workspace_id, user_id, role, created_at, updated_at) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (workspace_id, user_id) DO NOTHING`,
+      [id, user.id, role, now, now]
+    );
+
+    if (!result.meta?.changes) {
+      throw new ConflictError('User is already a member of this workspace', 'MEMBER_EXISTS', { user_id: user.id });
+    }
+
+    return this.getMember(id, user.id);
+  }
+
+  async updateMember(id, userId, role) {
+    const member = await this.getMember(id, userId);
+
+    if (member.role === WorkspaceRole.OWNER && role !== WorkspaceRole.OWNER) {
+      await this.assertOtherOwner(id, userId);
+    }
+
+    await DatabaseUtils.executeRun(
+      this.db,
+      'UPDATE workspace_members SET role = ?, updated_at = ? WHERE workspace_id = ? AND user_id = ?',
+      [role, new Date().toISOString(), id, userId]
+    );
+
+    return this.getMember(id, userId);
+  }
+
+  async removeMember(id, userId) {
+    const member = await this.getMember(id, userId);
+
+    if (member.role === WorkspaceRole.OWNER) {
+      await this.assertOtherOwner(id, userId);
+    }
+
+    await DatabaseUtils.executeRun(
+      this.db,
+      'DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?',
+      [id, userId]
+    );
+
+    return { removed: true, user_id: userId };
+  }
+
+  // A workspace always keeps at least one owner (admins own the default one)
+  async assertOtherOwner(id, userId) {
+    if (id === DEFAULT_WORKSPACE_ID) {
+      return;
+    }
+
+    const others = await DatabaseUtils.executeGet(
+      this.db,
+      'SELECT COUNT(*) as count FROM workspace_members WHERE workspace_id = ? AND role = ? AND user_id != ?',
+      [id, WorkspaceRole.OWNER, userId]
+    );
+
+    if (!others?.count) {
+      throw new ConflictError('A workspace must keep at least one owner', 'LAST_OWNER');
+    }
+  }
+}
+
+export default WorkspaceModel;
@@ -0,0 +1,60 @@
+import { Hono } from 'hono';
+import { AdminController } from '../controllers/admin.js';
+import { ExchangeRateController } from '../controllers/exchangeRate.js';
+import { requireAuth, requireRole, validate, describeRoute } from '../middleware/index.js';
+import { ExchangeRatesUpdateSchema, CurrencyParamSchema } from '../types/schemas.js';
+
+const adminRoutes = new Hono();
+
+const getController = (c) => new AdminController(c.env);
+
+adminRoutes.use('*', requireAuth(), requireRole('admin'));
+
+// Schema migrations
+adminRoutes.get('/migrations',
+  describeRoute({ summary: 'Schema migration status' }),
+  async (c) => {
+    const controller = getController(c);
+    return controller.getMigrations(c);
+  }
+);
+
+adminRoutes.post('/migrations/apply',
+  describeRoute({ summary: 'Apply pending schema migrations', errors: [409] }),
+  async (c) => {
+    const controller = getController(c);
+    return controller.applyMigrations(c);
+  }
+);
+
+// Exchange rates used for ?currency= price conversion
+adminRoutes.get('/exchange-rates',
+  describeRoute({ summary: 'List exchange rates' }),
+  async (c) => {
+    const controller = new ExchangeRateController(c.env);
+    return controller.listRates(c);
+  }
+);
+
+adminRoutes.put('/exchange-rates',
+  describeRoute({
+    summary: 'Set exchange rates',
+    description: 'rates maps ISO 4217 codes to units of that currency per US dollar, as of date (default today). Currencies not listed keep their rate.'
+  }),
+  validate(ExchangeRatesUpdateSchema),
+  async (c) => {
+    const controller = new ExchangeRateController(c.env);
+    return controller.updateRates(c);
+  }
+);
+
+adminRoutes.delete('/exchange-rates/:currency',
+  describeRoute({ summary: 'Remove an exchange rate' }),
+  validate(CurrencyParamSchema, 'param'),
+  async (c) => {
+    const controller = new ExchangeRateController(c.env);
+    return controller.deleteRate(c);
+  }
+);
+
+export { adminRoutes };
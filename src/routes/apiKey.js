@@ -0,0 +1,38 @@
+import { Hono } from 'hono';
+import { ApiKeyController } from '../controllers/apiKey.js';
+import { validate, requireAuth, describeRoute } from '../middleware/index.js';
+import { ApiKeyCreateSchema, IdParamSchema } from '../types/schemas.js';
+
+const apiKeyRoutes = new Hono();
+
+const getController = (c) => new ApiKeyController(c.env);
+
+apiKeyRoutes.use('*', requireAuth());
+
+apiKeyRoutes.get('/',
+  describeRoute({ summary: 'List your API keys' }),
+  async (c) => {
+    const controller = getController(c);
+    return controller.listKeys(c);
+  }
+);
+
+apiKeyRoutes.post('/',
+  describeRoute({ summary: 'Create an API key', status: 201 }),
+  validate(ApiKeyCreateSchema),
+  async (c) => {
+    const controller = getController(c);
+    return controller.createKey(c);
+  }
+);
+
+apiKeyRoutes.delete('/:id',
+  describeRoute({ summary: 'Revoke an API key' }),
+  validate(IdParamSchema, 'param'),
+  async (c) => {
+    const controller = getController(c);
+    return controller.revokeKey(c);
+  }
+);
+
+export { apiKeyRoutes };
@@ -0,0 +1,58 @@
+import { Hono } from 'hono';
+import { AuthController } from '../controllers/auth.js';
+import { validate, requireAuth, describeRoute } from '../middleware/index.js';
+import { RegisterSchema, LoginSchema, RefreshTokenSchema, LogoutSchema } from '../types/schemas.js';
+
+const authRoutes = new Hono();
+
+const getController = (c) => new AuthController(c.env);
+
+// Create account and sign in
+authRoutes.post('/register',
+  describeRoute({ summary: 'Create an account and sign in', status: 201, errors: [409] }),
+  validate(RegisterSchema),
+  async (c) => {
+    const controller = getController(c);
+    return controller.register(c);
+  }
+);
+
+authRoutes.post('/login',
+  describeRoute({ summary: 'Sign in with email and password' }),
+  validate(LoginSchema),
+  async (c) => {
+    const controller = getController(c);
+    return controller.login(c);
+  }
+);
+
+// Rotate refresh token
+authRoutes.post('/refresh',
+  describeRoute({ summary: 'Exchange a refresh token for new tokens' }),
+  validate(RefreshTokenSchema),
+  async (c) => {
+    const controller = getController(c);
+    return controller.refresh(c);
+  }
+);
+
+authRoutes.post('/logout',
+  describeRoute({ summary: 'Revoke refresh tokens', body: LogoutSchema }),
+  requireAuth(),
+  async (c) => {
+    const controller = getController(c);
+    return controller.logout(c);
+  }
+);
+
+// Current user's profile and membership tier
+authRoutes.get('/me',
+  describeRoute({ summary: 'Current user profile and membership tier' }),
+  requireAuth(),
+  async (c) => {
+    const controller = getController(c);
+    return controller.me(c);
+  }
+);
+
+export { authRoutes };
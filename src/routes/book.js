@@ -1,16 +1,103 @@
 import { Hono } from 'hono';
 import { BookController } from '../controllers/book.js';
-import { validate, cache, requireMembership } from '../middleware/index.js';
-import { BookQuerySchema, IdParamSchema, BookSchema } from '../types/schemas.js';
+import { TagController } from '../controllers/tag.js';
+import { BookModel } from '../models/book.js';
+import {
+  validate,
+  cache,
+  requireAuth,
+  requireMembership,
+  requireScope,
+  requireRole,
+  requireRoleForFlag,
+  requireWorkspaceRole,
+  idempotency,
+  describeRoute
+} from '../middleware/index.js';
+import {
+  BookQuerySchema,
+  BookStatsQuerySchema,
+  BookSearchSchema,
+  BookTrashQuerySchema,
+  BookHistoryQuerySchema,
+  IdParamSchema,
+  RevisionParamSchema,
+  BookSchema,
+  BookReplaceSchema,
+  BatchModeSchema,
+  BookBatchCreateSchema,
+  BookBatchUpdateSchema,
+  BookBatchDeleteSchema,
+  BookImportQuerySchema,
+  BookTagsSchema,
+  BookTagParamSchema,
+  IsbnParamSchema,
+  BookDetailResponseSchema,
+  BookListResponseSchema
+} from '../types/schemas.js';
+import { CacheUtils } from '../utils/index.js';
+import { BOOK_FIELDS } from '../types/index.js';
 
 const bookRoutes = new Hono();
 
-// Initialize controller (will be called with env in routes)
-const getController = (c) => new BookController(c.env);
+// The caller recorded in book history and the workspace it acts in
+const requestContext = (c) => ({
+  actorId: c.get('userId') || null,
+  actorType: c.get('authMethod') || null,
+  apiKeyId: c.get('user')?.apiKeyId || null,
+  requestId: c.get('requestId') || null,
+  workspaceId: c.get('workspaceId')
+});
+
+const getController = (c) => new BookController(c.env, requestContext(c));
+
+// Optimistic concurrency header for documented write routes
+const IF_MATCH_HEADER = {
+  name: 'If-Match',
+  in: 'header',
+  required: true,
+  description: 'ETag of the version being changed ("<version>"), or * to skip the check',
+  schema: { type: 'string' }
+};
+
+// Cache generation tags; writes bump these in BookController, and exchange
+// rate changes bump the rates tag of responses that convert or compare prices
+const ratesTags = (c) => {
+  const query = c.req.query();
+  const comparesPrices = query.sort_by === 'price' || Object.keys(query).some((key) => /^price(\[|$)/.test(key));
+  return query.currency || comparesPrices ? [CacheUtils.EXCHANGE_RATES_TAG] : [];
+};
+const booksTags = (c) => [CacheUtils.booksTag(c.get('workspaceId')), ...ratesTags(c)];
+const bookTags = (c) => [CacheUtils.bookTag(c.req.param('id')), ...ratesTags(c)];
+
+// Cache key with fields=/exclude= replaced by the fields they select, so
+// equivalent selections share an entry. Selections naming unknown fields keep
+// the raw URL (they are rejected by validation and never cached).
+const fieldsCacheKey = (c) => {
+  const url = new URL(c.req.url);
+  const list = (name) => url.searchParams.get(name)?.split(',').map((field) => field.trim()).filter(Boolean);
+  const selection = { fields: list('fields'), exclude: list('exclude') };
+  const named = [...(selection.fields || []), ...(selection.exclude || [])];
+
+  if (named.every((field) => BOOK_FIELDS.includes(field))) {
+    const fields = BookModel.resolveFields(selection);
+    url.searchParams.delete('fields');
+    url.searchParams.delete('exclude');
+
+    if (fields) {
+      url.searchParams.set('fields', fields.join(','));
+    }
+  }
+
+  return CacheUtils.getCacheKey('api', url.toString());
+};
 
 // Basic book listing with caching
-bookRoutes.get('/', 
-  cache(300), // 5 minutes cache
+bookRoutes.get('/',
+  describeRoute({ summary: 'List books', response: BookListResponseSchema }),
+  requireScope('books:read', { allowAnonymous: true }),
+  requireRoleForFlag('include_deleted'),
+  cache(300, { key: fieldsCacheKey, tags: booksTags }), // 5 minutes cache
   validate(BookQuerySchema, 'query'),
   async (c) => {
     const controller = getController(c);
@@ -18,19 +105,137 @@ bookRoutes.get('/',
   }
 );
 
-// Advanced search endpoint
+// Ranked full-text search
 bookRoutes.get('/search',
-  cache(180), // 3 minutes cache
-  validate(BookQuerySchema, 'query'),
+  describeRoute({ summary: 'Full-text search over title, author and description', response: BookListResponseSchema }),
+  requireScope('books:read', { allowAnonymous: true }),
+  requireRoleForFlag('include_deleted'),
+  cache(180, { key: fieldsCacheKey, tags: booksTags }), // 3 minutes cache
+  validate(BookSearchSchema, 'query'),
   async (c) => {
     const controller = getController(c);
-    return controller.getBooks(c);
+    return controller.searchBooks(c);
+  }
+);
+
+// Aggregates over the filtered books. Price metrics are converted, so the
+// cache also depends on exchange rates.
+bookRoutes.get('/stats',
+  describeRoute({
+    summary: 'Aggregate book metrics, optionally grouped',
+    description: 'Accepts the list filters. Price metrics are in minor units of `currency` (default USD); '
+      + 'books whose price cannot be converted are left out of them.'
+  }),
+  requireScope('books:read', { allowAnonymous: true }),
+  requireRoleForFlag('include_deleted'),
+  cache(300, { tags: (c) => [CacheUtils.booksTag(c.get('workspaceId')), CacheUtils.EXCHANGE_RATES_TAG] }), // 5 minutes cache
+  validate(BookStatsQuerySchema, 'query'),
+  async (c) => {
+    const controller = getController(c);
+    return controller.getBookAggregates(c);
+  }
+);
+
+// Batch operations (require premium membership). Registered before the
+// /:id routes, which would otherwise match /batch.
+bookRoutes.post('/batch',
+  describeRoute({ summary: 'Create books in a batch', query: BatchModeSchema, status: 201, errors: [409] }),
+  requireMembership('premium'),
+  requireScope('books:batch'),
+  requireWorkspaceRole('editor'),
+  idempotency(),
+  validate(BookBatchCreateSchema),
+  async (c) => {
+    const controller = getController(c);
+    return controller.createMultipleBooks(c);
+  }
+);
+
+bookRoutes.put('/batch',
+  describeRoute({ summary: 'Update books in a batch', query: BatchModeSchema, errors: [409] }),
+  requireMembership('premium'),
+  requireScope('books:batch'),
+  requireWorkspaceRole('editor'),
+  validate(BookBatchUpdateSchema),
+  async (c) => {
+    const controller = getController(c);
+    return controller.updateMultipleBooks(c);
+  }
+);
+
+bookRoutes.delete('/batch',
+  describeRoute({ summary: 'Delete books in a batch', query: BatchModeSchema, errors: [409] }),
+  requireMembership('premium'),
+  requireScope('books:batch'),
+  requireWorkspaceRole('editor'),
+  validate(BookBatchDeleteSchema),
+  async (c) => {
+    const controller = getController(c);
+    return controller.deleteMultipleBooks(c);
+  }
+);
+
+// Bulk import from CSV or NDJSON (premium, like batch operations)
+bookRoutes.post('/import',
+  describeRoute({
+    summary: 'Import books from CSV or NDJSON',
+    body: {
+      'text/csv': { schema: { type: 'string' } },
+      'application/x-ndjson': { schema: { type: 'string' } }
+    }
+  }),
+  requireMembership('premium'),
+  requireScope('books:batch'),
+  requireWorkspaceRole('editor'),
+  validate(BookImportQuerySchema, 'query'),
+  async (c) => {
+    const controller = getController(c);
+    return controller.importBooks(c);
+  }
+);
+
+// Trashed books (whoever may delete books may see and restore them)
+bookRoutes.get('/trash',
+  describeRoute({ summary: 'List trashed books', response: BookListResponseSchema }),
+  requireMembership('premium'),
+  requireScope('books:delete'),
+  requireWorkspaceRole('editor'),
+  validate(BookTrashQuerySchema, 'query'),
+  async (c) => {
+    const controller = getController(c);
+    return controller.getTrash(c);
+  }
+);
+
+// Look up a book by ISBN-10 or ISBN-13. Cached under the books tag, since
+// any write can move an ISBN to another book.
+bookRoutes.get('/isbn/:isbn',
+  describeRoute({
+    summary: 'Get a book by ISBN',
+    description: 'Accepts ISBN-10 or ISBN-13, with or without hyphens.',
+    query: BookQuerySchema.pick({ include_deleted: true, fields: true, exclude: true, currency: true }),
+    response: BookDetailResponseSchema
+  }),
+  requireScope('books:read', { allowAnonymous: true }),
+  requireRoleForFlag('include_deleted'),
+  cache(600, { key: fieldsCacheKey, tags: booksTags }), // 10 minutes cache
+  validate(IsbnParamSchema, 'param'),
+  async (c) => {
+    const controller = getController(c);
+    return controller.getBookByIsbn(c);
   }
 );
 
 // Get single book with caching
 bookRoutes.get('/:id',
-  cache(600), // 10 minutes cache
+  describeRoute({
+    summary: 'Get a book',
+    query: BookQuerySchema.pick({ include_deleted: true, fields: true, exclude: true, currency: true }),
+    response: BookDetailResponseSchema
+  }),
+  requireScope('books:read', { allowAnonymous: true }),
+  requireRoleForFlag('include_deleted'),
+  cache(600, { key: fieldsCacheKey, tags: bookTags }), // 10 minutes cache
   validate(IdParamSchema, 'param'),
   async (c) => {
     const controller = getController(c);
@@ -40,7 +245,11 @@ bookRoutes.get('/:id',
 
 // Create new book (requires membership)
 bookRoutes.post('/',
+  describeRoute({ summary: 'Create a book', status: 201, response: BookDetailResponseSchema, errors: [409] }),
   requireMembership('basic'),
+  requireScope('books:write'),
+  requireWorkspaceRole('editor'),
+  idempotency(),
   validate(BookSchema),
   async (c) => {
     const controller = getController(c);
@@ -48,19 +257,71 @@ bookRoutes.post('/',
   }
 );
 
-// Update book (requires membership)
+// Replace book (requires membership)
 bookRoutes.put('/:id',
+  describeRoute({
+    summary: 'Replace a book',
+    description: 'The body is the full book. Optional fields that are left out or null are cleared.',
+    response: BookDetailResponseSchema,
+    parameters: [IF_MATCH_HEADER],
+    errors: [409, 412, 428]
+  }),
   requireMembership('basic'),
-  validate(IdParamSchema, 'param'),
+  requireScope('books:write'),
+  requireWorkspaceRole('editor'),
+  validate(BookReplaceSchema),
   async (c) => {
     const controller = getController(c);
     return controller.updateBook(c);
   }
 );
 
+// Partially update book (requires membership)
+bookRoutes.patch('/:id',
+  describeRoute({
+    summary: 'Patch a book',
+    description: 'JSON Merge Patch (RFC 7386, also accepted as application/json) or JSON Patch (RFC 6902). '
+      + 'The patched book is validated before anything is written.',
+    body: {
+      'application/merge-patch+json': {
+        schema: { type: 'object', description: 'Fields to change; null clears an optional field' }
+      },
+      'application/json-patch+json': {
+        schema: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['op', 'path'],
+            properties: {
+              op: { type: 'string', enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+              path: { type: 'string' },
+              from: { type: 'string' },
+              value: {}
+            }
+          }
+        }
+      }
+    },
+    response: BookDetailResponseSchema,
+    parameters: [IF_MATCH_HEADER],
+    errors: [409, 412, 415, 428]
+  }),
+  requireMembership('basic'),
+  requireScope('books:write'),
+  requireWorkspaceRole('editor'),
+  validate(IdParamSchema, 'param'),
+  async (c) => {
+    const controller = getController(c);
+    return controller.patchBook(c);
+  }
+);
+
 // Delete book (requires membership)
 bookRoutes.delete('/:id',
+  describeRoute({ summary: 'Move a book to the trash', parameters: [IF_MATCH_HEADER], errors: [412, 428] }),
   requireMembership('premium'),
+  requireScope('books:delete'),
+  requireWorkspaceRole('editor'),
   validate(IdParamSchema, 'param'),
   async (c) => {
     const controller = getController(c);
@@ -68,34 +329,113 @@ bookRoutes.delete('/:id',
   }
 );
 
-// Batch operations (require premium membership)
-bookRoutes.post('/batch',
+// Restore a book from the trash
+bookRoutes.post('/:id/restore',
+  describeRoute({ summary: 'Restore a book from the trash', response: BookDetailResponseSchema, errors: [409] }),
   requireMembership('premium'),
+  requireScope('books:delete'),
+  requireWorkspaceRole('editor'),
+  validate(IdParamSchema, 'param'),
   async (c) => {
     const controller = getController(c);
-    return controller.createMultipleBooks(c);
+    return controller.restoreBook(c);
   }
 );
 
-bookRoutes.put('/batch',
-  requireMembership('premium'),
+// Permanently delete a book (admin only)
+bookRoutes.delete('/:id/purge',
+  describeRoute({ summary: 'Permanently delete a book' }),
+  requireAuth(),
+  requireRole('admin'),
+  requireWorkspaceRole('editor'),
+  validate(IdParamSchema, 'param'),
   async (c) => {
     const controller = getController(c);
-    return controller.updateMultipleBooks(c);
+    return controller.purgeBook(c);
   }
 );
 
-bookRoutes.delete('/batch',
-  requireMembership('premium'),
+// Revision history (who changed what, and when)
+bookRoutes.get('/:id/history',
+  describeRoute({ summary: 'List revisions of a book' }),
+  requireAuth(),
+  requireScope('books:read'),
+  validate(BookHistoryQuerySchema, 'query'),
   async (c) => {
     const controller = getController(c);
-    return controller.deleteMultipleBooks(c);
+    return controller.getBookHistory(c);
+  }
+);
+
+bookRoutes.get('/:id/history/:revision',
+  describeRoute({ summary: 'Get a revision with the book snapshot' }),
+  requireAuth(),
+  requireScope('books:read'),
+  validate(RevisionParamSchema, 'param'),
+  async (c) => {
+    const controller = getController(c);
+    return controller.getBookRevision(c);
+  }
+);
+
+// Tags of a book (see also /tags)
+bookRoutes.get('/:id/tags',
+  describeRoute({ summary: 'List the tags of a book' }),
+  requireScope('books:read', { allowAnonymous: true }),
+  validate(IdParamSchema, 'param'),
+  async (c) => {
+    const controller = new TagController(c.env, requestContext(c));
+    return controller.getBookTags(c);
+  }
+);
+
+bookRoutes.post('/:id/tags',
+  describeRoute({ summary: 'Add tags to a book', description: 'Tags are given by name; names not seen before become new tags.' }),
+  requireMembership('basic'),
+  requireScope('books:write'),
+  requireWorkspaceRole('editor'),
+  validate(BookTagsSchema),
+  async (c) => {
+    const controller = new TagController(c.env, requestContext(c));
+    return controller.addBookTags(c);
+  }
+);
+
+bookRoutes.delete('/:id/tags/:tag',
+  describeRoute({ summary: 'Remove a tag (by id or name) from a book' }),
+  requireMembership('basic'),
+  requireScope('books:write'),
+  requireWorkspaceRole('editor'),
+  validate(BookTagParamSchema, 'param'),
+  async (c) => {
+    const controller = new TagController(c.env, requestContext(c));
+    return controller.removeBookTag(c);
+  }
+);
+
+// Roll a book back to an earlier revision (requires membership)
+bookRoutes.post('/:id/revert/:revision',
+  describeRoute({
+    summary: 'Revert a book to an earlier revision',
+    response: BookDetailResponseSchema,
+    parameters: [IF_MATCH_HEADER],
+    errors: [409, 412, 428]
+  }),
+  requireMembership('basic'),
+  requireScope('books:write'),
+  requireWorkspaceRole('editor'),
+  validate(RevisionParamSchema, 'param'),
+  async (c) => {
+    const controller = getController(c);
+    return controller.revertBook(c);
   }
 );
 
 // Statistics endpoint with caching
 bookRoutes.get('/stats/overview',
-  cache(900), // 15 minutes cache
+  describeRoute({ summary: 'Book statistics' }),
+  requireScope('books:read', { allowAnonymous: true }),
+  cache(900, { tags: booksTags }), // 15 minutes cache
   async (c) => {
     const controller = getController(c);
     return controller.getBookStatistics(c);
@@ -0,0 +1,124 @@
+import { Hono } from 'hono';
+import { ContributorController } from '../controllers/contributor.js';
+import {
+  validate,
+  requireMembership,
+  requireScope,
+  requireRoleForFlag,
+  requireWorkspaceRole,
+  describeRoute
+} from '../middleware/index.js';
+import {
+  IdParamSchema,
+  BookQuerySchema,
+  BookListResponseSchema,
+  AuthorCreateSchema,
+  AuthorUpdateSchema,
+  PublisherCreateSchema,
+  PublisherUpdateSchema,
+  ContributorQuerySchema
+} from '../types/schemas.js';
+
+// /authors and /publishers share one set of routes. Reads are public like
+// /books; writes need the same membership, scopes and workspace role as
+// book writes.
+const createContributorRoutes = (kind, { label, plural, createSchema, updateSchema }) => {
+  const routes = new Hono();
+
+  const getController = (c) => new ContributorController(c.env, kind, {
+    actorId: c.get('userId') || null,
+    actorType: c.get('authMethod') || null,
+    apiKeyId: c.get('user')?.apiKeyId || null,
+    requestId: c.get('requestId') || null,
+    workspaceId: c.get('workspaceId')
+  });
+
+  routes.get('/',
+    describeRoute({ summary: `List ${plural}`, description: 'q matches the start of the name, ignoring case, spaces and punctuation.' }),
+    requireScope('books:read', { allowAnonymous: true }),
+    validate(ContributorQuerySchema, 'query'),
+    async (c) => {
+      const controller = getController(c);
+      return controller.list(c);
+    }
+  );
+
+  routes.post('/',
+    describeRoute({ summary: `Create ${label}`, status: 201, errors: [409] }),
+    requireMembership('basic'),
+    requireScope('books:write'),
+    requireWorkspaceRole('editor'),
+    validate(createSchema),
+    async (c) => {
+      const controller = getController(c);
+      return controller.create(c);
+    }
+  );
+
+  routes.get('/:id',
+    describeRoute({ summary: `Get ${label}` }),
+    requireScope('books:read', { allowAnonymous: true }),
+    validate(IdParamSchema, 'param'),
+    async (c) => {
+      const controller = getController(c);
+      return controller.get(c);
+    }
+  );
+
+  routes.patch('/:id',
+    describeRoute({
+      summary: `Update ${label}`,
+      description: 'A new name is copied to every linked book, which gets a new version and revision.',
+      errors: [409]
+    }),
+    requireMembership('basic'),
+    requireScope('books:write'),
+    requireWorkspaceRole('editor'),
+    validate(updateSchema),
+    async (c) => {
+      const controller = getController(c);
+      return controller.update(c);
+    }
+  );
+
+  routes.delete('/:id',
+    describeRoute({ summary: `Delete ${label} that no book links to`, errors: [409] }),
+    requireMembership('premium'),
+    requireScope('books:delete'),
+    requireWorkspaceRole('editor'),
+    validate(IdParamSchema, 'param'),
+    async (c) => {
+      const controller = getController(c);
+      return controller.delete(c);
+    }
+  );
+
+  routes.get('/:id/books',
+    describeRoute({ summary: `List books of ${label}`, response: BookListResponseSchema }),
+    requireScope('books:read', { allowAnonymous: true }),
+    requireRoleForFlag('include_deleted'),
+    validate(BookQuerySchema, 'query'),
+    async (c) => {
+      const controller = getController(c);
+      return controller.listBooks(c);
+    }
+  );
+
+  return routes;
+};
+
+const authorRoutes = createContributorRoutes('author', {
+  label: 'an author',
+  plural: 'authors',
+  createSchema: AuthorCreateSchema,
+  updateSchema: AuthorUpdateSchema
+});
+
+const publisherRoutes = createContributorRoutes('publisher', {
+  label: 'a publisher',
+  plural: 'publishers',
+  createSchema: PublisherCreateSchema,
+  updateSchema: PublisherUpdateSchema
+});
+
+export { authorRoutes, publisherRoutes };
@@ -0,0 +1,78 @@
+import { Hono } from 'hono';
+import { TagController } from '../controllers/tag.js';
+import {
+  validate,
+  requireMembership,
+  requireScope,
+  requireWorkspaceRole,
+  describeRoute
+} from '../middleware/index.js';
+import {
+  IdParamSchema,
+  ContributorQuerySchema,
+  TagCreateSchema,
+  TagUpdateSchema
+} from '../types/schemas.js';
+
+const tagRoutes = new Hono();
+
+const getController = (c) => new TagController(c.env, { workspaceId: c.get('workspaceId') });
+
+// Tags are listed and filtered like authors; reads are public like /books
+tagRoutes.get('/',
+  describeRoute({ summary: 'List tags with usage counts', description: 'q matches the start of the name, ignoring case, spaces and punctuation.' }),
+  requireScope('books:read', { allowAnonymous: true }),
+  validate(ContributorQuerySchema, 'query'),
+  async (c) => {
+    const controller = getController(c);
+    return controller.listTags(c);
+  }
+);
+
+tagRoutes.post('/',
+  describeRoute({ summary: 'Create a tag', status: 201, errors: [409] }),
+  requireMembership('basic'),
+  requireScope('books:write'),
+  requireWorkspaceRole('editor'),
+  validate(TagCreateSchema),
+  async (c) => {
+    const controller = getController(c);
+    return controller.createTag(c);
+  }
+);
+
+tagRoutes.get('/:id',
+  describeRoute({ summary: 'Get a tag' }),
+  requireScope('books:read', { allowAnonymous: true }),
+  validate(IdParamSchema, 'param'),
+  async (c) => {
+    const controller = getController(c);
+    return controller.getTag(c);
+  }
+);
+
+tagRoutes.patch('/:id',
+  describeRoute({ summary: 'Rename a tag or change its description', errors: [409] }),
+  requireMembership('basic'),
+  requireScope('books:write'),
+  requireWorkspaceRole('editor'),
+  validate(TagUpdateSchema),
+  async (c) => {
+    const controller = getController(c);
+    return controller.updateTag(c);
+  }
+);
+
+tagRoutes.delete('/:id',
+  describeRoute({ summary: 'Delete a tag and remove it from every book' }),
+  requireMembership('premium'),
+  requireScope('books:delete'),
+  requireWorkspaceRole('editor'),
+  validate(IdParamSchema, 'param'),
+  async (c) => {
+    const controller = getController(c);
+    return controller.deleteTag(c);
+  }
+);
+
+export { tagRoutes };
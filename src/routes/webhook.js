@@ -0,0 +1,93 @@
+import { Hono } from 'hono';
+import { WebhookController } from '../controllers/webhook.js';
+import { validate, requireMembership, requireScope, describeRoute } from '../middleware/index.js';
+import {
+  IdParamSchema,
+  WebhookCreateSchema,
+  WebhookUpdateSchema,
+  WebhookDeliveryQuerySchema,
+  WebhookDeliveryParamSchema
+} from '../types/schemas.js';
+
+const webhookRoutes = new Hono();
+
+const getController = (c) => new WebhookController(c.env, c.get('workspaceId'));
+
+webhookRoutes.use('*', requireMembership('premium'), requireScope('webhooks:manage'));
+
+webhookRoutes.get('/',
+  describeRoute({ summary: 'List your webhooks' }),
+  async (c) => {
+    const controller = getController(c);
+    return controller.listWebhooks(c);
+  }
+);
+
+webhookRoutes.post('/',
+  describeRoute({
+    summary: 'Create a webhook',
+    description: 'The response includes the signing secret. It is not shown again.',
+    status: 201
+  }),
+  validate(WebhookCreateSchema),
+  async (c) => {
+    const controller = getController(c);
+    return controller.createWebhook(c);
+  }
+);
+
+webhookRoutes.get('/:id',
+  describeRoute({ summary: 'Get a webhook' }),
+  validate(IdParamSchema, 'param'),
+  async (c) => {
+    const controller = getController(c);
+    return controller.getWebhook(c);
+  }
+);
+
+webhookRoutes.put('/:id',
+  describeRoute({ summary: 'Update a webhook' }),
+  validate(WebhookUpdateSchema),
+  async (c) => {
+    const controller = getController(c);
+    return controller.updateWebhook(c);
+  }
+);
+
+webhookRoutes.delete('/:id',
+  describeRoute({ summary: 'Delete a webhook and its delivery log' }),
+  validate(IdParamSchema, 'param'),
+  async (c) => {
+    const controller = getController(c);
+    return controller.deleteWebhook(c);
+  }
+);
+
+webhookRoutes.get('/:id/deliveries',
+  describeRoute({ summary: 'List deliveries of a webhook' }),
+  validate(WebhookDeliveryQuerySchema, 'query'),
+  async (c) => {
+    const controller = getController(c);
+    return controller.listDeliveries(c);
+  }
+);
+
+webhookRoutes.get('/:id/deliveries/:deliveryId',
+  describeRoute({ summary: 'Get a delivery with its payload' }),
+  validate(WebhookDeliveryParamSchema, 'param'),
+  async (c) => {
+    const controller = getController(c);
+    return controller.getDelivery(c);
+  }
+);
+
+webhookRoutes.post('/:id/deliveries/:deliveryId/redeliver',
+  describeRoute({ summary: 'Send a delivery again', status: 202 }),
+  validate(WebhookDeliveryParamSchema, 'param'),
+  async (c) => {
+    const controller = getController(c);
+    return controller.redeliver(c);
+  }
+);
+
+export { webhookRoutes };
@@ -0,0 +1,136 @@
+import { Hono } from 'hono';
+import { WorkspaceController } from '../controllers/workspace.js';
+import {
+  validate,
+  requireAuth,
+  requireScope,
+  resolveWorkspace,
+  requireWorkspaceRole,
+  describeRoute
+} from '../middleware/index.js';
+import {
+  WorkspaceCreateSchema,
+  WorkspaceUpdateSchema,
+  WorkspaceMemberCreateSchema,
+  WorkspaceMemberUpdateSchema,
+  WorkspaceMemberParamSchema
+} from '../types/schemas.js';
+
+const workspaceRoutes = new Hono();
+
+const getController = (c) => new WorkspaceController(c.env);
+
+workspaceRoutes.use('*', requireAuth());
+
+workspaceRoutes.get('/',
+  describeRoute({ summary: 'List your workspaces', description: 'Includes the shared default workspace.' }),
+  async (c) => {
+    const controller = getController(c);
+    return controller.listWorkspaces(c);
+  }
+);
+
+workspaceRoutes.post('/',
+  describeRoute({ summary: 'Create a workspace', description: 'You become its owner.', status: 201 }),
+  requireScope('workspaces:manage'),
+  validate(WorkspaceCreateSchema),
+  async (c) => {
+    const controller = getController(c);
+    return controller.createWorkspace(c);
+  }
+);
+
+workspaceRoutes.get('/:id',
+  describeRoute({ summary: 'Get a workspace' }),
+  resolveWorkspace('id'),
+  async (c) => {
+    const controller = getController(c);
+    return controller.getWorkspace(c);
+  }
+);
+
+workspaceRoutes.patch('/:id',
+  describeRoute({ summary: 'Rename a workspace' }),
+  requireScope('workspaces:manage'),
+  resolveWorkspace('id'),
+  requireWorkspaceRole('admin'),
+  validate(WorkspaceUpdateSchema),
+  async (c) => {
+    const controller = getController(c);
+    return controller.updateWorkspace(c);
+  }
+);
+
+workspaceRoutes.delete('/:id',
+  describeRoute({
+    summary: 'Delete a workspace',
+    description: 'Permanently deletes its books with their history, its authors, publishers, tags and webhooks.'
+  }),
+  requireScope('workspaces:manage'),
+  resolveWorkspace('id'),
+  requireWorkspaceRole('owner'),
+  async (c) => {
+    const controller = getController(c);
+    return controller.deleteWorkspace(c);
+  }
+);
+
+workspaceRoutes.get('/:id/members',
+  describeRoute({ summary: 'List members of a workspace', description: 'Emails are only included for admins and owners.' }),
+  resolveWorkspace('id'),
+  async (c) => {
+    const controller = getController(c);
+    return controller.listMembers(c);
+  }
+);
+
+workspaceRoutes.post('/:id/members',
+  describeRoute({
+    summary: 'Add a member to a workspace',
+    description: 'Give user_id or the email of a registered user. Admins can add viewers and editors; owners any role.',
+    status: 201,
+    errors: [409]
+  }),
+  requireScope('workspaces:manage'),
+  resolveWorkspace('id'),
+  requireWorkspaceRole('admin'),
+  validate(WorkspaceMemberCreateSchema),
+  async (c) => {
+    const controller = getController(c);
+    return controller.addMember(c);
+  }
+);
+
+workspaceRoutes.patch('/:id/members/:userId',
+  describeRoute({
+    summary: "Change a member's role",
+    description: 'A workspace always keeps at least one owner.',
+    errors: [409]
+  }),
+  requireScope('workspaces:manage'),
+  resolveWorkspace('id'),
+  requireWorkspaceRole('admin'),
+  validate(WorkspaceMemberUpdateSchema),
+  async (c) => {
+    const controller = getController(c);
+    return controller.updateMember(c);
+  }
+);
+
+// Members may remove themselves (leave); removing others takes admin
+workspaceRoutes.delete('/:id/members/:userId',
+  describeRoute({
+    summary: 'Remove a member from a workspace',
+    description: 'Any member can remove themselves. A workspace always keeps at least one owner.',
+    errors: [409]
+  }),
+  requireScope('workspaces:manage'),
+  resolveWorkspace('id'),
+  validate(WorkspaceMemberParamSchema, 'param'),
+  async (c) => {
+    const controller = getController(c);
+    return controller.removeMember(c);
+  }
+);
+
+export { workspaceRoutes };
@@ -10,6 +10,68 @@ export const UserRole = {
   ADMIN: 'admin'
 };
 
+// Membership tiers, lowest first
+export const MembershipLevel = {
+  FREE: 'free',
+  BASIC: 'basic',
+  PREMIUM: 'premium'
+};
+
+export const MEMBERSHIP_RANK = [
+  MembershipLevel.FREE,
+  MembershipLevel.BASIC,
+  MembershipLevel.PREMIUM
+];
+
+// Scopes that can be granted to API keys
+export const ApiKeyScope = {
+  BOOKS_READ: 'books:read',
+  BOOKS_WRITE: 'books:write',
+  BOOKS_DELETE: 'books:delete',
+  BOOKS_BATCH: 'books:batch',
+  WEBHOOKS_MANAGE: 'webhooks:manage',
+  WORKSPACES_MANAGE: 'workspaces:manage'
+};
+
+// Roles within a workspace, lowest first
+export const WorkspaceRole = {
+  VIEWER: 'viewer',
+  EDITOR: 'editor',
+  ADMIN: 'admin',
+  OWNER: 'owner'
+};
+
+export const WORKSPACE_ROLE_RANK = [
+  WorkspaceRole.VIEWER,
+  WorkspaceRole.EDITOR,
+  WorkspaceRole.ADMIN,
+  WorkspaceRole.OWNER
+];
+
+// Shared workspace holding the data from before workspaces existed. Anyone
+// may read it, signed-in users write to it unless DEFAULT_WORKSPACE_ROLE is
+// viewer, and admins own it.
+export const DEFAULT_WORKSPACE_ID = 'default';
+
+// Fields of a book as returned by the API, in output order (fields= and
+// exclude= choose from these)
+export const BOOK_FIELDS = [
+  'id', 'workspace_id', 'title', 'author', 'author_id', 'description', 'status', 'published_date',
+  'isbn', 'pages', 'language', 'genre', 'publisher', 'publisher_id', 'price', 'currency',
+  'created_at', 'updated_at', 'version', 'deleted_at'
+];
+
+// Events outbound webhooks can subscribe to ('*' subscribes to all)
+export const WebhookEvent = {
+  BOOK_CREATED: 'book.created',
+  BOOK_UPDATED: 'book.updated',
+  BOOK_STATUS_CHANGED: 'book.status_changed',
+  BOOK_DELETED: 'book.deleted',
+  BOOK_RESTORED: 'book.restored',
+  BOOK_PURGED: 'book.purged',
+  BATCH_COMPLETED: 'batch.completed'
+};
+
 // Response types
 export const ApiResponse = {
   success: (data, message = 'Success') => ({
@@ -61,4 +123,66 @@ export class DatabaseError extends AppError {
     super(message, 'DATABASE_ERROR', 500);
     this.name = 'DatabaseError';
   }
+}
+
+// details (e.g. { existing_id }) are added to the error response
+export class ConflictError extends AppError {
+  constructor(message, code = 'CONFLICT', details = {}) {
+    super(message, code, 409);
+    this.name = 'ConflictError';
+    this.details = details;
+  }
+}
+
+export class UnsupportedMediaTypeError extends AppError {
+  constructor(message) {
+    super(message, 'UNSUPPORTED_MEDIA_TYPE', 415);
+    this.name = 'UnsupportedMediaTypeError';
+  }
+}
+
+// A batch was rejected as a whole; errors lists the failing items by index
+export class BatchError extends AppError {
+  constructor(message, errors = [], statusCode = 409, code = 'BATCH_ABORTED') {
+    super(message, code, statusCode);
+    this.name = 'BatchError';
+    this.errors = errors;
+  }
+}
+
+export class PreconditionFailedError extends AppError {
+  constructor(message, currentVersion = null) {
+    super(message, 'PRECONDITION_FAILED', 412);
+    this.name = 'PreconditionFailedError';
+    this.currentVersion = currentVersion;
+  }
+}
+
+export class PreconditionRequiredError extends AppError {
+  constructor(message = 'If-Match header is required') {
+    super(message, 'PRECONDITION_REQUIRED', 428);
+    this.name = 'PreconditionRequiredError';
+  }
+}
+
+export class AuthenticationError extends AppError {
+  constructor(message = 'Authentication required', code = 'AUTH_INVALID') {
+    super(message, code, 401);
+    this.name = 'AuthenticationError';
+  }
+}
+
+// A service the request depends on (such as a JWKS endpoint) cannot be used
+export class ServiceUnavailableError extends AppError {
+  constructor(message, code = 'SERVICE_UNAVAILABLE') {
+    super(message, code, 503);
+    this.name = 'ServiceUnavailableError';
+  }
+}
+
+export class AuthorizationError extends AppError {
+  constructor(message = 'Insufficient permissions', code = 'INSUFFICIENT_PERMISSIONS') {
+    super(message, code, 403);
+    this.name = 'AuthorizationError';
+  }
 }
\ No newline at end of file
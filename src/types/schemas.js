@@ -1,33 +1,301 @@
 import { z } from 'zod';
+import { Utils } from '../utils/index.js';
+import { IsbnUtils } from '../utils/isbn.js';
+import { CurrencyUtils } from '../utils/currency.js';
+import { ApiKeyScope, WebhookEvent, WorkspaceRole, BOOK_FIELDS } from './index.js';
+
+// ISBN-10 or ISBN-13, hyphens and spaces allowed; stored as canonical ISBN-13
+const isbnValue = z.string().transform((value, ctx) => {
+  const isbn = IsbnUtils.normalize(value);
+
+  if (!isbn) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Invalid ISBN: expected a valid ISBN-10 or ISBN-13' });
+    return z.NEVER;
+  }
+
+  return isbn;
+});
+
+// ISO 4217 code such as EUR
+const currencyCode = z.string()
+  .trim()
+  .toUpperCase()
+  .refine(CurrencyUtils.isValid, 'Unknown currency: expected an ISO 4217 code such as EUR');
 
 // Book schema
 export const BookSchema = z.object({
   id: z.string().optional(),
   title: z.string().min(1, 'Title is required'),
-  author: z.string().min(1, 'Author is required'),
+  // A name, or the id of an existing author (one of the two is required)
+  author: z.string().min(1, 'Author is required').optional(),
+  author_id: z.string().min(1).optional(),
   description: z.string().optional(),
   status: z.enum(['active', 'inactive', 'archived']).default('active'),
   published_date: z.string().optional(),
-  isbn: z.string().optional(),
+  isbn: isbnValue.optional(),
   pages: z.number().int().positive().optional(),
   language: z.string().optional(),
   genre: z.string().optional(),
   publisher: z.string().optional(),
-  price: z.number().positive().optional(),
+  publisher_id: z.string().min(1).optional(),
+  // In the currency's minor unit (cents); without a currency it is in USD
+  price: z.number().int('Price must be an integer amount in minor units (cents)').positive().optional(),
+  currency: currencyCode.optional(),
   created_at: z.string().optional(),
   updated_at: z.string().optional()
 });
 
+// Book fields a client can write; id and timestamps are managed by the API
+export const BookWriteSchema = BookSchema.omit({ id: true, created_at: true, updated_at: true });
+
+// Optional book fields; on PUT and PATCH null (or leaving them out of a PUT) clears them
+const CLEARABLE_BOOK_FIELDS = [
+  'description', 'published_date', 'isbn', 'pages', 'language', 'genre', 'publisher',
+  'publisher_id', 'price', 'currency'
+];
+
+const clearableBookFields = Object.fromEntries(
+  CLEARABLE_BOOK_FIELDS.map((field) => [field, BookSchema.shape[field].unwrap().nullable().optional()])
+);
+
+// Read-only fields of a fetched book: every returned field a client cannot
+// write. A PUT body may echo them back, so a fetched book can be sent back
+// as it is; they are ignored.
+const readOnlyBookFields = Object.fromEntries(
+  BOOK_FIELDS
+    .filter((field) => !(field in BookWriteSchema.shape))
+    .map((field) => [field, z.unknown().optional()])
+);
+
+// PUT /books/:id: a full representation of the book. Unknown fields are rejected.
+export const BookReplaceSchema = BookWriteSchema
+  .extend({ ...clearableBookFields, ...readOnlyBookFields })
+  .strict();
+
+// PATCH /books/:id: the fields a patch changed, checked after applying it
+export const BookPatchSchema = BookWriteSchema
+  .extend(clearableBookFields)
+  .partial()
+  .strict();
+
+// Revision history
+export const BookHistoryQuerySchema = z.object({
+  page: z.coerce.number().int().positive().default(1),
+  limit: z.coerce.number().int().positive().max(100).default(20)
+});
+
+export const RevisionParamSchema = z.object({
+  id: z.string().min(1, 'ID is required'),
+  revision: z.coerce.number().int().positive('Revision must be a positive integer')
+});
+
+// Batch operations
+export const MAX_BATCH_SIZE = 100;
+
+export const BatchModeSchema = z.object({
+  mode: z.enum(['atomic', 'partial']).default('partial')
+});
+
+// Items are validated one by one (see validateBatchItems) so that every
+// invalid item can be reported by its index. The item schema is kept on the
+// array as itemSchema for the OpenAPI document.
+const batchArray = (name, itemSchema) => Object.assign(
+  z.array(z.unknown(), { required_error: `${name} array is required` })
+    .min(1, `${name} array is required`)
+    .max(MAX_BATCH_SIZE, `${name} array cannot contain more than ${MAX_BATCH_SIZE} items`),
+  { itemSchema }
+);
+
+export const BookBatchUpdateItemSchema = z.object({
+  id: z.string().min(1, 'ID is required'),
+  version: z.number().int().positive().optional(),
+  // Unknown fields are rejected, as in PATCH /books/:id
+  data: BookWriteSchema
+    .partial()
+    .strict()
+    .refine((data) => Object.values(data).some((value) => value !== undefined), {
+      message: 'At least one field to update is required'
+    })
+});
+
+export const BookBatchDeleteItemSchema = z.string().min(1, 'ID is required');
+
+export const BookBatchCreateSchema = z.object({ books: batchArray('Books', BookSchema) });
+export const BookBatchUpdateSchema = z.object({ updates: batchArray('Updates', BookBatchUpdateItemSchema) });
+export const BookBatchDeleteSchema = z.object({ ids: batchArray('IDs', BookBatchDeleteItemSchema) });
+
+// Bulk import (/books/import). The body is CSV or NDJSON, so only the query
+// string is validated up front; rows are checked one by one.
+export const MAX_IMPORT_ROWS = 1000;
+
+export const BookImportQuerySchema = z.object({
+  // Defaults to the request's Content-Type
+  format: z.enum(['csv', 'ndjson']).optional(),
+  mode: z.enum(['create', 'upsert']).default('create'),
+  dry_run: z.enum(['true', 'false']).default('false').transform((value) => value === 'true'),
+  // "Source Column:field" pairs, comma separated (CSV only)
+  mapping: z.string().max(2048).optional()
+});
+
+export const BookImportRowSchema = BookWriteSchema;
+
+// List filters. A bare value (genre=Fiction) is an exact match; bracketed
+// operators (price[gte]=10, genre[in]=Fiction,Fantasy) are grouped into an
+// object by validate() and normalized to { operator: value } here.
+export const MAX_FILTER_VALUES = 50;
+
+const filterOperators = (operators) => z.preprocess(
+  (value) => (typeof value === 'string' ? { eq: value } : value),
+  z.object(operators)
+    .strict()
+    .refine((filter) => Object.values(filter).some((value) => value !== undefined), {
+      message: 'Filter needs a value'
+    })
+).optional();
+
+const filterList = (item) => z.string()
+  .transform((value) => value.split(',').map((entry) => entry.trim()).filter(Boolean))
+  .pipe(z.array(item).min(1, 'List filters need at least one value').max(MAX_FILTER_VALUES));
+
+// Exact match or one of a comma-separated list
+const matchFilter = (item = z.string().min(1)) => filterOperators({
+  eq: item.optional(),
+  in: filterList(item).optional()
+});
+
+const rangeFilter = (item) => filterOperators({
+  eq: item.optional(),
+  gt: item.optional(),
+  gte: item.optional(),
+  lt: item.optional(),
+  lte: item.optional()
+});
+
+const filterDate = z.string().regex(/^\d{4}-\d{2}-\d{2}/, 'Dates must be YYYY-MM-DD');
+
+// after/before are exclusive, gte/lte inclusive
+const dateFilter = filterOperators({
+  eq: filterDate.optional(),
+  after: filterDate.optional(),
+  before: filterDate.optional(),
+  gte: filterDate.optional(),
+  lte: filterDate.optional()
+});
+
+// tags[all]=a,b (every tag) and tags[any]=a,b (at least one); a bare
+// tags=a,b means all
+const tagFilter = z.preprocess(
+  (value) => (typeof value === 'string' ? { all: value } : value),
+  z.object({
+    all: filterList(z.string().min(1).max(100)).optional(),
+    any: filterList(z.string().min(1).max(100)).optional()
+  })
+    .strict()
+    .refine((filter) => Object.values(filter).some((value) => value !== undefined), {
+      message: 'Filter needs a value'
+    })
+).optional();
+
+const booleanParam = z.enum(['true', 'false']).transform((value) => value === 'true');
+
+// Sparse fieldsets: fields=id,title,price narrows a book to those fields,
+// exclude=description drops fields. Both may be combined.
+const fieldList = z.string()
+  .transform((value) => value.split(',').map((entry) => entry.trim()).filter(Boolean))
+  .pipe(z.array(z.enum(BOOK_FIELDS)).min(1, 'List at least one field'));
+
+export const BookFieldsQuerySchema = z.object({
+  fields: fieldList.optional(),
+  exclude: fieldList.optional()
+});
+
+// currency=EUR adds each book's price converted to EUR; price filters and
+// sorting then use the converted amount
+export const PriceCurrencyQuerySchema = z.object({
+  currency: currencyCode.optional()
+});
+
 // Query parameters schema
 export const BookQuerySchema = z.object({
   page: z.coerce.number().int().positive().default(1),
   limit: z.coerce.number().int().positive().max(100).default(10),
   search: z.string().optional(),
-  author: z.string().optional(),
-  status: z.enum(['active', 'inactive', 'archived']).optional(),
-  genre: z.string().optional(),
-  sort_by: z.enum(['title', 'author', 'created_at', 'updated_at']).default('created_at'),
-  sort_order: z.enum(['asc', 'desc']).default('desc')
+  author: matchFilter(),
+  author_id: matchFilter(),
+  status: matchFilter(z.enum(['active', 'inactive', 'archived'])),
+  genre: matchFilter(),
+  language: matchFilter(),
+  publisher: matchFilter(),
+  publisher_id: matchFilter(),
+  isbn: matchFilter(isbnValue),
+  price: rangeFilter(z.coerce.number()),
+  pages: rangeFilter(z.coerce.number().int()),
+  published_date: dateFilter,
+  tags: tagFilter,
+  has_description: booleanParam.optional(),
+  ...BookFieldsQuerySchema.shape,
+  ...PriceCurrencyQuerySchema.shape,
+  sort_by: z.enum([
+    'title', 'author', 'created_at', 'updated_at', 'price', 'pages', 'published_date'
+  ]).default('created_at'),
+  sort_order: z.enum(['asc', 'desc']).default('desc'),
+  // Opaque next_cursor/prev_cursor from a previous page; takes precedence over page
+  cursor: z.string().max(1024).optional(),
+  include_total: z.enum(['true', 'false']).default('true').transform((value) => value === 'true'),
+  // Admins only (enforced by the route); also lists trashed books
+  include_deleted: z.enum(['true', 'false']).default('false').transform((value) => value === 'true')
+});
+
+// Trash listing (/books/trash)
+export const BookTrashQuerySchema = BookQuerySchema.omit({ include_deleted: true }).extend({
+  sort_by: z.enum([
+    'title', 'author', 'created_at', 'updated_at', 'price', 'pages', 'published_date', 'deleted_at'
+  ]).default('deleted_at')
+});
+
+// Full-text search parameters (/books/search); `search` is accepted as a
+// legacy alias for `q`
+export const BookSearchSchema = z.preprocess(
+  (query) => ({ ...query, q: query?.q ?? query?.search }),
+  BookQuerySchema.extend({
+    q: z.string({ required_error: 'Search query (q) is required' })
+      .trim().min(1, 'Search query (q) is required').max(256),
+    highlight: z.enum(['true', 'false']).default('false').transform((value) => value === 'true'),
+    sort_by: z.enum([
+      'relevance', 'title', 'author', 'created_at', 'updated_at', 'price', 'pages', 'published_date'
+    ]).default('relevance'),
+    sort_order: z.enum(['asc', 'desc']).optional()
+  })
+);
+
+// Aggregates (/books/stats) over the books the list filters match
+const STATS_GROUP_BY = [
+  'genre', 'author', 'status', 'language', 'publisher',
+  'created_at:month', 'created_at:week', 'published_date:month', 'published_date:week'
+];
+const STATS_METRICS = [
+  'count', 'sum_price', 'avg_price', 'min_price', 'max_price', 'avg_pages', 'price_histogram'
+];
+
+export const BookStatsQuerySchema = BookQuerySchema.omit({
+  page: true,
+  limit: true,
+  fields: true,
+  exclude: true,
+  sort_by: true,
+  sort_order: true,
+  cursor: true,
+  include_total: true
+}).extend({
+  group_by: z.enum(STATS_GROUP_BY).optional(),
+  metrics: z.string()
+    .transform((value) => value.split(',').map((entry) => entry.trim()).filter(Boolean))
+    .pipe(z.array(z.enum(STATS_METRICS)).min(1, 'List at least one metric'))
+    .default('count'),
+  // Width of price histogram buckets, in minor units
+  bucket_size: z.coerce.number().int().positive().default(1000),
+  // Most groups returned, largest first (periods: earliest first)
+  limit: z.coerce.number().int().positive().max(1000).default(100)
 });
 
 // ID parameter schema
@@ -35,23 +303,247 @@ export const IdParamSchema = z.object({
   id: z.string().min(1, 'ID is required')
 });
 
-// Response schemas
+// GET /books/isbn/:isbn
+export const IsbnParamSchema = z.object({
+  isbn: isbnValue
+});
+
+// PUT /admin/exchange-rates: units of each currency per US dollar
+export const ExchangeRatesUpdateSchema = z.object({
+  date: z.string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, 'Dates must be YYYY-MM-DD')
+    .default(() => new Date().toISOString().slice(0, 10)),
+  rates: z.record(
+    z.string().refine(CurrencyUtils.isValid, 'Unknown currency: expected an uppercase ISO 4217 code such as EUR'),
+    z.number().positive().finite()
+  )
+    .refine((rates) => Object.keys(rates).length > 0, 'At least one rate is required')
+    .refine((rates) => Object.keys(rates).length <= 100, 'At most 100 rates per request')
+});
+
+export const CurrencyParamSchema = z.object({
+  currency: currencyCode
+});
+
+// Auth schemas
+export const RegisterSchema = z.object({
+  email: z.string().trim().toLowerCase().refine(Utils.isValidEmail, 'Invalid email address'),
+  password: z.string().min(8, 'Password must be at least 8 characters').max(128),
+  name: z.string().trim().min(1).max(100).optional()
+});
+
+export const LoginSchema = z.object({
+  email: z.string().trim().toLowerCase().min(1, 'Email is required'),
+  password: z.string().min(1, 'Password is required')
+});
+
+export const RefreshTokenSchema = z.object({
+  refresh_token: z.string().min(1, 'Refresh token is required')
+});
+
+export const LogoutSchema = z.object({
+  refresh_token: z.string().optional(),
+  all_sessions: z.boolean().default(false)
+});
+
+// API key schemas
+export const ApiKeyCreateSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(100),
+  scopes: z.array(z.enum(Object.values(ApiKeyScope)))
+    .min(1, 'At least one scope is required'),
+  membership_level: z.enum(['free', 'basic', 'premium']).optional(),
+  expires_in_days: z.number().int().positive().max(365).optional()
+});
+
+// Webhooks. Endpoints must use https, except on localhost for development.
+const isWebhookUrl = (value) => {
+  const url = new URL(value);
+  return url.protocol === 'https:'
+    || (url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname));
+};
+
+export const WebhookCreateSchema = z.object({
+  url: z.string().trim().url('Invalid URL').max(2048)
+    .refine(isWebhookUrl, 'Webhook URL must use https'),
+  events: z.array(z.enum(['*', ...Object.values(WebhookEvent)]))
+    .min(1, 'At least one event is required'),
+  description: z.string().trim().max(255).optional(),
+  active: z.boolean().default(true)
+});
+
+export const WebhookUpdateSchema = WebhookCreateSchema.partial()
+  .refine((data) => Object.values(data).some((value) => value !== undefined), {
+    message: 'At least one field to update is required'
+  });
+
+export const WebhookDeliveryQuerySchema = z.object({
+  page: z.coerce.number().int().positive().default(1),
+  limit: z.coerce.number().int().positive().max(100).default(20),
+  status: z.enum(['pending', 'succeeded', 'failed']).optional()
+});
+
+export const WebhookDeliveryParamSchema = z.object({
+  id: z.string().min(1, 'ID is required'),
+  deliveryId: z.string().min(1, 'Delivery ID is required')
+});
+
+// Authors and publishers (/authors, /publishers)
+const contributorName = z.string().trim().min(1, 'Name is required').max(200);
+
+const atLeastOneField = (schema) => schema.refine(
+  (data) => Object.values(data).some((value) => value !== undefined),
+  { message: 'At least one field to update is required' }
+);
+
+export const AuthorCreateSchema = z.object({
+  name: contributorName,
+  bio: z.string().trim().max(5000).optional()
+});
+
+export const AuthorUpdateSchema = atLeastOneField(z.object({
+  name: contributorName.optional(),
+  bio: z.string().trim().max(5000).nullable().optional()
+}));
+
+export const PublisherCreateSchema = z.object({
+  name: contributorName,
+  website: z.string().trim().url('Invalid URL').max(2048).optional()
+});
+
+export const PublisherUpdateSchema = atLeastOneField(z.object({
+  name: contributorName.optional(),
+  website: z.string().trim().url('Invalid URL').max(2048).nullable().optional()
+}));
+
+// Tags (/tags, /books/:id/tags)
+export const MAX_TAGS_PER_REQUEST = 50;
+
+const tagName = z.string().trim().min(1, 'Name is required').max(100);
+
+export const TagCreateSchema = z.object({
+  name: tagName,
+  description: z.string().trim().max(1000).optional()
+});
+
+export const TagUpdateSchema = atLeastOneField(z.object({
+  name: tagName.optional(),
+  description: z.string().trim().max(1000).nullable().optional()
+}));
+
+export const BookTagsSchema = z.object({
+  tags: z.array(tagName).min(1, 'At least one tag is required').max(MAX_TAGS_PER_REQUEST)
+});
+
+export const BookTagParamSchema = z.object({
+  id: z.string().min(1, 'ID is required'),
+  tag: z.string().min(1, 'Tag is required')
+});
+
+export const ContributorQuerySchema = z.object({
+  page: z.coerce.number().int().positive().default(1),
+  limit: z.coerce.number().int().positive().max(100).default(20),
+  // Name prefix; case, spaces and punctuation are ignored
+  q: z.string().trim().max(200).optional(),
+  sort_by: z.enum(['name', 'created_at', 'book_count']).default('name'),
+  sort_order: z.enum(['asc', 'desc']).default('asc')
+});
+
+// Workspaces (/workspaces) and their members
+const workspaceName = z.string().trim().min(1, 'Name is required').max(100);
+const workspaceRole = z.enum(Object.values(WorkspaceRole));
+
+export const WorkspaceCreateSchema = z.object({
+  name: workspaceName
+});
+
+export const WorkspaceUpdateSchema = z.object({
+  name: workspaceName
+});
+
+// A member is added by user id or email
+export const WorkspaceMemberCreateSchema = z.object({
+  user_id: z.string().min(1).optional(),
+  email: z.string().trim().toLowerCase().min(1).optional(),
+  role: workspaceRole.default(WorkspaceRole.VIEWER)
+}).refine((data) => Boolean(data.user_id) !== Boolean(data.email), {
+  message: 'Exactly one of user_id or email is required'
+});
+
+export const WorkspaceMemberUpdateSchema = z.object({
+  role: workspaceRole
+});
+
+export const WorkspaceMemberParamSchema = z.object({
+  id: z.string().min(1, 'ID is required'),
+  userId: z.string().min(1, 'User ID is required')
+});
+
+// Response schemas. Unset book fields come back as null.
 export const BookResponseSchema = BookSchema.extend({
   id: z.string(),
+  workspace_id: z.string(),
+  author: z.string(),
+  author_id: z.string().nullable(),
+  description: z.string().nullable(),
+  published_date: z.string().nullable(),
+  isbn: z.string().nullable(),
+  pages: z.number().int().nullable(),
+  language: z.string().nullable(),
+  genre: z.string().nullable(),
+  publisher: z.string().nullable(),
+  publisher_id: z.string().nullable(),
+  price: z.number().int().nullable(),
+  currency: z.string().nullable(),
+  // Only with ?currency=; null when the book has no price
+  converted_price: z.object({
+    amount: z.number().int(),
+    currency: z.string(),
+    rate: z.number(),
+    rate_date: z.string()
+  }).nullable().optional(),
   created_at: z.string(),
-  updated_at: z.string()
+  updated_at: z.string(),
+  version: z.number().int(),
+  deleted_at: z.string().nullable()
+});
+
+// Offset pages carry page/total_pages (and total unless include_total=false);
+// cursor pages carry next_cursor/prev_cursor
+export const PaginationSchema = z.object({
+  page: z.number().optional(),
+  limit: z.number(),
+  total: z.number().optional(),
+  total_pages: z.number().optional(),
+  has_more: z.boolean(),
+  next_cursor: z.string().nullable(),
+  prev_cursor: z.string().nullable()
 });
 
+// Envelope of every successful JSON response
+export const successResponse = (data) => z.object({
+  success: z.literal(true),
+  message: z.string(),
+  data,
+  status: z.number().int().optional()
+});
+
+export const BookDetailResponseSchema = successResponse(BookResponseSchema);
+
 export const BookListResponseSchema = z.object({
   success: z.boolean(),
   message: z.string(),
   data: z.array(BookResponseSchema),
-  pagination: z.object({
-    page: z.number(),
-    limit: z.number(),
-    total: z.number(),
-    total_pages: z.number()
-  })
+  pagination: PaginationSchema
+});
+
+// Every error response; rejected batches also list the failing items
+export const ErrorResponseSchema = z.object({
+  success: z.literal(false),
+  error: z.string(),
+  code: z.string(),
+  status: z.number().int().optional(),
+  requestId: z.string().optional(),
+  errors: z.array(z.record(z.unknown())).optional()
 });
 
 // Runtime type exports
@@ -59,13 +551,88 @@ export const validateBook = (data) => BookSchema.parse(data);
 export const validateBookQuery = (data) => BookQuerySchema.parse(data);
 export const validateIdParam = (data) => IdParamSchema.parse(data);
 
+// Split batch items into { index, value } entries and per-index errors
+export const validateBatchItems = (schema, items) => {
+  const valid = [];
+  const errors = [];
+
+  items.forEach((item, index) => {
+    const result = schema.safeParse(item);
+
+    if (result.success) {
+      valid.push({ index, value: result.data });
+    } else {
+      errors.push({
+        index,
+        code: 'VALIDATION_ERROR',
+        error: result.error.errors[0]?.message || 'Validation failed',
+        fields: result.error.errors.map((issue) => ({
+          path: issue.path.join('.'),
+          message: issue.message
+        }))
+      });
+    }
+  });
+
+  return { valid, errors };
+};
+
 export default {
   BookSchema,
+  BookFieldsQuerySchema,
+  BookWriteSchema,
+  BookReplaceSchema,
+  BookPatchSchema,
   BookQuerySchema,
+  BookStatsQuerySchema,
+  BookSearchSchema,
+  BookTrashQuerySchema,
+  BookHistoryQuerySchema,
   IdParamSchema,
+  RevisionParamSchema,
   BookResponseSchema,
+  BookDetailResponseSchema,
   BookListResponseSchema,
+  PaginationSchema,
+  ErrorResponseSchema,
+  successResponse,
+  RegisterSchema,
+  LoginSchema,
+  RefreshTokenSchema,
+  LogoutSchema,
+  ApiKeyCreateSchema,
+  WebhookCreateSchema,
+  WebhookUpdateSchema,
+  WebhookDeliveryQuerySchema,
+  WebhookDeliveryParamSchema,
+  AuthorCreateSchema,
+  AuthorUpdateSchema,
+  PublisherCreateSchema,
+  PublisherUpdateSchema,
+  ContributorQuerySchema,
+  WorkspaceCreateSchema,
+  WorkspaceUpdateSchema,
+  WorkspaceMemberCreateSchema,
+  WorkspaceMemberUpdateSchema,
+  WorkspaceMemberParamSchema,
+  TagCreateSchema,
+  TagUpdateSchema,
+  BookTagsSchema,
+  BookTagParamSchema,
+  IsbnParamSchema,
+  PriceCurrencyQuerySchema,
+  ExchangeRatesUpdateSchema,
+  CurrencyParamSchema,
+  BatchModeSchema,
+  BookBatchCreateSchema,
+  BookBatchUpdateSchema,
+  BookBatchDeleteSchema,
+  BookBatchUpdateItemSchema,
+  BookBatchDeleteItemSchema,
+  BookImportQuerySchema,
+  BookImportRowSchema,
   validateBook,
   validateBookQuery,
-  validateIdParam
+  validateIdParam,
+  validateBatchItems
 };
\ No newline at end of file
@@ -0,0 +1,107 @@
+const encoder = new TextEncoder();
+
+// Workers caps PBKDF2 at 100k iterations
+const PBKDF2_ITERATIONS = 100000;
+const PBKDF2_HASH = 'SHA-256';
+const SALT_BYTES = 16;
+const KEY_BITS = 256;
+
+const toBase64Url = (bytes) => {
+  const binary = String.fromCharCode(...new Uint8Array(bytes));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), (char) => char.charCodeAt(0));
+};
+
+const toHex = (bytes) =>
+  [...new Uint8Array(bytes)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+
+const deriveBits = async (password, salt, iterations) => {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+
+  return crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: PBKDF2_HASH, salt, iterations },
+    keyMaterial,
+    KEY_BITS
+  );
+};
+
+export class CryptoUtils {
+  static toBase64Url(bytes) {
+    return toBase64Url(bytes);
+  }
+
+  static fromBase64Url(value) {
+    return fromBase64Url(value);
+  }
+
+  static randomToken(bytes = 32) {
+    return toBase64Url(crypto.getRandomValues(new Uint8Array(bytes)));
+  }
+
+  static async sha256(value) {
+    return toHex(await crypto.subtle.digest('SHA-256', encoder.encode(value)));
+  }
+
+  // Hex HMAC-SHA256 of message under secret
+  static async hmacSha256(secret, message) {
+    const key = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    return toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(message)));
+  }
+
+  // Constant-time comparison of two strings
+  static timingSafeEqual(a, b) {
+    const left = encoder.encode(a);
+    const right = encoder.encode(b);
+    let diff = left.length ^ right.length;
+
+    for (let i = 0; i < left.length; i++) {
+      diff |= left[i] ^ (right[i % right.length] || 0);
+    }
+
+    return diff === 0;
+  }
+
+  // Hash a password as "pbkdf2$<hash>$<iterations>$<salt>$<key>"
+  static async hashPassword(password) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const key = await deriveBits(password, salt, PBKDF2_ITERATIONS);
+
+    return [
+      'pbkdf2',
+      PBKDF2_HASH.toLowerCase(),
+      PBKDF2_ITERATIONS,
+      toBase64Url(salt),
+      toBase64Url(key)
+    ].join('$');
+  }
+
+  static async verifyPassword(password, storedHash) {
+    const [scheme, , iterations, salt, key] = (storedHash || '').split('$');
+
+    if (scheme !== 'pbkdf2' || !iterations || !salt || !key) {
+      return false;
+    }
+
+    const derived = await deriveBits(password, fromBase64Url(salt), parseInt(iterations));
+    return CryptoUtils.timingSafeEqual(toBase64Url(derived), key);
+  }
+}
+
+export default CryptoUtils;
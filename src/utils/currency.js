@@ -0,0 +1,35 @@
+// ISO 4217 currencies. Prices are integer amounts in a currency's minor unit
+// (cents for USD, yen for JPY, fils for KWD). Exchange rates are stored as
+// units of a currency per unit of BASE_CURRENCY.
+
+const CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+export class CurrencyUtils {
+  static BASE_CURRENCY = 'USD';
+
+  static isValid(code) {
+    return CURRENCIES.has(code);
+  }
+
+  // Digits after the decimal point: 2 for USD, 0 for JPY, 3 for KWD
+  static minorUnits(code) {
+    return new Intl.NumberFormat('en', { style: 'currency', currency: code })
+      .resolvedOptions()
+      .maximumFractionDigits;
+  }
+
+  // Converting between two exchange_rates rows: rate is target units per
+  // source unit, factor turns a source minor-unit amount into target minor
+  // units, and rate_date is the older of the two rates' dates
+  static conversion(source, target) {
+    const rate = target.rate / source.rate;
+
+    return {
+      rate: Number(rate.toPrecision(10)),
+      factor: rate * 10 ** (CurrencyUtils.minorUnits(target.currency) - CurrencyUtils.minorUnits(source.currency)),
+      rate_date: source.rate_date < target.rate_date ? source.rate_date : target.rate_date
+    };
+  }
+}
+
+export default CurrencyUtils;
@@ -0,0 +1,289 @@
+import { ValidationError } from '../types/index.js';
+
+// Book fields an import row may set
+export const IMPORT_FIELDS = [
+  'title', 'author', 'author_id', 'description', 'status', 'published_date', 'isbn',
+  'pages', 'language', 'genre', 'publisher', 'publisher_id', 'price', 'currency'
+];
+
+// Common spreadsheet headers (normalized) and the field they map to
+const HEADER_ALIASES = {
+  book_title: 'title',
+  name: 'title',
+  author_name: 'author',
+  writer: 'author',
+  summary: 'description',
+  published: 'published_date',
+  publication_date: 'published_date',
+  date_published: 'published_date',
+  isbn10: 'isbn',
+  isbn13: 'isbn',
+  isbn_10: 'isbn',
+  isbn_13: 'isbn',
+  page_count: 'pages',
+  num_pages: 'pages',
+  lang: 'language',
+  category: 'genre',
+  cost: 'price',
+  currency_code: 'currency'
+};
+
+// CSV cells are strings; these fields are numbers in BookSchema
+const NUMERIC_FIELDS = ['pages', 'price'];
+
+const normalizeHeader = (header) => header
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_|_$/g, '');
+
+// Incremental RFC 4180 parser: feed it text as it arrives and it returns the
+// records completed so far. Quoted fields may contain commas, "" and newlines.
+class CsvParser {
+  constructor() {
+    this.field = '';
+    this.record = [];
+    this.quoted = false;
+    this.pendingQuote = false;
+    this.pendingCr = false;
+  }
+
+  push(text) {
+    const records = [];
+
+    for (const char of text) {
+      if (this.pendingCr) {
+        this.pendingCr = false;
+        if (char === '\n') {
+          continue;
+        }
+      }
+
+      if (this.quoted) {
+        if (this.pendingQuote) {
+          this.pendingQuote = false;
+          if (char === '"') {
+            this.field += '"';
+            continue;
+          }
+          this.quoted = false;
+        } else if (char === '"') {
+          this.pendingQuote = true;
+          continue;
+        } else {
+          this.field += char;
+          continue;
+        }
+      }
+
+      if (char === '"' && this.field === '') {
+        this.quoted = true;
+      } else if (char === ',') {
+        this.record.push(this.field);
+        this.field = '';
+      } else if (char === '\n' || char === '\r') {
+        this.pendingCr = char === '\r';
+        records.push(this.endRecord());
+      } else {
+        this.field += char;
+      }
+    }
+
+    return records;
+  }
+
+  finish() {
+    if (this.quoted && !this.pendingQuote) {
+      throw new ValidationError('CSV ends inside a quoted field');
+    }
+
+    return this.field !== '' || this.record.length > 0 ? [this.endRecord()] : [];
+  }
+
+  endRecord() {
+    const record = [...this.record, this.field];
+    this.record = [];
+    this.field = '';
+    this.quoted = false;
+    this.pendingQuote = false;
+    return record;
+  }
+}
+
+export class ImportUtils {
+  // Decode a byte stream into text chunks, refusing bodies over maxBytes
+  static async *readText(stream, maxBytes) {
+    const reader = stream.getReader();
+    const decoder = new TextDecoder();
+    let bytes = 0;
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+
+        if (done) {
+          break;
+        }
+
+        bytes += value.byteLength;
+        if (bytes > maxBytes) {
+          throw new ValidationError(`Import body cannot be larger than ${maxBytes} bytes`);
+        }
+
+        yield decoder.decode(value, { stream: true });
+      }
+
+      const rest = decoder.decode();
+      if (rest) {
+        yield rest;
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  // Parse "Source Column:field,Other:field" into { normalized header: field }
+  static parseMapping(mapping) {
+    const result = {};
+
+    if (!mapping) {
+      return result;
+    }
+
+    for (const pair of mapping.split(',')) {
+      const separator = pair.lastIndexOf(':');
+      const header = normalizeHeader(pair.slice(0, separator));
+      const field = pair.slice(separator + 1).trim();
+
+      if (separator === -1 || !header || !IMPORT_FIELDS.includes(field)) {
+        throw new ValidationError(`Invalid mapping "${pair.trim()}"; expected "Column:field" with field one of ${IMPORT_FIELDS.join(', ')}`);
+      }
+
+      result[header] = field;
+    }
+
+    return result;
+  }
+
+  // Field for each CSV column (null for columns that are ignored)
+  static mapHeader(headers, mapping = {}) {
+    const columns = headers.map((header) => {
+      const normalized = normalizeHeader(header);
+      const field = mapping[normalized] || HEADER_ALIASES[normalized] || normalized;
+      return IMPORT_FIELDS.includes(field) ? field : null;
+    });
+
+    const mapped = columns.filter(Boolean);
+    const duplicate = mapped.find((field, index) => mapped.indexOf(field) !== index);
+
+    if (duplicate) {
+      throw new ValidationError(`More than one CSV column maps to "${duplicate}"`);
+    }
+
+    for (const required of ['title', 'author']) {
+      if (!mapped.includes(required)) {
+        throw new ValidationError(`CSV header has no column for "${required}"`);
+      }
+    }
+
+    return columns;
+  }
+
+  // Turn a CSV record into book input. Empty cells are left out and numeric
+  // cells become numbers so BookSchema sees the same types as JSON input.
+  static csvRecordToBook(record, columns) {
+    const book = {};
+
+    columns.forEach((field, position) => {
+      const value = record[position]?.trim();
+
+      if (!field || value === undefined || value === '') {
+        return;
+      }
+
+      book[field] = NUMERIC_FIELDS.includes(field) && !Number.isNaN(Number(value))
+        ? Number(value)
+        : value;
+    });
+
+    return book;
+  }
+
+  // Yield { row, data } or { row, error } for each CSV data record. Rows are
+  // numbered from 1, not counting the header; blank lines are skipped.
+  static async *parseCsv(chunks, { mapping = {}, onHeader } = {}) {
+    const parser = new CsvParser();
+    let columns = null;
+    let row = 0;
+
+    const handle = function* (records) {
+      for (const record of records) {
+        if (record.length === 1 && record[0].trim() === '') {
+          continue;
+        }
+
+        if (!columns) {
+          // Drop a UTF-8 byte order mark left by spreadsheet exports
+          record[0] = record[0].replace(/^\uFEFF/, '');
+          columns = ImportUtils.mapHeader(record, mapping);
+          onHeader?.(record, columns);
+          continue;
+        }
+
+        row += 1;
+        if (record.length > columns.length) {
+          yield { row, error: `Row has ${record.length} columns but the header has ${columns.length}` };
+        } else {
+          yield { row, data: ImportUtils.csvRecordToBook(record, columns) };
+        }
+      }
+    };
+
+    for await (const chunk of chunks) {
+      yield* handle(parser.push(chunk));
+    }
+    yield* handle(parser.finish());
+
+    if (!columns) {
+      throw new ValidationError('CSV has no header row');
+    }
+  }
+
+  // Yield { row, data } or { row, error } for each non-blank NDJSON line
+  static async *parseNdjson(chunks) {
+    let buffer = '';
+    let row = 0;
+
+    const handle = function* (line) {
+      if (line.trim() === '') {
+        return;
+      }
+
+      row += 1;
+      try {
+        const data = JSON.parse(line);
+
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+          yield { row, error: 'Line is not a JSON object' };
+        } else {
+          yield { row, data };
+        }
+      } catch (error) {
+        yield { row, error: `Invalid JSON: ${error.message}` };
+      }
+    };
+
+    for await (const chunk of chunks) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        yield* handle(line);
+      }
+    }
+    yield* handle(buffer);
+  }
+}
+
+export default ImportUtils;
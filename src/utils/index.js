@@ -1,3 +1,6 @@
+import { DatabaseError, ValidationError } from '../types/index.js';
+import { CryptoUtils } from './crypto.js';
+
 // Performance monitoring
 export class Performance {
   static startTimer() {
@@ -129,6 +132,25 @@ export class DatabaseUtils {
       throw new DatabaseError(`Database operation failed: ${error.message}`);
     }
   }
+
+  // Run prepared statements in a single implicit transaction
+  static async executeBatch(db, statements) {
+    try {
+      const startTime = Performance.startTimer();
+      const results = await db.batch(statements);
+      const duration = Performance.getDuration(startTime);
+      
+      Logger.info('Database batch executed', {
+        statements: statements.length,
+        duration: Performance.formatDuration(duration)
+      });
+      
+      return results;
+    } catch (error) {
+      Logger.error('Database batch failed', error, { statements: statements.length });
+      throw new DatabaseError(`Database operation failed: ${error.message}`);
+    }
+  }
 }
 
 // General utilities
@@ -155,6 +177,19 @@ export class Utils {
     return emailRegex.test(email);
   }
 
+  // Let work finish after the response when running on Workers
+  static runInBackground(c, promise) {
+    const task = promise.catch((error) => {
+      Logger.warn('Background task failed', { error: error.message });
+    });
+
+    try {
+      c.executionCtx.waitUntil(task);
+    } catch {
+      // No execution context outside of Workers; the task still runs
+    }
+  }
+
   static async withTimeout(promise, timeoutMs = 30000) {
     const timeoutPromise = new Promise((_, reject) => {
       setTimeout(() => reject(new Error('Operation timeout')), timeoutMs);
@@ -164,6 +199,156 @@ export class Utils {
   }
 }
 
+// Cursor (keyset) pagination helpers
+export class PaginationUtils {
+  // Opaque cursor: the sort name/order it was issued for, the sort value and
+  // id of the boundary row, and whether it points forwards or backwards
+  static encodeCursor(sort, row, direction) {
+    const payload = {
+      s: sort.name,
+      o: sort.direction,
+      v: row[sort.key] ?? null,
+      id: row.id,
+      d: direction
+    };
+    return CryptoUtils.toBase64Url(new TextEncoder().encode(JSON.stringify(payload)));
+  }
+
+  static decodeCursor(cursor, sort) {
+    let payload;
+
+    try {
+      payload = JSON.parse(new TextDecoder().decode(CryptoUtils.fromBase64Url(cursor)));
+    } catch {
+      throw new ValidationError('Invalid cursor');
+    }
+
+    if (!payload || typeof payload.id !== 'string' || !['next', 'prev'].includes(payload.d)) {
+      throw new ValidationError('Invalid cursor');
+    }
+
+    // The sort value is bound into the keyset condition as is
+    const { v: value } = payload;
+    if (value !== null && typeof value !== 'string' && !Number.isFinite(value)) {
+      throw new ValidationError('Invalid cursor');
+    }
+
+    if (payload.s !== sort.name || payload.o !== sort.direction) {
+      throw new ValidationError('Cursor does not match the requested sort order');
+    }
+
+    return { value, id: payload.id, direction: payload.d };
+  }
+
+  // Rows strictly after (value, id) when scanning ORDER BY expression, id in
+  // the given direction. SQLite sorts NULLs first ascending and last descending.
+  static keysetCondition(expression, scanDirection, value, id, idColumn = 'id') {
+    if (scanDirection === 'ASC') {
+      return value === null
+        ? { condition: `((${expression} IS NULL AND ${idColumn} > ?) OR ${expression} IS NOT NULL)`, params: [id] }
+        : { condition: `(${expression} > ? OR (${expression} = ? AND ${idColumn} > ?))`, params: [value, value, id] };
+    }
+
+    return value === null
+      ? { condition: `(${expression} IS NULL AND ${idColumn} < ?)`, params: [id] }
+      : {
+        condition: `(${expression} < ? OR (${expression} = ? AND ${idColumn} < ?) OR ${expression} IS NULL)`,
+        params: [value, value, id]
+      };
+  }
+}
+
+// Conditional request helpers (ETag / If-Match / If-None-Match)
+export class HttpUtils {
+  // Strong ETag of a single book: its row version. A converted price also
+  // depends on the exchange rate, so such a response gets a weak ETag, which
+  // If-Match does not accept.
+  static bookEtag(book) {
+    if (book.converted_price !== undefined) {
+      const { amount = '', currency = '', rate = '' } = book.converted_price || {};
+      return `W/"${book.version}-${currency}-${amount}-${rate}"`;
+    }
+
+    return `"${book.version}"`;
+  }
+
+  // Weak ETag of a list response, derived from the ids and versions it
+  // contains (and converted prices, which change with exchange rates)
+  static async listEtag(books, extra = {}) {
+    const fingerprint = JSON.stringify({
+      items: books.map((book) => (
+        book.converted_price === undefined
+          ? `${book.id}:${book.version}`
+          : `${book.id}:${book.version}:${book.converted_price?.amount}:${book.converted_price?.rate}`
+      )),
+      ...extra
+    });
+    const hash = await CryptoUtils.sha256(fingerprint);
+    return `W/"${hash.substring(0, 32)}"`;
+  }
+
+  static parseEtags(header) {
+    return (header || '')
+      .split(',')
+      .map((value) => value.trim())
+      .filter(Boolean);
+  }
+
+  // Weak comparison, as If-None-Match requires
+  static matchesIfNoneMatch(header, etag) {
+    const opaque = (value) => value.replace(/^W\//, '');
+    return HttpUtils.parseEtags(header).some(
+      (candidate) => candidate === '*' || opaque(candidate) === opaque(etag)
+    );
+  }
+
+  // Expected book version from an If-Match header: a number, '*' for any
+  // version, or null when the header is absent or names no book version
+  static parseIfMatchVersion(header) {
+    const etags = HttpUtils.parseEtags(header);
+
+    if (etags.includes('*')) {
+      return '*';
+    }
+
+    for (const etag of etags) {
+      const match = /^"(\d+)"$/.exec(etag);
+      if (match) {
+        return parseInt(match[1]);
+      }
+    }
+
+    return null;
+  }
+
+  // Group bracketed query keys ("price[gte]=10") into nested objects
+  // ({ price: { gte: '10' } }). Other keys are left as they are.
+  static groupQueryParams(query) {
+    const grouped = {};
+
+    for (const [key, value] of Object.entries(query)) {
+      const match = /^([^[\]]+)\[([^[\]]+)\]$/.exec(key);
+
+      if (!match) {
+        if (typeof grouped[key] === 'object') {
+          throw new ValidationError(`Use either ${key} or ${key}[...], not both`);
+        }
+        grouped[key] = value;
+        continue;
+      }
+
+      const [, name, operator] = match;
+
+      if (typeof grouped[name] === 'string') {
+        throw new ValidationError(`Use either ${name} or ${name}[...], not both`);
+      }
+      grouped[name] = { ...grouped[name], [operator]: value };
+    }
+
+    return grouped;
+  }
+}
+
 // Cache utilities
 export class CacheUtils {
   static getCacheKey(prefix, identifier) {
@@ -200,6 +385,47 @@ export class CacheUtils {
     }
   }
 
+  // Generation tags for book data: list/search/stats pages depend on their
+  // workspace's books tag, a single book's page on its own tag
+  static booksTag(workspaceId) {
+    return `books:${workspaceId}`;
+  }
+
+  static bookTag(id) {
+    return `book:${id}`;
+  }
+
+  // Responses with converted prices also depend on the exchange rates
+  static EXCHANGE_RATES_TAG = 'exchange-rates';
+
+  // Current generation of each tag, folded into cache keys so that bumping a
+  // tag makes every entry built on it unreachable
+  static async getGenerations(cache, tags) {
+    try {
+      const generations = await Promise.all(
+        tags.map((tag) => cache.get(CacheUtils.getCacheKey('gen', tag)))
+      );
+      return generations.map((generation) => generation || '0').join('.');
+    } catch (error) {
+      Logger.warn('Cache generation lookup failed', { tags, error: error.message });
+      return null;
+    }
+  }
+
+  static async bumpGenerations(cache, tags) {
+    const generation = `${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`;
+
+    try {
+      await Promise.all(
+        tags.map((tag) => cache.put(CacheUtils.getCacheKey('gen', tag), generation))
+      );
+      return true;
+    } catch (error) {
+      Logger.warn('Cache generation bump failed', { tags, error: error.message });
+      return false;
+    }
+  }
+
   static async clear(cache, pattern) {
     try {
       const list = await cache.list({ prefix: pattern });
@@ -219,5 +445,7 @@ export default {
   Logger,
   DatabaseUtils,
   Utils,
+  PaginationUtils,
+  HttpUtils,
   CacheUtils
 };
\ No newline at end of file
@@ -0,0 +1,65 @@
+// ISBN-10 and ISBN-13 checks. Books store the canonical ISBN-13: digits only,
+// no hyphens or spaces. An ISBN-13 with the 978 prefix has an ISBN-10 form.
+
+const digitsOf = (value) => [...value].map((char) => (char === 'X' ? 10 : Number(char)));
+
+export class IsbnUtils {
+  // Hyphens and spaces removed, a trailing x uppercased
+  static clean(value) {
+    return String(value).replace(/[\s-]/g, '').toUpperCase();
+  }
+
+  static isValid10(value) {
+    if (!/^\d{9}[\dX]$/.test(value)) {
+      return false;
+    }
+
+    const sum = digitsOf(value).reduce((total, digit, index) => total + digit * (10 - index), 0);
+    return sum % 11 === 0;
+  }
+
+  static isValid13(value) {
+    if (!/^97[89]\d{10}$/.test(value)) {
+      return false;
+    }
+
+    return IsbnUtils.checkDigit13(value.slice(0, 12)) === value[12];
+  }
+
+  // Check digit for the first 12 digits of an ISBN-13
+  static checkDigit13(first12) {
+    const sum = digitsOf(first12).reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 1 : 3), 0);
+    return String((10 - (sum % 10)) % 10);
+  }
+
+  // Canonical ISBN-13 for an ISBN-10 or ISBN-13 in any common formatting, or
+  // null when it is not a valid ISBN
+  static normalize(value) {
+    const isbn = IsbnUtils.clean(value);
+
+    if (IsbnUtils.isValid13(isbn)) {
+      return isbn;
+    }
+
+    if (IsbnUtils.isValid10(isbn)) {
+      const first12 = `978${isbn.slice(0, 9)}`;
+      return `${first12}${IsbnUtils.checkDigit13(first12)}`;
+    }
+
+    return null;
+  }
+
+  // ISBN-10 form of a canonical ISBN-13, or null for 979 ISBNs (which have none)
+  static toIsbn10(isbn13) {
+    if (!IsbnUtils.isValid13(isbn13) || !isbn13.startsWith('978')) {
+      return null;
+    }
+
+    const first9 = isbn13.slice(3, 12);
+    const sum = digitsOf(first9).reduce((total, digit, index) => total + digit * (10 - index), 0);
+    const check = (11 - (sum % 11)) % 11;
+    return `${first9}${check === 10 ? 'X' : check}`;
+  }
+}
+
+export default IsbnUtils;
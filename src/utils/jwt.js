@@ -0,0 +1,232 @@
+import { AuthenticationError, ServiceUnavailableError } from '../types/index.js';
+import { CryptoUtils } from './crypto.js';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// WebCrypto parameters for the supported signing algorithms
+const ALGORITHMS = {
+  HS256: { name: 'HMAC', hash: 'SHA-256' },
+  RS256: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }
+};
+
+// Allowed clock difference when checking exp/nbf
+const CLOCK_SKEW_SECONDS = 30;
+
+// JWKS documents fetched from JWT_JWKS_URL, cached per isolate
+const JWKS_CACHE_TTL = 10 * 60 * 1000;
+const jwksCache = new Map();
+
+// Header and payload must each decode to a JSON object
+const parseSegment = (segment) => {
+  let value;
+
+  try {
+    value = JSON.parse(decoder.decode(CryptoUtils.fromBase64Url(segment)));
+  } catch {
+    throw new AuthenticationError('Malformed token');
+  }
+
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new AuthenticationError('Malformed token');
+  }
+
+  return value;
+};
+
+// Keys that cannot be loaded are the server's problem, not the token's
+const jwksUnavailable = () => new ServiceUnavailableError('Token signing keys are unavailable', 'JWKS_UNAVAILABLE');
+
+const parseJwks = (value) => {
+  let jwks;
+
+  try {
+    jwks = typeof value === 'string' ? JSON.parse(value) : value;
+  } catch {
+    throw jwksUnavailable();
+  }
+
+  if (!jwks || !Array.isArray(jwks.keys)) {
+    throw jwksUnavailable();
+  }
+
+  return jwks;
+};
+
+const loadJwks = async (env) => {
+  if (env.JWT_JWKS) {
+    return parseJwks(env.JWT_JWKS);
+  }
+
+  const url = env.JWT_JWKS_URL;
+  const cached = jwksCache.get(url);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.jwks;
+  }
+
+  let response;
+  try {
+    response = await fetch(url);
+  } catch {
+    throw jwksUnavailable();
+  }
+
+  if (!response.ok) {
+    throw jwksUnavailable();
+  }
+
+  const jwks = parseJwks(await response.json().catch(() => null));
+  jwksCache.set(url, { jwks, expiresAt: Date.now() + JWKS_CACHE_TTL });
+  return jwks;
+};
+
+export class JwtUtils {
+  // Algorithms that can be verified with the current env configuration
+  static allowedAlgorithms(env = {}) {
+    const algorithms = [];
+    if (env.JWT_SECRET) algorithms.push('HS256');
+    if (env.JWT_JWKS || env.JWT_JWKS_URL) algorithms.push('RS256');
+    return algorithms;
+  }
+
+  static decode(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3 || parts.some((part) => part.length === 0)) {
+      throw new AuthenticationError('Malformed token');
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+
+    let signature;
+    try {
+      signature = CryptoUtils.fromBase64Url(encodedSignature);
+    } catch {
+      throw new AuthenticationError('Malformed token');
+    }
+
+    return {
+      header: parseSegment(encodedHeader),
+      payload: parseSegment(encodedPayload),
+      signature,
+      signingInput: `${encodedHeader}.${encodedPayload}`
+    };
+  }
+
+  static async getVerificationKey(header, env) {
+    if (header.alg === 'HS256') {
+      return crypto.subtle.importKey(
+        'raw',
+        encoder.encode(env.JWT_SECRET),
+        ALGORITHMS.HS256,
+        false,
+        ['verify']
+      );
+    }
+
+    const jwks = await loadJwks(env);
+    const jwk = jwks.keys.find((key) =>
+      key.kty === 'RSA' &&
+      (!key.use || key.use === 'sig') &&
+      (!header.kid || key.kid === header.kid)
+    );
+
+    if (!jwk) {
+      throw new AuthenticationError('No matching signing key');
+    }
+
+    try {
+      return await crypto.subtle.importKey('jwk', jwk, ALGORITHMS.RS256, false, ['verify']);
+    } catch {
+      throw jwksUnavailable();
+    }
+  }
+
+  static validateClaims(payload, env = {}) {
+    const now = Math.floor(Date.now() / 1000);
+
+    if (typeof payload.exp !== 'number') {
+      throw new AuthenticationError('Token expiration is required');
+    }
+
+    if (payload.exp <= now - CLOCK_SKEW_SECONDS) {
+      throw new AuthenticationError('Token has expired');
+    }
+
+    if (typeof payload.nbf === 'number' && payload.nbf > now + CLOCK_SKEW_SECONDS) {
+      throw new AuthenticationError('Token is not yet valid');
+    }
+
+    if (env.JWT_ISSUER && payload.iss !== env.JWT_ISSUER) {
+      throw new AuthenticationError('Invalid token issuer');
+    }
+
+    if (env.JWT_AUDIENCE) {
+      const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+      if (!audiences.includes(env.JWT_AUDIENCE)) {
+        throw new AuthenticationError('Invalid token audience');
+      }
+    }
+
+    if (!payload.sub) {
+      throw new AuthenticationError('Token subject is required');
+    }
+  }
+
+  // Issue an HS256 token; iat/exp/iss/aud are filled in from env
+  static async sign(claims, env = {}, expiresInSeconds = 900) {
+    if (!env.JWT_SECRET) {
+      throw new Error('JWT_SECRET is required to issue tokens');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+      ...(env.JWT_ISSUER && { iss: env.JWT_ISSUER }),
+      ...(env.JWT_AUDIENCE && { aud: env.JWT_AUDIENCE }),
+      iat: now,
+      exp: now + expiresInSeconds,
+      ...claims
+    };
+
+    const encodeSegment = (value) => CryptoUtils.toBase64Url(encoder.encode(JSON.stringify(value)));
+    const signingInput = `${encodeSegment({ alg: 'HS256', typ: 'JWT' })}.${encodeSegment(payload)}`;
+
+    const key = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(env.JWT_SECRET),
+      ALGORITHMS.HS256,
+      false,
+      ['sign']
+    );
+    const signature = await crypto.subtle.sign(ALGORITHMS.HS256, key, encoder.encode(signingInput));
+
+    return `${signingInput}.${CryptoUtils.toBase64Url(signature)}`;
+  }
+
+  // Verify signature and registered claims, returning the payload
+  static async verify(token, env = {}) {
+    const { header, payload, signature, signingInput } = JwtUtils.decode(token);
+
+    // Only accept algorithms we hold keys for, which rules out "none"
+    // and HS256/RS256 confusion
+    if (!JwtUtils.allowedAlgorithms(env).includes(header.alg)) {
+      throw new AuthenticationError('Unsupported token algorithm');
+    }
+
+    const key = await JwtUtils.getVerificationKey(header, env);
+    const valid = await crypto.subtle.verify(
+      ALGORITHMS[header.alg],
+      key,
+      signature,
+      encoder.encode(signingInput)
+    );
+
+    if (!valid) {
+      throw new AuthenticationError('Invalid token signature');
+    }
+
+    JwtUtils.validateClaims(payload, env);
+    return payload;
+  }
+}
+
+export default JwtUtils;
@@ -0,0 +1,433 @@
+import { z } from 'zod';
+import { ErrorResponseSchema, successResponse } from '../types/schemas.js';
+
+// Success envelope for operations that do not describe their response
+const SuccessResponseSchema = successResponse(z.unknown());
+
+const COMPONENT_PREFIX = '#/components/schemas/';
+
+// Descriptions for the error statuses operations can return
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request',
+  401: 'Missing or invalid credentials',
+  403: 'Insufficient membership, scope or role',
+  404: 'Not found',
+  409: 'Conflict',
+  412: 'If-Match does not match the current version',
+  415: 'Unsupported content type',
+  422: 'Request cannot be processed',
+  428: 'If-Match header is required',
+  429: 'Rate limit exceeded',
+  500: 'Internal server error'
+};
+
+const nullable = (schema) => (
+  typeof schema.type === 'string'
+    ? { ...schema, type: [schema.type, 'null'] }
+    : { anyOf: [schema, { type: 'null' }] }
+);
+
+const stringSchema = (def) => {
+  const schema = { type: 'string' };
+
+  for (const check of def.checks) {
+    switch (check.kind) {
+      case 'min':
+        schema.minLength = check.value;
+        break;
+      case 'max':
+        schema.maxLength = check.value;
+        break;
+      case 'length':
+        schema.minLength = check.value;
+        schema.maxLength = check.value;
+        break;
+      case 'email':
+        schema.format = 'email';
+        break;
+      case 'url':
+        schema.format = 'uri';
+        break;
+      case 'uuid':
+        schema.format = 'uuid';
+        break;
+      case 'datetime':
+        schema.format = 'date-time';
+        break;
+      case 'regex':
+        schema.pattern = check.regex.source;
+        break;
+    }
+  }
+
+  return schema;
+};
+
+const numberSchema = (def) => {
+  const schema = { type: 'number' };
+
+  for (const check of def.checks) {
+    if (check.kind === 'int') {
+      schema.type = 'integer';
+    } else if (check.kind === 'min') {
+      schema[check.inclusive ? 'minimum' : 'exclusiveMinimum'] = check.value;
+    } else if (check.kind === 'max') {
+      schema[check.inclusive ? 'maximum' : 'exclusiveMaximum'] = check.value;
+    } else if (check.kind === 'multipleOf') {
+      schema.multipleOf = check.value;
+    }
+  }
+
+  return schema;
+};
+
+// Object schema underneath effects (refine, preprocess), or null
+const objectShape = (schema) => {
+  let current = schema;
+
+  while (current?._def.typeName === 'ZodEffects' || current?._def.typeName === 'ZodPipeline') {
+    current = current._def.schema || current._def.in;
+  }
+
+  return current?._def.typeName === 'ZodObject' ? current.shape : null;
+};
+
+// Hono path patterns (":id") as OpenAPI templates ("{id}")
+const toOpenApiPath = (path) => path.replace(/:(\w+)(\{[^}]*\})?\??/g, '{$1}');
+
+const pathParamNames = (path) => [...path.matchAll(/:(\w+)/g)].map((match) => match[1]);
+
+// Does a use() pattern such as "/books/*" cover this route path?
+const coversPath = (pattern, path) => {
+  if (pattern === '*' || pattern === '/*') {
+    return true;
+  }
+
+  if (pattern.endsWith('/*')) {
+    const prefix = pattern.slice(0, -2);
+    return path === prefix || path.startsWith(`${prefix}/`);
+  }
+
+  return pattern === path;
+};
+
+export class OpenApiUtils {
+  // JSON Schema (2020-12, as used by OpenAPI 3.1) for a Zod schema. Request
+  // schemas are described by their input: transforms and refinements are
+  // looked through. Schemas listed in refs become $refs to components.
+  static toJsonSchema(schema, refs = new Map(), { root = false } = {}) {
+    const name = refs.get(schema);
+
+    if (name && !root) {
+      return { $ref: `${COMPONENT_PREFIX}${name}` };
+    }
+
+    const convert = (inner) => OpenApiUtils.toJsonSchema(inner, refs);
+    const def = schema._def;
+    let result;
+
+    switch (def.typeName) {
+      case 'ZodString':
+        result = stringSchema(def);
+        break;
+      case 'ZodNumber':
+        result = numberSchema(def);
+        break;
+      case 'ZodBigInt':
+        result = { type: 'integer' };
+        break;
+      case 'ZodBoolean':
+        result = { type: 'boolean' };
+        break;
+      case 'ZodDate':
+        result = { type: 'string', format: 'date-time' };
+        break;
+      case 'ZodNull':
+        result = { type: 'null' };
+        break;
+      case 'ZodLiteral':
+        result = { type: typeof def.value, const: def.value };
+        break;
+      case 'ZodEnum':
+        result = { type: 'string', enum: [...def.values] };
+        break;
+      case 'ZodNativeEnum':
+        result = { enum: Object.values(def.values) };
+        break;
+      case 'ZodArray':
+        // Batch arrays accept unknown items and check them one by one
+        result = { type: 'array', items: convert(schema.itemSchema || def.type) };
+        if (def.minLength) {
+          result.minItems = def.minLength.value;
+        }
+        if (def.maxLength) {
+          result.maxItems = def.maxLength.value;
+        }
+        if (def.exactLength) {
+          result.minItems = def.exactLength.value;
+          result.maxItems = def.exactLength.value;
+        }
+        break;
+      case 'ZodObject': {
+        const shape = schema.shape;
+        const required = Object.keys(shape).filter((key) => !shape[key].isOptional());
+        result = {
+          type: 'object',
+          properties: Object.fromEntries(Object.entries(shape).map(([key, value]) => [key, convert(value)]))
+        };
+        if (required.length > 0) {
+          result.required = required;
+        }
+        if (def.unknownKeys === 'strict') {
+          result.additionalProperties = false;
+        }
+        break;
+      }
+      case 'ZodRecord':
+        result = { type: 'object', additionalProperties: convert(def.valueType) };
+        break;
+      case 'ZodUnion':
+      case 'ZodDiscriminatedUnion':
+        result = { anyOf: [...def.options.values()].map(convert) };
+        break;
+      case 'ZodIntersection':
+        result = { allOf: [convert(def.left), convert(def.right)] };
+        break;
+      case 'ZodOptional':
+        result = convert(def.innerType);
+        break;
+      case 'ZodNullable':
+        result = nullable(convert(def.innerType));
+        break;
+      case 'ZodDefault':
+        result = { ...convert(def.innerType), default: def.defaultValue() };
+        break;
+      case 'ZodEffects':
+        result = convert(def.schema);
+        break;
+      case 'ZodPipeline':
+        result = convert(def.in);
+        break;
+      case 'ZodBranded':
+        result = convert(def.type);
+        break;
+      case 'ZodCatch':
+      case 'ZodReadonly':
+        result = convert(def.innerType);
+        break;
+      case 'ZodLazy':
+        result = convert(def.getter());
+        break;
+      default:
+        // ZodAny, ZodUnknown and anything without a JSON Schema equivalent
+        result = {};
+    }
+
+    return schema.description ? { ...result, description: schema.description } : result;
+  }
+
+  // Query or path parameters described by an object schema
+  static parameters(schema, location, refs) {
+    const shape = objectShape(schema) || {};
+
+    return Object.entries(shape).map(([name, value]) => {
+      const schema = OpenApiUtils.toJsonSchema(value, refs);
+
+      return {
+        name,
+        in: location,
+        required: location === 'path' || !value.isOptional(),
+        // Object parameters are sent as name[key]=value
+        ...(schema.type === 'object' && { style: 'deepObject', explode: true }),
+        schema
+      };
+    });
+  }
+
+  // Build the OpenAPI document from a Hono route table (app.routes). What
+  // each operation accepts and enforces is read from the middleware on its
+  // route: validate() gives parameters and bodies, requireMembership(),
+  // requireScope(), requireRole() and requireWorkspaceRole() give security,
+  // resolveWorkspace() the workspace header, and describeRoute()
+  // adds summaries and response schemas. schemas maps component names to
+  // Zod schemas that should be referenced rather than inlined.
+  static generate(routes, { info, servers = [], schemas = {} } = {}) {
+    const named = { ...schemas, SuccessResponse: SuccessResponseSchema, ErrorResponse: ErrorResponseSchema };
+    const refs = new Map(Object.entries(named).map(([name, schema]) => [schema, name]));
+    const errorContent = { 'application/json': { schema: { $ref: `${COMPONENT_PREFIX}ErrorResponse` } } };
+    const paths = {};
+    const seen = new Set();
+
+    for (const { method, path } of routes) {
+      const key = `${method} ${path}`;
+
+      if (method === 'ALL' || seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+
+      const docs = routes
+        .filter((route) => (route.method === method && route.path === path)
+          || (route.method === 'ALL' && coversPath(route.path, path)))
+        .map((route) => route.handler.docs)
+        .filter(Boolean);
+      const route = Object.assign({}, ...docs.map((entry) => entry.route).filter(Boolean));
+
+      if (route.hidden) {
+        continue;
+      }
+
+      const auth = docs.some((entry) => entry.auth);
+      const membership = docs.map((entry) => entry.membership).filter((level) => level && level !== 'free').pop();
+      const scopes = docs.map((entry) => entry.scope).filter(Boolean);
+      const roles = docs.map((entry) => entry.role).filter(Boolean);
+      const flags = docs.map((entry) => entry.flag).filter(Boolean);
+      const workspace = docs.find((entry) => entry.workspace)?.workspace;
+      const workspaceRole = docs.map((entry) => entry.workspaceRole).filter(Boolean).pop();
+      const cacheTtl = docs.find((entry) => entry.cacheTtl)?.cacheTtl;
+      const validations = docs.filter((entry) => entry.schema);
+      const findValidation = (source) => validations.find((entry) => entry.source === source)?.schema;
+
+      // Parameters: path ones always exist, typed by a param schema if any
+      const pathSchemas = Object.fromEntries(
+        OpenApiUtils.parameters(findValidation('param'), 'path', refs).map((parameter) => [parameter.name, parameter])
+      );
+      const parameters = [
+        ...pathParamNames(path).map((name) => pathSchemas[name] || {
+          name,
+          in: 'path',
+          required: true,
+          schema: { type: 'string' }
+        }),
+        ...[findValidation('query'), route.query].flatMap((schema) => OpenApiUtils.parameters(schema, 'query', refs)).map((parameter) => {
+          const flag = flags.find((entry) => entry.name === parameter.name);
+          return flag ? { ...parameter, description: `Requires the ${flag.role} role when true` } : parameter;
+        }),
+        ...(docs.some((entry) => entry.idempotent) ? [{
+          name: 'Idempotency-Key',
+          in: 'header',
+          required: false,
+          description: 'Retries with the same key and body replay the first response',
+          schema: { type: 'string', minLength: 1, maxLength: 255 }
+        }] : []),
+        ...(workspace === 'header' ? [{
+          name: 'X-Workspace-Id',
+          in: 'header',
+          required: false,
+          description: "Workspace to act in; defaults to the token's workspace_id claim, else the default workspace",
+          schema: { type: 'string' }
+        }] : []),
+        ...(route.parameters || [])
+      ];
+
+      const operation = {
+        operationId: `${method.toLowerCase()}${toOpenApiPath(path).replace(/[^a-zA-Z0-9]+(.)?/g, (match, next = '') => next.toUpperCase())}`,
+        tags: route.tags || [path.split('/')[1] || 'system'],
+        summary: route.summary || `${method} ${toOpenApiPath(path)}`
+      };
+
+      const notes = [
+        route.description,
+        membership && `Requires ${membership} membership or higher.`,
+        !membership && auth && 'Requires authentication.',
+        roles.length > 0 && `Requires the ${roles.join(', ')} role.`,
+        workspaceRole && `Requires the ${workspaceRole} role or higher in the workspace.`,
+        scopes.length > 0 && `API keys need the ${scopes.map((scope) => `\`${scope}\``).join(', ')} scope.`,
+        cacheTtl && `Responses are cached for up to ${cacheTtl} seconds.`
+      ].filter(Boolean);
+
+      if (notes.length > 0) {
+        operation.description = notes.join('\n\n');
+      }
+
+      if (parameters.length > 0) {
+        operation.parameters = parameters;
+      }
+
+      const jsonBody = findValidation('json') || (route.body?._def ? route.body : null);
+      if (jsonBody) {
+        operation.requestBody = {
+          required: true,
+          content: { 'application/json': { schema: OpenApiUtils.toJsonSchema(jsonBody, refs) } }
+        };
+      } else if (route.body) {
+        operation.requestBody = { required: true, content: route.body };
+      }
+
+      if (auth) {
+        operation.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }];
+      } else if (flags.length > 0) {
+        operation.security = [{}, { bearerAuth: [] }, { apiKeyAuth: [] }];
+      }
+
+      // Machine-readable copies of the requirements in the description
+      if (membership) {
+        operation['x-membership'] = membership;
+      }
+      if (scopes.length > 0) {
+        operation['x-scopes'] = scopes;
+      }
+      if (roles.length > 0) {
+        operation['x-roles'] = roles;
+      }
+      if (workspaceRole) {
+        operation['x-workspace-role'] = workspaceRole;
+      }
+
+      const successStatus = String(route.status || 200);
+      operation.responses = {
+        [successStatus]: {
+          description: route.responseDescription || 'Success',
+          content: {
+            'application/json': {
+              schema: OpenApiUtils.toJsonSchema(route.response || SuccessResponseSchema, refs)
+            }
+          }
+        }
+      };
+
+      const errorStatuses = new Set([
+        ...(validations.length > 0 ? [400] : []),
+        ...(auth || flags.length > 0 ? [401] : []),
+        ...(workspace ? [401] : []),
+        ...(membership || scopes.length > 0 || roles.length > 0 || flags.length > 0 || workspaceRole ? [403] : []),
+        ...(pathParamNames(path).length > 0 || workspace ? [404] : []),
+        ...(docs.some((entry) => entry.idempotent) ? [409, 422] : []),
+        ...(docs.some((entry) => entry.rateLimited) ? [429] : []),
+        ...(route.errors || []),
+        500
+      ]);
+
+      for (const status of [...errorStatuses].sort((a, b) => a - b)) {
+        operation.responses[status] = {
+          description: ERROR_DESCRIPTIONS[status] || 'Error',
+          content: errorContent,
+          ...(status === 429 && {
+            headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Seconds until the limit resets' } }
+          })
+        };
+      }
+
+      const openApiPath = toOpenApiPath(path);
+      paths[openApiPath] = { ...paths[openApiPath], [method.toLowerCase()]: operation };
+    }
+
+    return {
+      openapi: '3.1.0',
+      info,
+      servers,
+      paths,
+      components: {
+        schemas: Object.fromEntries(
+          Object.entries(named).map(([name, schema]) => [name, OpenApiUtils.toJsonSchema(schema, refs, { root: true })])
+        ),
+        securitySchemes: {
+          bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+          apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+        }
+      }
+    };
+  }
+}
+
+export default OpenApiUtils;
@@ -0,0 +1,206 @@
+import { ValidationError, ConflictError } from '../types/index.js';
+
+const JSON_PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Array position for a pointer token; "-" (one past the end) only when adding
+const arrayIndex = (array, token, pointer, { allowEnd = false } = {}) => {
+  if (allowEnd && token === '-') {
+    return array.length;
+  }
+
+  const index = /^(0|[1-9][0-9]*)$/.test(token) ? Number(token) : NaN;
+
+  if (Number.isNaN(index) || index > array.length || (!allowEnd && index === array.length)) {
+    throw new ValidationError(`Path "${pointer}" does not exist`);
+  }
+
+  return index;
+};
+
+const child = (container, token, pointer) => {
+  if (Array.isArray(container)) {
+    return container[arrayIndex(container, token, pointer)];
+  }
+
+  if (isObject(container) && Object.hasOwn(container, token)) {
+    return container[token];
+  }
+
+  throw new ValidationError(`Path "${pointer}" does not exist`);
+};
+
+// Container holding the target of a pointer, and the target's key in it
+const resolveParent = (document, tokens, pointer) => ({
+  parent: tokens.slice(0, -1).reduce((container, token) => child(container, token, pointer), document),
+  key: tokens[tokens.length - 1]
+});
+
+export class PatchUtils {
+  // Structural equality of JSON values (member order does not matter)
+  static equal(a, b) {
+    if (a === b) {
+      return true;
+    }
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return a.length === b.length && a.every((value, index) => PatchUtils.equal(value, b[index]));
+    }
+
+    if (isObject(a) && isObject(b)) {
+      const keys = Object.keys(a);
+      return keys.length === Object.keys(b).length
+        && keys.every((key) => Object.hasOwn(b, key) && PatchUtils.equal(a[key], b[key]));
+    }
+
+    return false;
+  }
+
+  // RFC 7386 JSON Merge Patch: objects merge recursively, null removes a
+  // member and any other value replaces it
+  static mergePatch(target, patch) {
+    if (!isObject(patch)) {
+      return clone(patch);
+    }
+
+    const result = isObject(target) ? { ...target } : {};
+
+    for (const [key, value] of Object.entries(patch)) {
+      if (value === null) {
+        delete result[key];
+      } else {
+        result[key] = PatchUtils.mergePatch(result[key], value);
+      }
+    }
+
+    return result;
+  }
+
+  // RFC 6901 JSON Pointer to its reference tokens
+  static parsePointer(pointer) {
+    if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+      throw new ValidationError(`Invalid JSON Pointer "${pointer}"`);
+    }
+
+    return pointer === ''
+      ? []
+      : pointer.slice(1).split('/').map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+
+  static getValue(document, pointer) {
+    const tokens = PatchUtils.parsePointer(pointer);
+
+    if (tokens.length === 0) {
+      return document;
+    }
+
+    const { parent, key } = resolveParent(document, tokens, pointer);
+    return child(parent, key, pointer);
+  }
+
+  static addValue(document, pointer, value) {
+    const tokens = PatchUtils.parsePointer(pointer);
+
+    if (tokens.length === 0) {
+      return value;
+    }
+
+    const { parent, key } = resolveParent(document, tokens, pointer);
+
+    if (Array.isArray(parent)) {
+      parent.splice(arrayIndex(parent, key, pointer, { allowEnd: true }), 0, value);
+    } else if (isObject(parent)) {
+      parent[key] = value;
+    } else {
+      throw new ValidationError(`Path "${pointer}" does not exist`);
+    }
+
+    return document;
+  }
+
+  static removeValue(document, pointer) {
+    const tokens = PatchUtils.parsePointer(pointer);
+
+    if (tokens.length === 0) {
+      throw new ValidationError('The whole document cannot be removed');
+    }
+
+    const { parent, key } = resolveParent(document, tokens, pointer);
+
+    if (Array.isArray(parent)) {
+      parent.splice(arrayIndex(parent, key, pointer), 1);
+    } else if (isObject(parent) && Object.hasOwn(parent, key)) {
+      delete parent[key];
+    } else {
+      throw new ValidationError(`Path "${pointer}" does not exist`);
+    }
+
+    return document;
+  }
+
+  // Apply one RFC 6902 operation to document (which it may modify)
+  static applyOperation(document, operation) {
+    if (!isObject(operation) || !JSON_PATCH_OPERATIONS.includes(operation.op)) {
+      throw new ValidationError(`op must be one of ${JSON_PATCH_OPERATIONS.join(', ')}`);
+    }
+
+    const { op, path, from } = operation;
+
+    if (['add', 'replace', 'test'].includes(op) && !Object.hasOwn(operation, 'value')) {
+      throw new ValidationError(`"${op}" requires a value`);
+    }
+
+    if (['move', 'copy'].includes(op)) {
+      PatchUtils.parsePointer(from);
+    }
+
+    switch (op) {
+      case 'add':
+        return PatchUtils.addValue(document, path, clone(operation.value));
+      case 'remove':
+        return PatchUtils.removeValue(document, path);
+      case 'replace':
+        if (PatchUtils.parsePointer(path).length === 0) {
+          return clone(operation.value);
+        }
+        return PatchUtils.addValue(PatchUtils.removeValue(document, path), path, clone(operation.value));
+      case 'move': {
+        if (path.startsWith(`${from}/`)) {
+          throw new ValidationError(`Cannot move "${from}" into one of its children`);
+        }
+
+        const value = PatchUtils.getValue(document, from);
+        return PatchUtils.addValue(PatchUtils.removeValue(document, from), path, value);
+      }
+      case 'copy':
+        return PatchUtils.addValue(document, path, clone(PatchUtils.getValue(document, from)));
+      default:
+        if (!PatchUtils.equal(PatchUtils.getValue(document, path), operation.value)) {
+          throw new ConflictError(`Test failed for "${path}"`, 'PATCH_TEST_FAILED');
+        }
+        return document;
+    }
+  }
+
+  // RFC 6902 JSON Patch. Operations apply in order to a copy of document;
+  // if any of them fails the whole patch is rejected.
+  static jsonPatch(document, operations) {
+    if (!Array.isArray(operations)) {
+      throw new ValidationError('JSON Patch must be an array of operations');
+    }
+
+    return operations.reduce((result, operation, index) => {
+      try {
+        return PatchUtils.applyOperation(result, operation);
+      } catch (error) {
+        error.message = `Patch operation ${index}: ${error.message}`;
+        throw error;
+      }
+    }, clone(document));
+  }
+}
+
+export default PatchUtils;
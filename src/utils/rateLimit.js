@@ -0,0 +1,128 @@
+import { MembershipLevel } from '../types/index.js';
+
+// Requests allowed per window, by caller tier and route group. Anonymous
+// callers are keyed by IP; everyone else by user or API key.
+export const RATE_LIMITS = {
+  anonymous: {
+    read: { limit: 60, windowSeconds: 60 },
+    write: { limit: 10, windowSeconds: 60 },
+    batch: { limit: 2, windowSeconds: 60 }
+  },
+  [MembershipLevel.FREE]: {
+    read: { limit: 120, windowSeconds: 60 },
+    write: { limit: 30, windowSeconds: 60 },
+    batch: { limit: 5, windowSeconds: 60 }
+  },
+  [MembershipLevel.BASIC]: {
+    read: { limit: 300, windowSeconds: 60 },
+    write: { limit: 60, windowSeconds: 60 },
+    batch: { limit: 10, windowSeconds: 60 }
+  },
+  [MembershipLevel.PREMIUM]: {
+    read: { limit: 1000, windowSeconds: 60 },
+    write: { limit: 300, windowSeconds: 60 },
+    batch: { limit: 60, windowSeconds: 60 }
+  }
+};
+
+// Upper bound on keys the in-memory store tracks before evicting
+const MEMORY_STORE_MAX_KEYS = 10000;
+
+// Fixed-window counter. Windows are aligned to the clock so every caller's
+// budget resets at a predictable time. Rejected requests are not counted.
+export const consume = (entry, limit, windowSeconds, now = Date.now()) => {
+  const windowMs = windowSeconds * 1000;
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const current = entry && entry.windowStart === windowStart ? entry : { windowStart, count: 0 };
+  const allowed = current.count < limit;
+  const next = allowed ? { windowStart, count: current.count + 1 } : current;
+  const reset = Math.max(1, Math.ceil((windowStart + windowMs - now) / 1000));
+
+  return {
+    entry: next,
+    result: {
+      allowed,
+      limit,
+      remaining: Math.max(0, limit - next.count),
+      reset,
+      window_seconds: windowSeconds
+    }
+  };
+};
+
+// Per-isolate stand-in for local development and tests
+export class MemoryRateLimitStore {
+  constructor(maxKeys = MEMORY_STORE_MAX_KEYS) {
+    this.entries = new Map();
+    this.maxKeys = maxKeys;
+  }
+
+  async hit(key, limit, windowSeconds) {
+    const { entry, result } = consume(this.entries.get(key), limit, windowSeconds);
+
+    // Re-insert so Map order tracks recency for eviction
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.evict(entry.windowStart);
+
+    return result;
+  }
+
+  evict(currentWindowStart) {
+    if (this.entries.size <= this.maxKeys) {
+      return;
+    }
+
+    for (const [key, entry] of this.entries) {
+      if (entry.windowStart < currentWindowStart) {
+        this.entries.delete(key);
+      }
+    }
+
+    // Still too many: drop the least recently used
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.maxKeys) {
+        break;
+      }
+      this.entries.delete(key);
+    }
+  }
+}
+
+// Client for the RateLimiter Durable Object; one object per key keeps the
+// count consistent across isolates and locations
+export class DurableObjectRateLimitStore {
+  constructor(namespace) {
+    this.namespace = namespace;
+  }
+
+  async hit(key, limit, windowSeconds) {
+    const stub = this.namespace.get(this.namespace.idFromName(key));
+    const response = await stub.fetch('https://rate-limiter/hit', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ limit, windowSeconds })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Rate limiter responded with ${response.status}`);
+    }
+
+    return response.json();
+  }
+}
+
+const memoryStore = new MemoryRateLimitStore();
+
+// Durable Object when the RATE_LIMITER binding exists, otherwise in memory
+export const getRateLimitStore = (env) => (
+  env?.RATE_LIMITER ? new DurableObjectRateLimitStore(env.RATE_LIMITER) : memoryStore
+);
+
+export default {
+  RATE_LIMITS,
+  consume,
+  MemoryRateLimitStore,
+  DurableObjectRateLimitStore,
+  getRateLimitStore
+};
@@ -0,0 +1,150 @@
+import { ValidationError } from '../types/index.js';
+
+const MAX_TERMS = 32;
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+// Markers that snippet() wraps around matches; swapped for <mark> after the
+// snippet text has been HTML-escaped
+export const SNIPPET_OPEN = '\uE000';
+export const SNIPPET_CLOSE = '\uE001';
+
+const quote = (text) => `"${text.replace(/"/g, '""')}"`;
+
+// Split user input into phrases, words (optionally with a trailing * for
+// prefix search), parentheses and the AND/OR/NOT operators
+const tokenize = (input) => {
+  const tokens = [];
+  const pattern = /\s*(?:"([^"]*)"|(\()|(\))|(-)?([\p{L}\p{N}_]+)(\*)?|(\S))/uy;
+  let match;
+
+  while (pattern.lastIndex < input.length && (match = pattern.exec(input))) {
+    const [, phrase, open, close, negated, word, prefix] = match;
+
+    if (phrase !== undefined) {
+      if (phrase.trim()) tokens.push({ type: 'term', value: quote(phrase.trim()) });
+    } else if (open) {
+      tokens.push({ type: '(' });
+    } else if (close) {
+      tokens.push({ type: ')' });
+    } else if (word !== undefined) {
+      if (!negated && !prefix && OPERATORS.includes(word)) {
+        tokens.push({ type: word });
+      } else {
+        if (negated) tokens.push({ type: 'NOT' });
+        tokens.push({ type: 'term', value: `${quote(word)}${prefix ? '*' : ''}` });
+      }
+    }
+    // Any other character is treated as a separator, like the FTS tokenizer does
+  }
+
+  return tokens;
+};
+
+// Recursive descent over the tokens with FTS5 precedence (NOT > AND > OR),
+// emitting a fully parenthesised query that FTS5 will always accept
+const parse = (tokens) => {
+  let position = 0;
+  const peek = () => tokens[position];
+  const fail = () => {
+    throw new ValidationError('Invalid search query');
+  };
+
+  const primary = () => {
+    const token = tokens[position++];
+    if (!token) fail();
+
+    if (token.type === 'term') return token.value;
+
+    if (token.type === '(') {
+      const inner = orExpression();
+      if (peek()?.type !== ')') fail();
+      position++;
+      return `(${inner})`;
+    }
+
+    return fail();
+  };
+
+  const notExpression = () => {
+    let left = primary();
+    while (peek()?.type === 'NOT') {
+      position++;
+      left = `(${left} NOT ${primary()})`;
+    }
+    return left;
+  };
+
+  const andExpression = () => {
+    const parts = [notExpression()];
+    while (peek() && (peek().type === 'AND' || peek().type === 'term' || peek().type === '(')) {
+      if (peek().type === 'AND') position++;
+      parts.push(notExpression());
+    }
+    return parts.length > 1 ? `(${parts.join(' AND ')})` : parts[0];
+  };
+
+  const orExpression = () => {
+    const parts = [andExpression()];
+    while (peek()?.type === 'OR') {
+      position++;
+      parts.push(andExpression());
+    }
+    return parts.length > 1 ? `(${parts.join(' OR ')})` : parts[0];
+  };
+
+  const query = orExpression();
+  if (position !== tokens.length) fail();
+  return query;
+};
+
+export class SearchUtils {
+  // Translate a user query (phrases, prefix*, AND/OR/NOT, parentheses) into
+  // an FTS5 MATCH expression
+  static toFtsQuery(input) {
+    const tokens = tokenize(input || '');
+    const terms = tokens.filter((token) => token.type === 'term');
+
+    if (terms.length === 0) {
+      throw new ValidationError('Search query must contain at least one word');
+    }
+
+    if (terms.length > MAX_TERMS) {
+      throw new ValidationError(`Search query cannot contain more than ${MAX_TERMS} terms`);
+    }
+
+    return parse(tokens);
+  }
+
+  // Every word must appear as a word prefix; used by plain list filtering
+  static toPrefixQuery(input) {
+    const words = (input || '').match(/[\p{L}\p{N}_]+/gu) || [];
+
+    if (words.length === 0) {
+      return null;
+    }
+
+    return words.slice(0, MAX_TERMS).map((word) => `${quote(word)}*`).join(' AND ');
+  }
+
+  static escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // HTML-safe snippet with matches wrapped in <mark>
+  static formatSnippet(snippet) {
+    if (!snippet) {
+      return null;
+    }
+
+    return SearchUtils.escapeHtml(snippet)
+      .split(SNIPPET_OPEN).join('<mark>')
+      .split(SNIPPET_CLOSE).join('</mark>');
+  }
+}
+
+export default SearchUtils;
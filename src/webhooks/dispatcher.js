@@ -0,0 +1,178 @@
+import { WebhookModel } from '../models/webhook.js';
+import { Logger, Utils } from '../utils/index.js';
+import { CryptoUtils } from '../utils/crypto.js';
+
+// Attempts per delivery before it is marked failed (WEBHOOK_MAX_ATTEMPTS overrides)
+const DEFAULT_MAX_ATTEMPTS = 8;
+// First retry delay in seconds, doubled on every further attempt
+// (WEBHOOK_RETRY_BASE_SECONDS overrides)
+const DEFAULT_RETRY_BASE_SECONDS = 30;
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// HMAC-SHA256 over "<timestamp>.<body>", hex encoded. Receivers recompute it
+// with their secret and reject stale timestamps to stop replays.
+export const signPayload = (secret, timestamp, body) => CryptoUtils.hmacSha256(secret, `${timestamp}.${body}`);
+
+// Exponential backoff before the next attempt, after `attempts` failures
+export const retryDelaySeconds = (attempts, env = {}) => {
+  const base = parseFloat(env.WEBHOOK_RETRY_BASE_SECONDS) || DEFAULT_RETRY_BASE_SECONDS;
+  return Math.min(base * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+};
+
+// Send a pending delivery once and record the outcome. Returns the delay
+// before the next attempt, or null when the delivery is finished.
+export const attemptDelivery = async (env, deliveryId) => {
+  const model = new WebhookModel(env.DB);
+  const delivery = await model.getDeliveryForSending(deliveryId);
+
+  // Webhook deleted (with its log) or delivery already settled
+  if (!delivery || delivery.status !== 'pending') {
+    return null;
+  }
+
+  const attempts = delivery.attempts + 1;
+
+  if (!delivery.active) {
+    await model.recordAttempt(deliveryId, { attempts: delivery.attempts, status: 'failed', error: 'Webhook is disabled' });
+    return null;
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = await signPayload(delivery.secret, timestamp, delivery.payload);
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Casflo-Webhooks/1.0',
+        'X-Casflo-Event': delivery.event,
+        'X-Casflo-Delivery': delivery.id,
+        'X-Casflo-Timestamp': String(timestamp),
+        'X-Casflo-Signature': `v1=${signature}`
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+
+    responseStatus = response.status;
+    responseBody = await response.text();
+
+    if (!response.ok) {
+      error = `Endpoint responded with ${response.status}`;
+    }
+  } catch (fetchError) {
+    error = fetchError.message;
+  }
+
+  const maxAttempts = parseInt(env.WEBHOOK_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+  const retryIn = error && attempts < maxAttempts ? retryDelaySeconds(attempts, env) : null;
+
+  await model.recordAttempt(deliveryId, {
+    attempts,
+    status: !error ? 'succeeded' : retryIn ? 'pending' : 'failed',
+    responseStatus,
+    responseBody,
+    error,
+    nextAttemptAt: retryIn ? new Date(Date.now() + retryIn * 1000).toISOString() : null
+  });
+
+  if (error) {
+    Logger.warn('Webhook delivery attempt failed', { deliveryId, attempts, error, retryIn });
+  }
+
+  return retryIn;
+};
+
+// Per-isolate stand-in for the WEBHOOK_QUEUE binding (local development and
+// tests). Same send/sendBatch interface; messages are processed here with
+// timers instead of by the queue consumer.
+export class MemoryWebhookQueue {
+  constructor(env) {
+    this.env = env;
+  }
+
+  async send(body, { delaySeconds = 0 } = {}) {
+    setTimeout(() => this.process(body), delaySeconds * 1000);
+  }
+
+  async sendBatch(messages) {
+    for (const { body, delaySeconds } of messages) {
+      await this.send(body, { delaySeconds });
+    }
+  }
+
+  async process(body) {
+    try {
+      const retryIn = await attemptDelivery(this.env, body.deliveryId);
+
+      if (retryIn !== null) {
+        await this.send(body, { delaySeconds: retryIn });
+      }
+    } catch (error) {
+      Logger.error('Webhook delivery failed', error, { deliveryId: body.deliveryId });
+    }
+  }
+}
+
+// Cloudflare Queue when WEBHOOK_QUEUE is bound, otherwise in memory
+export const getWebhookQueue = (env) => env.WEBHOOK_QUEUE || new MemoryWebhookQueue(env);
+
+// Record a delivery of a workspace's event for every webhook subscribed to
+// it there and queue them
+export const dispatchEvent = async (env, workspaceId, type, data) => {
+  const model = new WebhookModel(env.DB);
+  const webhooks = await model.findSubscribers(workspaceId, type);
+
+  if (webhooks.length === 0) {
+    return [];
+  }
+
+  const event = {
+    id: `evt_${Utils.generateId()}`,
+    type,
+    workspace_id: workspaceId,
+    created_at: new Date().toISOString(),
+    data
+  };
+  const deliveryIds = await model.createDeliveries(webhooks, event);
+
+  await getWebhookQueue(env).sendBatch(deliveryIds.map((deliveryId) => ({ body: { deliveryId } })));
+
+  Logger.info('Webhook event dispatched', { eventId: event.id, type, deliveries: deliveryIds.length });
+  return deliveryIds;
+};
+
+// Queue consumer (see the queue export in index.js). Retries are scheduled
+// with our own backoff; the delivery row is the source of truth for attempts.
+export const handleWebhookQueue = async (batch, env) => {
+  for (const message of batch.messages) {
+    try {
+      const retryIn = await attemptDelivery(env, message.body.deliveryId);
+
+      if (retryIn !== null) {
+        message.retry({ delaySeconds: Math.ceil(retryIn) });
+      } else {
+        message.ack();
+      }
+    } catch (error) {
+      Logger.error('Webhook delivery failed', error, { deliveryId: message.body?.deliveryId });
+      message.retry();
+    }
+  }
+};
+
+export default {
+  signPayload,
+  retryDelaySeconds,
+  attemptDelivery,
+  MemoryWebhookQueue,
+  getWebhookQueue,
+  dispatchEvent,
+  handleWebhookQueue
+};
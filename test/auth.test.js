@@ -0,0 +1,85 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestEnv, request } from './helpers.js';
+
+describe('refresh tokens', () => {
+  let env;
+  let dispose;
+
+  before(async () => {
+    ({ env, dispose } = await createTestEnv());
+  });
+
+  after(() => dispose());
+
+  let accounts = 0;
+
+  const signIn = async () => {
+    const credentials = { email: `reader${++accounts}@casflo.test`, password: 'correct horse battery' };
+    await request(env, 'POST', '/auth/register', { body: credentials });
+
+    const login = await request(env, 'POST', '/auth/login', { body: credentials });
+    assert.equal(login.status, 200);
+    return login.body.data;
+  };
+
+  const refresh = (refreshToken) => request(env, 'POST', '/auth/refresh', { body: { refresh_token: refreshToken } });
+
+  it('rotates the refresh token on every use', async () => {
+    const session = await signIn();
+
+    const first = await refresh(session.refresh_token);
+    assert.equal(first.status, 200);
+    assert.notEqual(first.body.data.refresh_token, session.refresh_token);
+
+    const me = await request(env, 'GET', '/auth/me', { token: first.body.data.access_token });
+    assert.equal(me.status, 200);
+
+    const second = await refresh(first.body.data.refresh_token);
+    assert.equal(second.status, 200);
+  });
+
+  it('revokes the whole session when a rotated token is replayed', async () => {
+    const session = await signIn();
+    const rotated = await refresh(session.refresh_token);
+    assert.equal(rotated.status, 200);
+
+    const replay = await refresh(session.refresh_token);
+    assert.equal(replay.status, 401);
+    assert.equal(replay.body.code, 'AUTH_INVALID');
+
+    // The token issued by the legitimate rotation is revoked with it
+    const successor = await refresh(rotated.body.data.refresh_token);
+    assert.equal(successor.status, 401);
+  });
+
+  it('leaves other sessions alone on reuse', async () => {
+    const credentials = { email: `reader${++accounts}@casflo.test`, password: 'correct horse battery' };
+    await request(env, 'POST', '/auth/register', { body: credentials });
+    const laptop = (await request(env, 'POST', '/auth/login', { body: credentials })).body.data;
+    const phone = (await request(env, 'POST', '/auth/login', { body: credentials })).body.data;
+
+    await refresh(laptop.refresh_token);
+    assert.equal((await refresh(laptop.refresh_token)).status, 401);
+
+    assert.equal((await refresh(phone.refresh_token)).status, 200);
+  });
+
+  it('rejects unknown refresh tokens', async () => {
+    const response = await refresh('not-a-refresh-token');
+    assert.equal(response.status, 401);
+  });
+
+  it('revokes the access token on logout', async () => {
+    const session = await signIn();
+
+    const logout = await request(env, 'POST', '/auth/logout', {
+      token: session.access_token,
+      body: { refresh_token: session.refresh_token }
+    });
+    assert.equal(logout.status, 200);
+
+    assert.equal((await request(env, 'GET', '/auth/me', { token: session.access_token })).status, 401);
+    assert.equal((await refresh(session.refresh_token)).status, 401);
+  });
+});
@@ -0,0 +1,54 @@
+import './setup.js';
+import { Miniflare } from 'miniflare';
+import { app } from '../src/index.js';
+import { MigrationRunner } from '../src/migrations/runner.js';
+import { JwtUtils } from '../src/utils/jwt.js';
+
+export const JWT_SECRET = 'test-secret';
+
+// An env with real D1 and KV bindings (run by Miniflare) and every migration
+// applied. Call dispose() when done.
+export const createTestEnv = async (vars = {}) => {
+  const miniflare = new Miniflare({
+    modules: true,
+    script: 'export default { fetch: () => new Response(null, { status: 404 }) }',
+    d1Databases: ['DB'],
+    kvNamespaces: ['CACHE']
+  });
+
+  const env = {
+    DB: await miniflare.getD1Database('DB'),
+    CACHE: await miniflare.getKVNamespace('CACHE'),
+    JWT_SECRET,
+    JWT_ISSUER: 'https://casflo.test',
+    JWT_AUDIENCE: 'casflo-api',
+    ...vars
+  };
+
+  await new MigrationRunner(env.DB).apply();
+
+  return { env, dispose: () => miniflare.dispose() };
+};
+
+// Access token for any subject; premium so membership tiers never get in the way
+export const signToken = (env, claims = {}) => JwtUtils.sign({ membership: 'premium', ...claims }, env);
+
+// Each request comes from its own address, so anonymous rate limits are not shared
+let requestCount = 0;
+
+// Send a request through the app; body is sent as JSON
+export const request = async (env, method, path, { token, workspace, body, headers = {} } = {}) => {
+  const response = await app.request(path, {
+    method,
+    headers: {
+      'cf-connecting-ip': `test-${++requestCount}`,
+      ...(body !== undefined && { 'content-type': 'application/json' }),
+      ...(token && { authorization: `Bearer ${token}` }),
+      ...(workspace && { 'x-workspace-id': workspace }),
+      ...headers
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  }, env);
+
+  return { status: response.status, body: await response.json() };
+};
@@ -0,0 +1,181 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { JwtUtils } from '../src/utils/jwt.js';
+import { CryptoUtils } from '../src/utils/crypto.js';
+import { AuthenticationError, ServiceUnavailableError } from '../src/types/index.js';
+
+const encoder = new TextEncoder();
+const SECRET = 'test-secret';
+const env = { JWT_SECRET: SECRET, JWT_ISSUER: 'https://casflo.test', JWT_AUDIENCE: 'casflo-api' };
+
+const now = () => Math.floor(Date.now() / 1000);
+const segment = (value) => CryptoUtils.toBase64Url(encoder.encode(
+  typeof value === 'string' ? value : JSON.stringify(value)
+));
+
+const claims = (overrides = {}) => ({
+  sub: 'user-1',
+  iss: env.JWT_ISSUER,
+  aud: env.JWT_AUDIENCE,
+  exp: now() + 300,
+  ...overrides
+});
+
+// A token with any header and payload, signed with HMAC-SHA256 over secret
+const hmacToken = async (header, payload, secret = SECRET) => {
+  const signingInput = `${segment(header)}.${segment(payload)}`;
+  const key = await crypto.subtle.importKey(
+    'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(signingInput));
+  return `${signingInput}.${CryptoUtils.toBase64Url(signature)}`;
+};
+
+const rejects = (promise, ErrorClass, message) => assert.rejects(promise, (error) => {
+  assert.ok(error instanceof ErrorClass, `expected ${ErrorClass.name}, got ${error.name}`);
+  assert.equal(error.message, message);
+  return true;
+});
+
+describe('JwtUtils.verify', () => {
+  describe('HS256', () => {
+    it('returns the payload of a valid token', async () => {
+      const token = await JwtUtils.sign({ sub: 'user-1', role: 'admin' }, env);
+      const payload = await JwtUtils.verify(token, env);
+
+      assert.equal(payload.sub, 'user-1');
+      assert.equal(payload.role, 'admin');
+    });
+
+    it('rejects a token signed with another secret', async () => {
+      const token = await hmacToken({ alg: 'HS256' }, claims(), 'other-secret');
+      await rejects(JwtUtils.verify(token, env), AuthenticationError, 'Invalid token signature');
+    });
+
+    it('rejects a changed payload', async () => {
+      const [header, , signature] = (await JwtUtils.sign({ sub: 'user-1' }, env)).split('.');
+      const token = `${header}.${segment(claims({ role: 'admin' }))}.${signature}`;
+      await rejects(JwtUtils.verify(token, env), AuthenticationError, 'Invalid token signature');
+    });
+  });
+
+  describe('algorithms', () => {
+    it('rejects alg none, signed or not', async () => {
+      const unsigned = `${segment({ alg: 'none' })}.${segment(claims())}.`;
+      await rejects(JwtUtils.verify(unsigned, env), AuthenticationError, 'Malformed token');
+
+      const signed = `${segment({ alg: 'none' })}.${segment(claims())}.${segment('x')}`;
+      await rejects(JwtUtils.verify(signed, env), AuthenticationError, 'Unsupported token algorithm');
+    });
+
+    it('rejects algorithms it holds no keys for', async () => {
+      const token = await hmacToken({ alg: 'HS512' }, claims());
+      await rejects(JwtUtils.verify(token, env), AuthenticationError, 'Unsupported token algorithm');
+
+      const rs256 = await hmacToken({ alg: 'RS256' }, claims());
+      await rejects(JwtUtils.verify(rs256, env), AuthenticationError, 'Unsupported token algorithm');
+    });
+
+    describe('RS256', () => {
+      let privateKey;
+      let jwks;
+
+      before(async () => {
+        const pair = await crypto.subtle.generateKey(
+          { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+          true,
+          ['sign', 'verify']
+        );
+        privateKey = pair.privateKey;
+        jwks = { keys: [{ ...(await crypto.subtle.exportKey('jwk', pair.publicKey)), kid: 'key-1', use: 'sig' }] };
+      });
+
+      const rsaToken = async (header, payload) => {
+        const signingInput = `${segment(header)}.${segment(payload)}`;
+        const signature = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', privateKey, encoder.encode(signingInput));
+        return `${signingInput}.${CryptoUtils.toBase64Url(signature)}`;
+      };
+
+      it('verifies tokens against the JWKS', async () => {
+        const rsaEnv = { ...env, JWT_SECRET: undefined, JWT_JWKS: JSON.stringify(jwks) };
+        const token = await rsaToken({ alg: 'RS256', kid: 'key-1' }, claims());
+
+        assert.equal((await JwtUtils.verify(token, rsaEnv)).sub, 'user-1');
+      });
+
+      it('rejects an unknown kid', async () => {
+        const rsaEnv = { ...env, JWT_JWKS: JSON.stringify(jwks) };
+        const token = await rsaToken({ alg: 'RS256', kid: 'key-2' }, claims());
+
+        await rejects(JwtUtils.verify(token, rsaEnv), AuthenticationError, 'No matching signing key');
+      });
+
+      it('rejects HS256 tokens signed with the public key (algorithm confusion)', async () => {
+        const publicKey = JSON.stringify(jwks.keys[0]);
+        const token = await hmacToken({ alg: 'HS256' }, claims(), publicKey);
+
+        const rsaOnly = { ...env, JWT_SECRET: undefined, JWT_JWKS: JSON.stringify(jwks) };
+        await rejects(JwtUtils.verify(token, rsaOnly), AuthenticationError, 'Unsupported token algorithm');
+
+        const both = { ...env, JWT_JWKS: JSON.stringify(jwks) };
+        await rejects(JwtUtils.verify(token, both), AuthenticationError, 'Invalid token signature');
+      });
+
+      it('reports keys that cannot be loaded as unavailable', async () => {
+        const token = await rsaToken({ alg: 'RS256', kid: 'key-1' }, claims());
+
+        await rejects(
+          JwtUtils.verify(token, { ...env, JWT_JWKS: '{not json' }),
+          ServiceUnavailableError,
+          'Token signing keys are unavailable'
+        );
+        await rejects(
+          JwtUtils.verify(token, { ...env, JWT_JWKS: '{"keys":[{"kty":"RSA","kid":"key-1","n":"AQAB"}]}' }),
+          ServiceUnavailableError,
+          'Token signing keys are unavailable'
+        );
+      });
+    });
+  });
+
+  describe('claims', () => {
+    it('requires exp', async () => {
+      const token = await hmacToken({ alg: 'HS256' }, claims({ exp: undefined }));
+      await rejects(JwtUtils.verify(token, env), AuthenticationError, 'Token expiration is required');
+    });
+
+    it('allows 30 seconds of clock skew on exp', async () => {
+      const recent = await hmacToken({ alg: 'HS256' }, claims({ exp: now() - 20 }));
+      assert.equal((await JwtUtils.verify(recent, env)).sub, 'user-1');
+
+      const expired = await hmacToken({ alg: 'HS256' }, claims({ exp: now() - 40 }));
+      await rejects(JwtUtils.verify(expired, env), AuthenticationError, 'Token has expired');
+    });
+
+    it('allows 30 seconds of clock skew on nbf', async () => {
+      const soon = await hmacToken({ alg: 'HS256' }, claims({ nbf: now() + 20 }));
+      assert.equal((await JwtUtils.verify(soon, env)).sub, 'user-1');
+
+      const later = await hmacToken({ alg: 'HS256' }, claims({ nbf: now() + 40 }));
+      await rejects(JwtUtils.verify(later, env), AuthenticationError, 'Token is not yet valid');
+    });
+
+    it('checks issuer and audience', async () => {
+      const issuer = await hmacToken({ alg: 'HS256' }, claims({ iss: 'https://elsewhere.test' }));
+      await rejects(JwtUtils.verify(issuer, env), AuthenticationError, 'Invalid token issuer');
+
+      const audience = await hmacToken({ alg: 'HS256' }, claims({ aud: ['other-api'] }));
+      await rejects(JwtUtils.verify(audience, env), AuthenticationError, 'Invalid token audience');
+    });
+
+    it('rejects header and payload segments that are not JSON objects', async () => {
+      for (const payload of ['[]', 'null', '"user-1"', '42']) {
+        const token = await hmacToken({ alg: 'HS256' }, payload);
+        await rejects(JwtUtils.verify(token, env), AuthenticationError, 'Malformed token');
+      }
+
+      const token = await hmacToken('["HS256"]', claims());
+      await rejects(JwtUtils.verify(token, env), AuthenticationError, 'Malformed token');
+    });
+  });
+});
@@ -0,0 +1,7 @@
+import { mock } from 'node:test';
+
+// Every request and migration is logged; keep test output readable. Imported
+// before the app, whose request logger keeps a reference to console.log.
+for (const method of ['log', 'warn', 'error']) {
+  mock.method(console, method, () => {});
+}
@@ -0,0 +1,113 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestEnv, request, signToken } from './helpers.js';
+
+describe('workspace isolation', () => {
+  let env;
+  let dispose;
+  let alice;
+  let bob;
+  let bobId;
+  let workspaceId;
+  let bookId;
+
+  // A registered user (members are added by user id or email) with a premium token
+  const register = async (email) => {
+    const response = await request(env, 'POST', '/auth/register', {
+      body: { email, password: 'correct horse battery' }
+    });
+    const { id } = response.body.data.user;
+    return { id, token: await signToken(env, { sub: id }) };
+  };
+
+  before(async () => {
+    ({ env, dispose } = await createTestEnv());
+
+    ({ token: alice } = await register('alice@casflo.test'));
+    ({ token: bob, id: bobId } = await register('bob@casflo.test'));
+
+    const workspace = await request(env, 'POST', '/workspaces', { token: alice, body: { name: 'Private' } });
+    assert.equal(workspace.status, 201);
+    workspaceId = workspace.body.data.id;
+
+    const book = await request(env, 'POST', '/books', {
+      token: alice,
+      workspace: workspaceId,
+      body: { title: 'Private Notes', author: 'Alice', isbn: '9780306406157' }
+    });
+    assert.equal(book.status, 201);
+    bookId = book.body.data.id;
+  });
+
+  after(() => dispose());
+
+  it('lets members read their workspace', async () => {
+    const response = await request(env, 'GET', `/books/${bookId}`, { token: alice, workspace: workspaceId });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.title, 'Private Notes');
+  });
+
+  it('reports workspaces the caller is not a member of as not found', async () => {
+    for (const path of ['/books', `/books/${bookId}`, '/books/stats', '/tags']) {
+      const response = await request(env, 'GET', path, { token: bob, workspace: workspaceId });
+
+      assert.equal(response.status, 404, path);
+      assert.equal(response.body.code, 'WORKSPACE_NOT_FOUND', path);
+    }
+
+    const workspace = await request(env, 'GET', `/workspaces/${workspaceId}`, { token: bob });
+    assert.equal(workspace.status, 404);
+  });
+
+  it('requires credentials for any workspace but the default one', async () => {
+    const response = await request(env, 'GET', '/books', { workspace: workspaceId });
+    assert.equal(response.status, 401);
+  });
+
+  it('does not find books of another workspace from the default workspace', async () => {
+    const get = await request(env, 'GET', `/books/${bookId}`, { token: bob });
+    assert.equal(get.status, 404);
+    assert.equal(get.body.code, 'NOT_FOUND');
+
+    const byIsbn = await request(env, 'GET', '/books/isbn/9780306406157', { token: bob });
+    assert.equal(byIsbn.status, 404);
+
+    const patch = await request(env, 'PATCH', `/books/${bookId}`, {
+      token: bob,
+      headers: { 'if-match': '*' },
+      body: { title: 'Hijacked' }
+    });
+    assert.equal(patch.status, 404);
+
+    const remove = await request(env, 'DELETE', `/books/${bookId}`, { token: bob, headers: { 'if-match': '*' } });
+    assert.equal(remove.status, 404);
+
+    const list = await request(env, 'GET', '/books', { token: bob });
+    assert.equal(list.status, 200);
+    assert.ok(!list.body.data.some((book) => book.id === bookId));
+
+    const unchanged = await request(env, 'GET', `/books/${bookId}`, { token: alice, workspace: workspaceId });
+    assert.equal(unchanged.body.data.title, 'Private Notes');
+  });
+
+  it('gives members the access of their role', async () => {
+    const added = await request(env, 'POST', `/workspaces/${workspaceId}/members`, {
+      token: alice,
+      body: { user_id: bobId, role: 'viewer' }
+    });
+    assert.equal(added.status, 201);
+
+    const read = await request(env, 'GET', `/books/${bookId}`, { token: bob, workspace: workspaceId });
+    assert.equal(read.status, 200);
+
+    const write = await request(env, 'PATCH', `/books/${bookId}`, {
+      token: bob,
+      workspace: workspaceId,
+      headers: { 'if-match': '*' },
+      body: { title: 'Edited' }
+    });
+    assert.equal(write.status, 403);
+    assert.equal(write.body.code, 'WORKSPACE_ROLE_REQUIRED');
+  });
+});